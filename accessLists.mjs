@@ -0,0 +1,148 @@
+/**
+ * accessLists.mjs - Blocklist and allowlist for mention authors and keywords
+ *
+ * The lists live in state so they can be edited from the bot.mjs menu
+ * without a deploy. Blocked authors and tweets matching a blocked keyword
+ * pattern are never answered; in allowlist-only mode (the stored flag, or
+ * ALLOWLIST_ONLY=true) only allowed authors are.
+ */
+import { loadAccessLists, saveAccessLists } from './stateManager.mjs';
+
+// Lists that can be edited, and what each one holds
+export const ACCESS_LISTS = {
+  blockedUserIds: 'Blocked user IDs',
+  blockedHandles: 'Blocked handles',
+  blockedKeywords: 'Blocked keyword patterns',
+  allowedUserIds: 'Allowed user IDs',
+  allowedHandles: 'Allowed handles'
+};
+
+const ALLOWLIST_ONLY = process.env.ALLOWLIST_ONLY === 'true';
+
+/**
+ * Loads the stored lists with every list present
+ * @returns {Promise<Object>} - { [listName]: string[], allowlistOnly } as saved in state
+ */
+async function loadStoredLists() {
+  const stored = await loadAccessLists() || {};
+  const lists = { allowlistOnly: !!stored.allowlistOnly };
+
+  Object.keys(ACCESS_LISTS).forEach(listName => {
+    lists[listName] = Array.isArray(stored[listName]) ? stored[listName] : [];
+  });
+
+  return lists;
+}
+
+/**
+ * Saves the lists, failing loudly so a menu edit is never silently lost
+ * @param {Object} lists - Lists from loadStoredLists
+ * @returns {Promise<void>}
+ */
+async function storeLists(lists) {
+  if (!(await saveAccessLists(lists))) {
+    throw new Error('Could not save access lists');
+  }
+}
+
+/**
+ * Gets the access lists in effect, including the ALLOWLIST_ONLY override
+ * @returns {Promise<Object>} - { [listName]: string[], allowlistOnly }
+ */
+export async function getAccessLists() {
+  const lists = await loadStoredLists();
+  return { ...lists, allowlistOnly: ALLOWLIST_ONLY || lists.allowlistOnly };
+}
+
+/**
+ * Normalizes a list entry: handles lose the @ and are lowercased,
+ * user IDs must be numeric and keyword patterns must be valid regular expressions
+ *
+ * @param {string} listName - Name of the list
+ * @param {string} value - Entry as typed
+ * @returns {string} - Normalized entry
+ */
+function normalizeEntry(listName, value) {
+  const entry = String(value || '').trim();
+  if (!entry) {
+    throw new Error('Entry must not be empty');
+  }
+
+  if (listName.endsWith('Handles')) {
+    return entry.replace(/^@/, '').toLowerCase();
+  }
+
+  if (listName.endsWith('UserIds')) {
+    if (!/^\d+$/.test(entry)) {
+      throw new Error(`"${entry}" is not a numeric Twitter user ID`);
+    }
+    return entry;
+  }
+
+  try {
+    new RegExp(entry, 'i');
+  } catch (error) {
+    throw new Error(`Invalid keyword pattern "${entry}": ${error.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Adds an entry to one of the access lists
+ * @param {string} listName - Name of the list (see ACCESS_LISTS)
+ * @param {string} value - User ID, handle or keyword pattern
+ * @returns {Promise<boolean>} - True if the entry was added, false if it was already listed
+ */
+export async function addAccessListEntry(listName, value) {
+  if (!ACCESS_LISTS[listName]) {
+    throw new Error(`Unknown access list: ${listName}`);
+  }
+
+  const entry = normalizeEntry(listName, value);
+  const lists = await loadStoredLists();
+  if (lists[listName].includes(entry)) {
+    return false;
+  }
+
+  lists[listName] = [...lists[listName], entry];
+  await storeLists(lists);
+  console.log(`Added "${entry}" to ${listName}`);
+  return true;
+}
+
+/**
+ * Removes an entry from one of the access lists
+ * @param {string} listName - Name of the list (see ACCESS_LISTS)
+ * @param {string} value - User ID, handle or keyword pattern
+ * @returns {Promise<boolean>} - True if the entry was removed, false if it wasn't listed
+ */
+export async function removeAccessListEntry(listName, value) {
+  if (!ACCESS_LISTS[listName]) {
+    throw new Error(`Unknown access list: ${listName}`);
+  }
+
+  const entry = normalizeEntry(listName, value);
+  const lists = await loadStoredLists();
+  if (!lists[listName].includes(entry)) {
+    return false;
+  }
+
+  lists[listName] = lists[listName].filter(existing => existing !== entry);
+  await storeLists(lists);
+  console.log(`Removed "${entry}" from ${listName}`);
+  return true;
+}
+
+/**
+ * Turns allowlist-only mode on or off
+ * @param {boolean} enabled - Whether only allowed authors get replies
+ * @returns {Promise<void>}
+ */
+export async function setAllowlistOnly(enabled) {
+  const lists = await loadStoredLists();
+  await storeLists({ ...lists, allowlistOnly: !!enabled });
+
+  if (!enabled && ALLOWLIST_ONLY) {
+    console.warn('⚠️ ALLOWLIST_ONLY=true is set, allowlist-only mode stays on until it is removed');
+  }
+}
@@ -0,0 +1,411 @@
+/**
+ * alerts.mjs - Floor price alert subscriptions
+ *
+ * Users subscribe from a mention ("alert me when rasmr legendary < 0.5"),
+ * and can list or cancel their alerts the same way. Alerts are stored per
+ * user and hero-rarity through the stateManager and checked on every
+ * mention run; when a floor crosses the threshold the bot replies to the
+ * original subscription tweet and the alert is removed.
+ */
+import { fetchHeroByName, fetchHeroById, searchHeroesRanked, getLowestPriceForHeroRarity } from './fantasyService.mjs';
+import { postTweet } from './twitterClient.mjs';
+import { loadTokens } from './auth.mjs';
+import { loadAlerts, saveAlerts, recordError, loadDryRunFiredAlerts, saveDryRunFiredAlerts } from './stateManager.mjs';
+import { isDryRun, recordDryRunTweet } from './dryRun.mjs';
+import { extractHeroMatches, extractHeroReferences, extractUnknownHeroQuery, extractRarity, HERO_MATCH_THRESHOLD } from './utils/heroExtractor.mjs';
+import { formatWeiToEth, ethToWei, getRarityName } from './utils/formatters.mjs';
+
+// Maximum number of active alerts a single user can have
+const MAX_ALERTS_PER_USER = parseInt(process.env.MAX_ALERTS_PER_USER || '5', 10);
+
+// Alerts whose trigger reply keeps failing (e.g. deleted tweet) are dropped after this many attempts
+const MAX_NOTIFY_FAILURES = 3;
+
+// Rarity used when the user doesn't name one
+const DEFAULT_ALERT_RARITY = 4;
+
+const CANCEL_PATTERN = /\b(cancel|stop|remove|delete|unsubscribe)\b.*\balerts?\b|\bunalert\b/i;
+const LIST_PATTERN = /\b(list|show|my)\b.*\balerts\b|^\s*alerts\s*$/i;
+const ADD_PATTERN = /\balert\b|\b(notify|ping) me\b/i;
+
+// Comparator followed by the threshold, e.g. "< 0.5", "below Ξ0.5", "over 1 eth"
+const THRESHOLD_PATTERN = /(<=?|>=?|\bbelow\b|\bunder\b|\babove\b|\bover\b)\s*Ξ?\s*(\d*\.?\d+)\s*(?:eth\b)?/i;
+// A bare amount when no comparator is given, e.g. "alert me rasmr 0.5"
+const BARE_AMOUNT_PATTERN = /(?:^|\s)Ξ?(\d*\.\d+|\d+)\s*(?:eth\b)?(?=\s|$)/i;
+
+// Command words removed before looking for the hero name
+const COMMAND_WORDS_PATTERN = /\b(alerts?|notify|ping|me|when|if|the|floor|price|drops?|dips?|falls?|goes|rises?|gets|is|hits|reaches|below|under|above|over|cancel|stop|remove|delete|unsubscribe|unalert|list|show|my|all|for|on|to|eth)\b/gi;
+
+/**
+ * Identifies one subscription, so a re-created alert for the same hero-rarity counts as new
+ * @param {string} authorId - Twitter user ID of the subscriber
+ * @param {string} key - Hero-rarity key of the alert
+ * @param {Object} alert - The stored alert
+ * @returns {string} - Alert ID
+ */
+function getAlertId(authorId, key, alert) {
+  return `${authorId}:${key}:${alert.createdAt}`;
+}
+
+/**
+ * Parses an alert command from mention text
+ * @param {string} text - Mention text without the bot handle
+ * @returns {Object|null} - { action: 'add'|'cancel'|'list', ... } or null if the text isn't an alert command
+ */
+export function parseAlertCommand(text) {
+  const normalized = (text || '').trim();
+  if (!normalized) {
+    return null;
+  }
+
+  if (CANCEL_PATTERN.test(normalized)) {
+    return {
+      action: 'cancel',
+      all: /\ball\b/i.test(normalized),
+      heroText: stripCommandWords(normalized),
+      rarity: extractRarity(normalized)
+    };
+  }
+
+  if (LIST_PATTERN.test(normalized)) {
+    return { action: 'list' };
+  }
+
+  if (!ADD_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  let direction = 'below';
+  let amount = null;
+  let thresholdText = null;
+
+  const thresholdMatch = normalized.match(THRESHOLD_PATTERN);
+  if (thresholdMatch) {
+    direction = /^(>|above|over)/i.test(thresholdMatch[1]) ? 'above' : 'below';
+    amount = thresholdMatch[2];
+    thresholdText = thresholdMatch[0];
+  } else {
+    const bareMatch = normalized.match(BARE_AMOUNT_PATTERN);
+    if (bareMatch) {
+      amount = bareMatch[1];
+      thresholdText = bareMatch[0];
+    }
+  }
+
+  const thresholdWei = ethToWei(amount);
+  const remainder = thresholdText ? normalized.replace(thresholdText, ' ') : normalized;
+
+  return {
+    action: 'add',
+    direction,
+    thresholdWei: thresholdWei && thresholdWei !== '0' ? thresholdWei : null,
+    heroText: stripCommandWords(remainder),
+    rarity: extractRarity(normalized)
+  };
+}
+
+/**
+ * Removes command words so only the hero (and rarity) remain
+ * @param {string} text - Command text
+ * @returns {string} - Remaining text
+ */
+function stripCommandWords(text) {
+  return text
+    .replace(/[<>=Ξ]/g, ' ')
+    .replace(COMMAND_WORDS_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Describes an alert for replies (e.g. "rasmr Legendary floor < Ξ0.500")
+ * @param {Object} alert - Stored alert
+ * @returns {string} - Human readable description
+ */
+function describeAlert(alert) {
+  const comparator = alert.direction === 'above' ? '>' : '<';
+  return `${alert.heroName} ${getRarityName(alert.rarity)} floor ${comparator} Ξ${formatWeiToEth(alert.thresholdWei)}`;
+}
+
+/**
+ * Resolves the hero named in a command
+ * @param {string} heroText - Text left after removing command words
+ * @param {Object} entities - Tweet entities
+ * @returns {Promise<Object|null>} - Hero from the Fantasy Top API, or null if none matched
+ */
+async function resolveAlertHero(heroText, entities) {
+  if (!heroText) {
+    return null;
+  }
+
+  // Linked or cashtagged heroes with a known ID skip the name search
+  const references = await extractHeroReferences(heroText, entities);
+  for (const reference of references.filter(ref => ref.heroId)) {
+    const hero = await fetchHeroById(reference.heroId);
+    if (hero) {
+      return hero;
+    }
+  }
+
+  // Subscriptions need a confident match, a near miss would watch the wrong hero
+  const matches = (await extractHeroMatches(heroText, entities))
+    .filter(match => match.confidence >= HERO_MATCH_THRESHOLD);
+  for (const match of matches) {
+    const hero = await fetchHeroByName(match.handle);
+    if (hero) {
+      return hero;
+    }
+  }
+
+  // Not in the roster: one search, only used if the result resembles the query
+  const query = extractUnknownHeroQuery(heroText);
+  if (query) {
+    const [best] = await searchHeroesRanked(query);
+    if (best && best.confidence >= HERO_MATCH_THRESHOLD) {
+      return best.hero;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Adds (or replaces) an alert for a user
+ * @param {Object} command - Parsed add command
+ * @param {Object} context - { authorId, mention, entities }
+ * @param {Object} alerts - All alerts, modified in place
+ * @returns {Promise<string>} - Reply body
+ */
+async function addAlert(command, context, alerts) {
+  if (!command.thresholdWei) {
+    return 'Tell me the price too, e.g. "alert me when rasmr legendary < 0.5"';
+  }
+
+  const hero = await resolveAlertHero(command.heroText, context.entities);
+  if (!hero) {
+    return 'I couldn\'t find that hero. Try "alert me when rasmr legendary < 0.5"';
+  }
+
+  const rarity = command.rarity || DEFAULT_ALERT_RARITY;
+  const key = `${hero.id}_${rarity}`;
+  const userAlerts = alerts[context.authorId] || {};
+
+  // Replacing an alert on the same hero-rarity doesn't count against the cap
+  if (!userAlerts[key] && Object.keys(userAlerts).length >= MAX_ALERTS_PER_USER) {
+    return `You already have ${MAX_ALERTS_PER_USER} active alerts, the maximum. Cancel one with "cancel alert <hero>"`;
+  }
+
+  const alert = {
+    heroId: hero.id,
+    heroName: hero.handle || hero.name,
+    rarity,
+    direction: command.direction,
+    thresholdWei: command.thresholdWei,
+    tweetId: context.mention.id,
+    username: context.username,
+    createdAt: new Date().toISOString(),
+    notifyFailures: 0
+  };
+  userAlerts[key] = alert;
+  alerts[context.authorId] = userAlerts;
+
+  let currentFloor = null;
+  try {
+    currentFloor = await getLowestPriceForHeroRarity(key);
+  } catch (error) {
+    console.warn(`⚠️ Could not get current floor for ${key}: ${error.message}`);
+  }
+
+  const now = currentFloor ? ` (now Ξ${formatWeiToEth(currentFloor)})` : '';
+  return `🔔 Alert set: ${describeAlert(alert)}${now}. I'll reply here when it triggers`;
+}
+
+/**
+ * Cancels a user's alerts, either all of them or those matching a hero (and rarity)
+ * @param {Object} command - Parsed cancel command
+ * @param {Object} context - { authorId, entities }
+ * @param {Object} alerts - All alerts, modified in place
+ * @returns {Promise<string>} - Reply body
+ */
+async function cancelAlerts(command, context, alerts) {
+  const userAlerts = alerts[context.authorId] || {};
+  if (Object.keys(userAlerts).length === 0) {
+    return 'You have no active alerts';
+  }
+
+  let keys = Object.keys(userAlerts);
+  if (!command.all) {
+    const hero = await resolveAlertHero(command.heroText, context.entities);
+    if (!hero) {
+      return 'Which alert? Try "cancel alert rasmr" or "cancel all alerts"';
+    }
+    keys = keys.filter(key => userAlerts[key].heroId === hero.id &&
+      (!command.rarity || userAlerts[key].rarity === command.rarity));
+  }
+
+  if (keys.length === 0) {
+    return 'No matching alerts to cancel';
+  }
+
+  const cancelled = keys.map(key => describeAlert(userAlerts[key]));
+  keys.forEach(key => delete userAlerts[key]);
+  if (Object.keys(userAlerts).length === 0) {
+    delete alerts[context.authorId];
+  }
+
+  return `Cancelled ${cancelled.length} alert${cancelled.length === 1 ? '' : 's'}:\n${cancelled.join('\n')}`;
+}
+
+/**
+ * Lists a user's active alerts
+ * @param {Object} context - { authorId }
+ * @param {Object} alerts - All alerts
+ * @returns {string} - Reply body
+ */
+function listAlerts(context, alerts) {
+  const userAlerts = Object.values(alerts[context.authorId] || {});
+  if (userAlerts.length === 0) {
+    return 'You have no active alerts. Set one with "alert me when rasmr legendary < 0.5"';
+  }
+
+  return [
+    `Your alerts (${userAlerts.length}/${MAX_ALERTS_PER_USER}):`,
+    ...userAlerts.map((alert, index) => `${index + 1}. ${describeAlert(alert)}`)
+  ].join('\n');
+}
+
+/**
+ * Runs a parsed alert command for the author of a mention
+ * @param {Object} command - Result of parseAlertCommand
+ * @param {Object} context - Mention context
+ * @param {Object} context.mention - The mention tweet
+ * @param {string} context.authorId - Twitter user ID of the author
+ * @param {string|null} context.username - Username of the author
+ * @param {Object} context.entities - Tweet entities
+ * @param {Object} options - Options
+ * @param {boolean} options.save - Store the change; false composes the same reply without it
+ * @returns {Promise<string>} - Reply body, without the @username prefix
+ */
+export async function handleAlertCommand(command, context, { save = true } = {}) {
+  const alerts = await loadAlerts();
+
+  if (command.action === 'list') {
+    return listAlerts(context, alerts);
+  }
+
+  const reply = command.action === 'cancel'
+    ? await cancelAlerts(command, context, alerts)
+    : await addAlert(command, context, alerts);
+
+  if (save && !(await saveAlerts(alerts))) {
+    throw new Error(`Failed to save alerts for ${context.authorId}`);
+  }
+
+  return reply;
+}
+
+/**
+ * Checks every active alert against the current floor and replies to the
+ * subscription tweet of each one that triggered. Triggered alerts are removed.
+ *
+ * @returns {Promise<Object>} - { checked, triggered }
+ */
+export async function checkPriceAlerts() {
+  const alerts = await loadAlerts();
+  const entries = Object.entries(alerts).flatMap(([authorId, userAlerts]) =>
+    Object.entries(userAlerts).map(([key, alert]) => ({ authorId, key, alert })));
+
+  const result = { checked: entries.length, triggered: 0 };
+  if (entries.length === 0) {
+    return result;
+  }
+
+  // A dry run only records notifications, so it works without tokens
+  const dryRun = isDryRun();
+  const tokens = dryRun ? null : await loadTokens();
+  if (!dryRun && !tokens) {
+    console.error('No valid tokens found. Cannot send alert notifications.');
+    return result;
+  }
+
+  // Fetch each hero-rarity floor once, however many users watch it
+  const floors = {};
+  for (const key of new Set(entries.map(entry => entry.key))) {
+    try {
+      floors[key] = await getLowestPriceForHeroRarity(key);
+    } catch (error) {
+      console.warn(`⚠️ Could not get floor for ${key}: ${error.message}`);
+    }
+  }
+
+  // A dry run leaves triggered alerts active, so it remembers which ones it
+  // already notified about instead of recording them again on every run
+  const firedAlerts = dryRun ? await loadDryRunFiredAlerts() : {};
+  const activeAlertIds = new Set(entries.map(({ authorId, key, alert }) => getAlertId(authorId, key, alert)));
+  let firedAlertsChanged = false;
+  for (const alertId of Object.keys(firedAlerts)) {
+    if (!activeAlertIds.has(alertId)) {
+      delete firedAlerts[alertId];
+      firedAlertsChanged = true;
+    }
+  }
+
+  let changed = false;
+  for (const { authorId, key, alert } of entries) {
+    const floor = floors[key];
+    if (!floor) {
+      continue;
+    }
+
+    const floorWei = BigInt(floor);
+    const thresholdWei = BigInt(alert.thresholdWei);
+    const triggered = alert.direction === 'above' ? floorWei >= thresholdWei : floorWei <= thresholdWei;
+    if (!triggered) {
+      continue;
+    }
+
+    const mention = alert.username ? `@${alert.username} ` : '';
+    const text = `${mention}🔔 ${alert.heroName} ${getRarityName(alert.rarity)} floor is now Ξ${formatWeiToEth(floor)}, ` +
+      `${alert.direction} your Ξ${formatWeiToEth(alert.thresholdWei)} alert`;
+
+    // A dry run only records the notification, once; the alert stays active
+    if (dryRun) {
+      const alertId = getAlertId(authorId, key, alert);
+      if (!firedAlerts[alertId]) {
+        await recordDryRunTweet({ source: 'alert', replyToTweetId: alert.tweetId, parts: [text], metadata: { authorId, alertKey: key } });
+        firedAlerts[alertId] = new Date().toISOString();
+        firedAlertsChanged = true;
+        result.triggered++;
+      }
+      continue;
+    }
+
+    try {
+      await postTweet(tokens, text, alert.tweetId);
+      console.log(`🔔 Alert triggered for ${authorId}: ${describeAlert(alert)}`);
+      delete alerts[authorId][key];
+      result.triggered++;
+    } catch (error) {
+      await recordError(error, `Failed to send alert ${key} to ${authorId}`);
+      alert.notifyFailures = (alert.notifyFailures || 0) + 1;
+      if (alert.notifyFailures >= MAX_NOTIFY_FAILURES) {
+        console.warn(`⚠️ Dropping alert ${key} for ${authorId} after ${alert.notifyFailures} failed notifications`);
+        delete alerts[authorId][key];
+      }
+    }
+    changed = true;
+
+    if (Object.keys(alerts[authorId]).length === 0) {
+      delete alerts[authorId];
+    }
+  }
+
+  if (changed) {
+    await saveAlerts(alerts);
+  }
+  if (firedAlertsChanged) {
+    await saveDryRunFiredAlerts(firedAlerts);
+  }
+
+  return result;
+}
@@ -6,12 +6,15 @@ import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import { resetState } from './stateManager.mjs';
+import { twitterApiUrl, twitterWebUrl } from './utils/twitterEndpoints.mjs';
 
 // Define Twitter OAuth 1.0a endpoints.
 // Reverting to api.twitter.com since the X migration isn't complete on API side
-const requestTokenURL = 'https://api.twitter.com/oauth/request_token';
-const accessTokenURL = 'https://api.twitter.com/oauth/access_token';
-const authorizeURL = 'https://twitter.com/oauth/authorize';
+// (the base URLs can be pointed at a local mock, see utils/twitterEndpoints.mjs,
+// so the full URLs are built on each call)
+const REQUEST_TOKEN_PATH = '/oauth/request_token';
+const ACCESS_TOKEN_PATH = '/oauth/access_token';
+const AUTHORIZE_PATH = '/oauth/authorize';
 
 // Track current user to detect account changes
 let currentUserId = null;
@@ -44,7 +47,7 @@ export async function requestToken() {
   
   // Request token URL with callback parameter in the query string
   // This was causing the 401 error - Twitter expects callback as a parameter
-  const url = `${requestTokenURL}?oauth_callback=oob`;
+  const url = `${twitterApiUrl(REQUEST_TOKEN_PATH)}?oauth_callback=oob`;
   
   const authHeader = oauth.toHeader(
     oauth.authorize({
@@ -81,7 +84,7 @@ export async function requestToken() {
     return {
       oauth_token: bodyObj.oauth_token,
       oauth_token_secret: bodyObj.oauth_token_secret,
-      authorizeURL: `${authorizeURL}?oauth_token=${bodyObj.oauth_token}`
+      authorizeURL: `${twitterWebUrl(AUTHORIZE_PATH)}?oauth_token=${bodyObj.oauth_token}`
     };
   } catch (error) {
     console.error('❌ Error obtaining request token:', error);
@@ -108,6 +111,7 @@ export async function requestToken() {
 export async function accessToken(oAuthRequestToken, verifier) {
   console.log('🔑 Requesting OAuth access token with PIN:', verifier);
 
+  const accessTokenURL = twitterApiUrl(ACCESS_TOKEN_PATH);
   const authHeader = oauth.toHeader(
     oauth.authorize({
       url: accessTokenURL,
@@ -267,7 +271,7 @@ export async function refreshTokens() {
     }
     
     // Test if tokens are valid with a simple API call
-    const testUrl = `https://api.twitter.com/2/users/${tokens.user_id}`;
+    const testUrl = twitterApiUrl(`/2/users/${tokens.user_id}`);
     
     const token = {
       key: tokens.oauth_token,
@@ -3,25 +3,37 @@
  * 
  * This file handles:
  * 1. Twitter authentication
- * 2. Command-line interface for various bot actions
+ * 2. Command-line interface for various bot actions: the numbered menu when
+ *    run without arguments, or subcommands for cron, systemd and CI
  * 3. Scheduled polling for mentions (when enabled)
  * 4. Manual tweet posting capabilities
+ *
+ * Importing this file has no side effects; the menu, the OAuth flow and the
+ * polling intervals only start when it is run directly.
  */
 import dotenv from 'dotenv';
 dotenv.config();
 import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { requestToken, accessToken, loadTokens, saveTokens, resetTokensAndState, detectUserIdChange } from './auth.mjs';
 import { postTweet } from './twitterClient.mjs';
 import { getHeroMarketInfo } from './fantasyService.mjs';
 import { processMentions, testProcessMention } from './mentionProcessor.mjs';
-import { getStatistics } from './stateManager.mjs';
+import { buildDailyDigest, postDailyDigest } from './digest.mjs';
+import { syncHeroRoster, formatRosterDiff } from './heroRoster.mjs';
+import { getStatistics, logStateConfiguration } from './stateManager.mjs';
 import { testTwitterPosting } from './utils/debugTools.mjs';
+import { composeThread } from './utils/replyComposer.mjs';
+import { loadHeroAliases, addHeroAlias } from './utils/heroExtractor.mjs';
+import { ACCESS_LISTS, getAccessLists, addAccessListEntry, removeAccessListEntry, setAllowlistOnly } from './accessLists.mjs';
+import { getTweetLength, MAX_TWEET_LENGTH } from './utils/tweetLength.mjs';
+import { isDryRun, recordDryRunTweet } from './dryRun.mjs';
+import { logToStderr } from './utils/cliOutput.mjs';
 
-// Setup readline interface for command-line interaction
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface for command-line interaction, created on the first prompt
+let rl = null;
 
 /**
  * Prompts the user for input with the given prompt text
@@ -29,9 +41,23 @@ const rl = readline.createInterface({
  * @returns {Promise<string>} - The user's input
  */
 function input(prompt) {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
   return new Promise((resolve) => rl.question(prompt, resolve));
 }
 
+/**
+ * Closes the readline interface, if a prompt opened one
+ */
+function closeInput() {
+  rl?.close();
+  rl = null;
+}
+
 /**
  * Convert wei value to ETH and format as a readable string.
  * Enhanced with better debugging and edge case handling.
@@ -71,32 +97,15 @@ function formatWeiToEth(weiValue, decimals = 3) {
 }
 
 /**
- * Composes and posts a tweet with hero info from Fantasy Top,
- * including detailed market information by rarity.
+ * Builds the hero info tweet with detailed market information by rarity,
+ * split into a thread when it doesn't fit in one tweet.
  *
- * @param {string} heroName - The hero name (or handle) to search for.
- * @param {string|null} replyToTweetId - (Optional) A tweet ID to reply to.
+ * @param {Object} heroInfo - Hero market info from getHeroMarketInfo
+ * @returns {string[]} - Tweet texts in thread order
  */
-async function postHeroInfoTweet(heroName, replyToTweetId = null) {
-  let heroInfo;
-  try {
-    // Fetch detailed hero market information with raw wei values
-    heroInfo = await getHeroMarketInfo(heroName);
-    if (!heroInfo) {
-      console.error(`No hero found with the name: "${heroName}"`);
-      return;
-    }
-    
-    // Debug log the full data structure
-    console.log('Hero info received:');
-    console.log(JSON.stringify(heroInfo, null, 2));
-  } catch (error) {
-    console.error(`Error fetching hero info for "${heroName}":`, error);
-    return;
-  }
-
+function buildHeroInfoTweet(heroInfo) {
   // Construct the tweet text with focused market information
-  let message = `${heroInfo.name}\n\n`;
+  const lines = [];
   
   // Add market information for each rarity level - focus on supply, floor price, and last sale
   // Convert the object to an array and sort by rarity (use the rarity key which is 1-4)
@@ -144,28 +153,72 @@ async function postHeroInfoTweet(heroName, replyToTweetId = null) {
       line += ` (${marketData.join(', ')})`;
     }
     
-    message += line + '\n';
+    lines.push(line);
   });
 
-  // Add a call to action
-  message += `\nCheck out more on Fantasy Top!`;
+  // Add a call to action if it fits, splitting into a thread when needed
+  return composeThread([heroInfo.name, lines.join('\n')], {
+    footer: 'Check out more on Fantasy Top!'
+  });
+}
+
+/**
+ * Composes and posts a tweet with hero info from Fantasy Top,
+ * including detailed market information by rarity.
+ *
+ * @param {string} heroName - The hero name (or handle) to search for.
+ * @param {string|null} replyToTweetId - (Optional) A tweet ID to reply to.
+ * @returns {Promise<boolean>} - True if the tweet was posted (or recorded in a dry run)
+ */
+async function postHeroInfoTweet(heroName, replyToTweetId = null) {
+  let heroInfo;
+  try {
+    // Fetch detailed hero market information with raw wei values
+    heroInfo = await getHeroMarketInfo(heroName);
+    if (!heroInfo) {
+      console.error(`No hero found with the name: "${heroName}"`);
+      return false;
+    }
+    
+    // Debug log the full data structure
+    console.log('Hero info received:');
+    console.log(JSON.stringify(heroInfo, null, 2));
+  } catch (error) {
+    console.error(`Error fetching hero info for "${heroName}":`, error);
+    return false;
+  }
+
+  const parts = buildHeroInfoTweet(heroInfo);
   
   // Debug the final message
   console.log('Final tweet message:');
-  console.log(message);
+  parts.forEach(part => {
+    console.log(part);
+    console.log(`📏 Weighted length: ${getTweetLength(part)}/${MAX_TWEET_LENGTH}`);
+  });
+
+  if (isDryRun()) {
+    await recordDryRunTweet({ source: 'post', replyToTweetId, parts, metadata: { heroName: heroInfo.name } });
+    return true;
+  }
 
   try {
     const tokens = await loadTokens();
     if (!tokens) {
       console.error('No valid tokens found. Please authenticate first.');
-      return;
+      return false;
     }
     console.log('Posting tweet with hero info...');
-    console.log(message)
-    const response = await postTweet(tokens, message, replyToTweetId);
-    console.log('Tweet posted successfully:', response);
+    let previousId = replyToTweetId;
+    for (const part of parts) {
+      const response = await postTweet(tokens, part, previousId);
+      previousId = response?.data?.id || previousId;
+      console.log('Tweet posted successfully:', response);
+    }
+    return true;
   } catch (error) {
     console.error('Error posting tweet:', error);
+    return false;
   }
 }
 
@@ -196,6 +249,7 @@ function createHeroInfoResponse(heroInfo, username) {
   }
   
   message += '\n\nCheck out more on Fantasy Top!';
+  console.log(`📏 Weighted length: ${getTweetLength(message)}/${MAX_TWEET_LENGTH}`);
   return message;
 }
 
@@ -242,6 +296,53 @@ async function showStatistics() {
     console.log('No performance data available yet');
   }
   
+  console.log(`\n🗄️ API CACHE:`);
+  if (stats.cache && stats.cache.hits + stats.cache.misses > 0) {
+    console.log(`- Hits: ${stats.cache.hits}, misses: ${stats.cache.misses} (${stats.cache.hitRate}% hit rate)`);
+    Object.entries(stats.cache.byType).forEach(([type, counts]) => {
+      console.log(`  - ${type}: ${counts.hits} hits, ${counts.misses} misses`);
+    });
+  } else {
+    console.log('No cache data available yet');
+  }
+  
+  console.log(`\n🚦 PER-USER RATE LIMITS:`);
+  if (stats.rateLimits && stats.rateLimits.blocked > 0) {
+    console.log(`- Blocked mentions: ${stats.rateLimits.blocked} (${stats.rateLimits.warned} slow down replies)`);
+    Object.entries(stats.rateLimits.byReason).forEach(([reason, count]) => {
+      console.log(`  - Over ${reason} limit: ${count}`);
+    });
+    if (stats.rateLimits.lastBlocked) {
+      console.log(`- Last blocked: ${stats.rateLimits.lastBlocked.authorId} at ${stats.rateLimits.lastBlocked.timestamp}`);
+    }
+  } else {
+    console.log('No blocked mentions yet');
+  }
+  
+  console.log(`\n🛡️ SKIPPED MENTIONS:`);
+  if (stats.skips && stats.skips.count > 0) {
+    console.log(`- Total skipped: ${stats.skips.count}`);
+    Object.entries(stats.skips.byReason).forEach(([reason, count]) => {
+      console.log(`  - ${reason}: ${count}`);
+    });
+    stats.skips.recent.slice(0, 5).forEach(skip => {
+      console.log(`- ${skip.timestamp}: tweet ${skip.tweetId} (${skip.reason}${skip.detail ? `: ${skip.detail}` : ''})`);
+    });
+  } else {
+    console.log('No skipped mentions yet');
+  }
+
+  console.log(`\n🧪 DRY RUN${isDryRun() ? ' (DRY_RUN is on)' : ''}:`);
+  if (stats.dryRun && stats.dryRun.count > 0) {
+    console.log(`- Would-be tweets recorded: ${stats.dryRun.count}`);
+    stats.dryRun.replies.slice(0, 5).forEach(reply => {
+      const target = reply.replyToTweetId ? ` to ${reply.replyToTweetId}` : '';
+      console.log(`- ${reply.recordedAt}: ${reply.source}${target}: "${reply.parts[0].substring(0, 60)}..."`);
+    });
+  } else {
+    console.log('No dry run replies recorded');
+  }
+
   console.log(`\n❌ ERRORS:`);
   console.log(`- Total errors: ${stats.errors.count}`);
   if (stats.errors.last) {
@@ -254,9 +355,39 @@ async function showStatistics() {
 }
 
 /**
- * Main entry point: ensures tokens exist, then presents menu of actions
+ * Runs the OAuth PIN flow and saves the new tokens
+ * @returns {Promise<Object|null>} - The tokens, or null if authentication failed
+ */
+async function authenticate() {
+  try {
+    const oAuthRequestToken = await requestToken();
+    
+    console.log('🌐 Please go to the following URL to authorize your app:');
+    console.log(`${oAuthRequestToken.authorizeURL}`);
+    
+    const pin = await input('📌 Enter the PIN provided by Twitter: ');
+    
+    const tokens = await accessToken(oAuthRequestToken, pin.trim());
+    await saveTokens(tokens);
+    console.log('✅ Authentication successful!');
+    return tokens;
+  } catch (authError) {
+    console.error('❌ Authentication failed:', authError.message);
+    console.error('Please verify your API keys and try again.');
+    
+    // Show API key debugging info 
+    console.log('\nAPI Key Debug Info:');
+    console.log(`- CONSUMER_KEY starts with: ${process.env.CONSUMER_KEY?.substring(0, 5) || 'undefined'}`);
+    console.log(`- CONSUMER_SECRET exists: ${Boolean(process.env.CONSUMER_SECRET)}`);
+    console.log(`- TWITTER_USER_ID exists: ${Boolean(process.env.TWITTER_USER_ID)}`);
+    return null;
+  }
+}
+
+/**
+ * Interactive mode: ensures tokens exist, then presents menu of actions
  */
-(async () => {
+async function runMenu() {
   console.log('🤖 Fantasy Top Twitter Bot Starting...');
   
   // Check for user ID changes between config and tokens
@@ -275,29 +406,8 @@ async function showStatistics() {
   try {
     if (!tokens) {
       console.log('🔄 No tokens found. Starting OAuth authentication flow...');
-      
-      try {
-        const oAuthRequestToken = await requestToken();
-        
-        console.log('🌐 Please go to the following URL to authorize your app:');
-        console.log(`${oAuthRequestToken.authorizeURL}`);
-        
-        const pin = await input('📌 Enter the PIN provided by Twitter: ');
-        
-        tokens = await accessToken(oAuthRequestToken, pin.trim());
-        await saveTokens(tokens);
-        console.log('✅ Authentication successful!');
-      } catch (authError) {
-        console.error('❌ Authentication failed:', authError.message);
-        console.error('Please verify your API keys and try again.');
-        
-        // Show API key debugging info 
-        console.log('\nAPI Key Debug Info:');
-        console.log(`- CONSUMER_KEY starts with: ${process.env.CONSUMER_KEY?.substring(0, 5) || 'undefined'}`);
-        console.log(`- CONSUMER_SECRET exists: ${Boolean(process.env.CONSUMER_SECRET)}`);
-        console.log(`- TWITTER_USER_ID exists: ${Boolean(process.env.TWITTER_USER_ID)}`);
-        
-        rl.close();
+      tokens = await authenticate();
+      if (!tokens) {
         return;
       }
     }
@@ -315,7 +425,11 @@ async function showStatistics() {
       '8. Show bot statistics\n' +
       '9. Test reply to all types of mentions\n' +
       '10. Check user ID configuration\n' +
-      '11. Debug Twitter posting issues\n';
+      '11. Debug Twitter posting issues\n' +
+      '12. Preview & post daily digest\n' +
+      '13. List & add hero aliases\n' +
+      '14. Sync hero roster from Fantasy Top\n' +
+      '15. Manage blocklist & allowlist\n';
     
     const action = await input(`${menuText}Enter number: `);
     
@@ -510,6 +624,106 @@ async function showStatistics() {
           }
           break;
           
+        case '12':
+          // Preview the daily digest and optionally post it
+          console.log('📰 Building daily digest...');
+          const digest = await buildDailyDigest();
+          
+          if (digest.parts.length === 0) {
+            console.log('ℹ️ Nothing to report yet - no requested heroes, movers or new bids.');
+            break;
+          }
+          
+          digest.parts.forEach((part, index) => {
+            console.log(`\n--- Tweet ${index + 1}/${digest.parts.length} (${getTweetLength(part)} chars) ---`);
+            console.log(part);
+          });
+          
+          const shouldPostDigest = await input('\nPost this digest? (y/n): ');
+          if (shouldPostDigest.toLowerCase() === 'y') {
+            const force = (await input('Post even if today\'s digest was already posted? (y/n): ')).toLowerCase() === 'y';
+            const digestResult = await postDailyDigest({ force });
+            console.log(`📰 Digest ${digestResult.status} for ${digestResult.date}`);
+          }
+          break;
+          
+        case '13':
+          // Show the alias dictionary and optionally extend it
+          const aliases = await loadHeroAliases();
+          const aliasEntries = Object.entries(aliases);
+          
+          console.log('\n🏷️ HERO ALIASES:');
+          if (aliasEntries.length === 0) {
+            console.log('No aliases yet.');
+          }
+          aliasEntries
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([handle, heroAliases]) => console.log(`- ${handle}: ${heroAliases.join(', ')}`));
+          
+          const aliasHandle = await input('\nHero handle to add an alias for (or press Enter to skip): ');
+          if (!aliasHandle.trim()) {
+            break;
+          }
+          
+          const newAlias = await input('💬 Enter the alias (e.g., "bonk guy"): ');
+          if (await addHeroAlias(aliasHandle, newAlias)) {
+            console.log(`✅ "${newAlias.trim()}" now matches ${aliasHandle.trim()}`);
+          } else {
+            console.log(`ℹ️ ${aliasHandle.trim()} already has that alias`);
+          }
+          break;
+          
+        case '14':
+          // Preview the roster changes first, then save them on confirmation
+          console.log('🦸 Fetching hero roster from Fantasy Top...');
+          const rosterPreview = await syncHeroRoster({ dryRun: true, force: true });
+          console.log(`\n${formatRosterDiff(rosterPreview.report)}`);
+          
+          const shouldSyncRoster = await input('\nSave this roster to state and all_heroes.json? (y/n): ');
+          if (shouldSyncRoster.toLowerCase() === 'y') {
+            const rosterResult = await syncHeroRoster({ force: true });
+            console.log(`✅ Hero roster ${rosterResult.status} (${rosterResult.report.currentCount} heroes)`);
+          }
+          break;
+          
+        case '15':
+          // Show the access lists, then add, remove or switch allowlist-only mode
+          const accessLists = await getAccessLists();
+          const listNames = Object.keys(ACCESS_LISTS);
+          
+          console.log(`\n🛡️ ACCESS LISTS (allowlist-only mode: ${accessLists.allowlistOnly ? 'on' : 'off'}):`);
+          listNames.forEach((listName, idx) => {
+            const entries = accessLists[listName];
+            console.log(`${idx+1}. ${ACCESS_LISTS[listName]}: ${entries.length > 0 ? entries.join(', ') : '(empty)'}`);
+          });
+          
+          const listAction = (await input('\n(a)dd, (r)emove, (m)ode toggle, or press Enter to skip: ')).trim().toLowerCase();
+          if (listAction === 'm') {
+            await setAllowlistOnly(!accessLists.allowlistOnly);
+            console.log(`✅ Allowlist-only mode ${accessLists.allowlistOnly ? 'off' : 'on'}`);
+            break;
+          }
+          if (listAction !== 'a' && listAction !== 'r') {
+            break;
+          }
+          
+          const listNumber = parseInt(await input(`List number (1-${listNames.length}): `), 10);
+          const listName = listNames[listNumber - 1];
+          if (!listName) {
+            console.log('⚠️ Invalid list selected');
+            break;
+          }
+          
+          const listEntry = await input('💬 Enter the user ID, handle or keyword pattern: ');
+          if (listAction === 'a') {
+            const added = await addAccessListEntry(listName, listEntry);
+            console.log(added ? `✅ Added to ${ACCESS_LISTS[listName]}` : `ℹ️ Already in ${ACCESS_LISTS[listName]}`);
+          } else {
+            const removed = await removeAccessListEntry(listName, listEntry);
+            console.log(removed ? `✅ Removed from ${ACCESS_LISTS[listName]}` : `ℹ️ Not in ${ACCESS_LISTS[listName]}`);
+          }
+          break;
+          
         default:
           console.log('⚠️ Invalid option selected');
       }
@@ -519,18 +733,18 @@ async function showStatistics() {
   } catch (error) {
     console.error('❌ Fatal error:', error.message);
   } finally {
-    rl.close();
+    closeInput();
   }
-})();
+}
 
 // Modify the polling interval to avoid rate limiting
 // Poll less frequently - every 15 minutes instead of every minute
 const POLLING_INTERVAL = 15 * 60 * 1000; // 15 minutes in milliseconds
 
-// Only start polling if explicitly enabled
-const enablePolling = process.env.ENABLE_MENTION_POLLING === 'true';
-
-if (enablePolling) {
+/**
+ * Processes mentions now and then every POLLING_INTERVAL
+ */
+function startMentionPolling() {
   console.log(`Mention polling enabled. Will check every ${POLLING_INTERVAL/60000} minutes.`);
   // For MVP, poll for mentions at a reasonable interval:
   setInterval(() => {
@@ -540,6 +754,251 @@ if (enablePolling) {
   // Optionally, you can call processMentions() once at startup:
   console.log('Performing initial mention check...');
   processMentions().catch(err => console.error('Error processing mentions on startup:', err));
-} else {
-  console.log('Mention polling is disabled. Use manual options to test functionality.');
+}
+
+// The daily digest has its own schedule, separate from mention polling.
+// Check hourly and post once the configured UTC hour is reached - the
+// digest record in state makes sure it only goes out once per day.
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour in milliseconds
+const DIGEST_HOUR_UTC = parseInt(process.env.DIGEST_HOUR_UTC || '14', 10);
+
+// Optionally refresh the hero roster on a schedule as well
+const ROSTER_SYNC_INTERVAL = parseInt(process.env.ROSTER_SYNC_HOURS || '24', 10) * 60 * 60 * 1000;
+
+/**
+ * Starts the mention polling, daily digest and roster sync intervals
+ * that are enabled in the environment
+ */
+function startScheduledJobs() {
+  // Only start polling if explicitly enabled
+  if (process.env.ENABLE_MENTION_POLLING === 'true') {
+    startMentionPolling();
+  } else {
+    console.log('Mention polling is disabled. Use manual options to test functionality.');
+  }
+
+  if (process.env.ENABLE_DAILY_DIGEST === 'true') {
+    console.log(`Daily digest enabled. Will post once a day after ${DIGEST_HOUR_UTC}:00 UTC.`);
+    setInterval(() => {
+      if (new Date().getUTCHours() >= DIGEST_HOUR_UTC) {
+        postDailyDigest().catch(err => console.error('Error posting daily digest:', err));
+      }
+    }, DIGEST_CHECK_INTERVAL);
+  }
+
+  if (process.env.ENABLE_ROSTER_SYNC === 'true') {
+    console.log(`Hero roster sync enabled. Will sync every ${ROSTER_SYNC_INTERVAL/3600000} hours.`);
+    setInterval(() => {
+      syncHeroRoster().catch(err => console.error('Error syncing hero roster:', err));
+    }, ROSTER_SYNC_INTERVAL);
+  }
+}
+
+// Exit codes of the subcommands
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+const USAGE = `
+Fantasy Top Twitter Bot
+
+Usage:
+  node bot.mjs                            Interactive menu (and polling, when enabled)
+  node bot.mjs <command> [options]
+
+Commands:
+  lookup <hero> [--json]                  Print a hero's market info without posting
+  process-mentions --once [--json]        Process new mentions once and exit
+  process-mentions                        Keep processing mentions every ${POLLING_INTERVAL/60000} minutes
+  stats [--json]                          Show bot statistics
+  reset-state --yes                       Clear tokens, mention progress and statistics
+  auth login [--force]                    Run the OAuth PIN flow and save tokens
+  auth status                             Check for tokens matching TWITTER_USER_ID
+  post <hero> [--reply-to <tweetId>]      Post the hero info tweet
+
+Options:
+  --dry-run                               Same as DRY_RUN=true: log tweets instead of posting
+  --help                                  Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage
+`;
+
+/**
+ * Writes a value as JSON to the given stream
+ * @param {Object} stdout - Stream to write to
+ * @param {*} value - Value to write
+ */
+function writeJson(stdout, value) {
+  stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Runs one subcommand for cron, systemd or CI
+ * @param {string[]} args - Command line arguments after `node bot.mjs`
+ * @param {Object} options - CLI options
+ * @param {Object} options.stdout - Stream for --json output (default: process.stdout)
+ * @returns {Promise<number|null>} - Exit code, or null if the command keeps running
+ */
+export async function runCli(args, { stdout = process.stdout } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        once: { type: 'boolean' },
+        json: { type: 'boolean' },
+        yes: { type: 'boolean' },
+        force: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        'reply-to': { type: 'string' },
+        help: { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  const heroName = rest.join(' ').trim();
+
+  if (flags.help || command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!command) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (flags['dry-run']) {
+    process.env.DRY_RUN = 'true';
+  }
+
+  // Keep stdout clean for JSON: everything the bot logs goes to stderr instead
+  const restoreLog = flags.json ? logToStderr() : null;
+  logStateConfiguration();
+
+  try {
+    switch (command) {
+      case 'lookup': {
+        if (!heroName) {
+          console.error('❌ Usage: lookup <hero>');
+          return EXIT_CODES.USAGE;
+        }
+        const heroInfo = await getHeroMarketInfo(heroName);
+        if (!heroInfo) {
+          console.error(`❌ No hero found with the name: "${heroName}"`);
+          return EXIT_CODES.FAILURE;
+        }
+        if (flags.json) {
+          writeJson(stdout, heroInfo);
+        } else {
+          buildHeroInfoTweet(heroInfo).forEach(part => console.log(`\n${part}`));
+        }
+        return EXIT_CODES.OK;
+      }
+
+      case 'process-mentions': {
+        if (!flags.once) {
+          startMentionPolling();
+          return null;
+        }
+        const stats = await processMentions();
+        if (!stats) {
+          console.error('❌ Processing mentions returned no statistics');
+          return EXIT_CODES.FAILURE;
+        }
+        if (flags.json) {
+          writeJson(stdout, stats);
+        } else {
+          console.log(`✅ Mentions found: ${stats.mentionsFound}, processed: ${stats.mentionsProcessed}, replies sent: ${stats.repliesSent}, skipped: ${stats.skipped}, errors: ${stats.errors}`);
+        }
+        if (stats.stoppedByRateLimit) {
+          console.error('⚠️ Stopped early by a Fantasy Top rate limit, the remaining mentions are retried on the next run');
+        }
+        return stats.errors > 0 || stats.stoppedByRateLimit ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+      }
+
+      case 'stats':
+        if (flags.json) {
+          writeJson(stdout, await getStatistics());
+        } else {
+          await showStatistics();
+        }
+        return EXIT_CODES.OK;
+
+      case 'reset-state':
+        if (!flags.yes) {
+          console.error('❌ reset-state clears the Twitter tokens, mention progress and statistics. Run it with --yes to confirm.');
+          return EXIT_CODES.USAGE;
+        }
+        return await resetTokensAndState() ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+
+      case 'auth': {
+        const tokens = await loadTokens();
+        const authenticated = Boolean(tokens?.oauth_token);
+
+        if (rest[0] === 'status') {
+          // loadTokens also returns null when the tokens belong to another TWITTER_USER_ID
+          if (!authenticated) {
+            console.error('❌ No tokens for the configured TWITTER_USER_ID. Run `node bot.mjs auth login`.');
+            return EXIT_CODES.FAILURE;
+          }
+          console.log(`✅ Authenticated as @${tokens.screen_name || 'unknown'} (${tokens.user_id})`);
+          return EXIT_CODES.OK;
+        }
+
+        if (rest[0] === 'login') {
+          if (authenticated && !flags.force) {
+            console.log(`✅ Already authenticated as @${tokens.screen_name || 'unknown'}. Use --force to authenticate again.`);
+            return EXIT_CODES.OK;
+          }
+          return await authenticate() ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+        }
+
+        console.error('❌ Usage: auth login|status');
+        return EXIT_CODES.USAGE;
+      }
+
+      case 'post':
+        if (!heroName) {
+          console.error('❌ Usage: post <hero> [--reply-to <tweetId>]');
+          return EXIT_CODES.USAGE;
+        }
+        return await postHeroInfoTweet(heroName, flags['reply-to'] || null) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+
+      default:
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    return EXIT_CODES.FAILURE;
+  } finally {
+    restoreLog?.();
+    closeInput();
+  }
+}
+
+// Run the menu or a subcommand when executed directly
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    logStateConfiguration();
+    startScheduledJobs();
+    await runMenu();
+  } else {
+    const exitCode = await runCli(args);
+    if (exitCode !== null) {
+      process.exitCode = exitCode;
+    }
+  }
 }
@@ -0,0 +1,30 @@
+/**
+ * Alert subscriptions: add, cancel or list price alerts from a mention
+ */
+import { handleAlertCommand } from '../alerts.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+
+/**
+ * Runs an alert command and replies with the result.
+ * Alerts are only stored when the reply can be posted; a preview
+ * (no tokens) gets the same reply and leaves subscriptions untouched.
+ *
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object>} - Reply { parts, mediaIds, metadata }
+ */
+export async function handleAlert(request) {
+  const { intent, mention, entities, username, tokens } = request;
+  const command = intent.command;
+
+  const body = await handleAlertCommand(
+    command,
+    { mention, authorId: mention.author_id, username, entities },
+    { save: Boolean(tokens) }
+  );
+
+  return {
+    parts: composeThread([username ? `@${username} ${body}` : body]),
+    mediaIds: [],
+    metadata: { mentionType: 'alert', alertAction: command.action }
+  };
+}
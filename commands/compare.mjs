@@ -0,0 +1,88 @@
+/**
+ * Comparison: floor, last sale and supply of several heroes side by side
+ */
+import { formatWeiToEth, getRarityName } from '../utils/formatters.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+import { lookupHeroes, createSuggestionReply } from './heroLookup.mjs';
+import { createPriceReply } from './price.mjs';
+
+// How many heroes a single comparison reply can cover
+const MAX_COMPARE_HEROES = 4;
+
+/**
+ * Creates a side-by-side comparison of several heroes.
+ * Each rarity gets its own block with one line per hero, and the
+ * blocks are split into a numbered reply thread when they don't fit in one tweet.
+ *
+ * @param {Array<Object>} heroInfos - Hero information objects to compare
+ * @param {string|null} username - Username to mention in the first tweet
+ * @param {number|null} rarity - Rarity level (1-4) to compare, or null for all rarities
+ * @returns {Object} - Thread parts and the names of the compared heroes
+ */
+function createComparisonResponse(heroInfos, username, rarity = null) {
+  const heroNames = heroInfos.map(hero => hero.name);
+
+  let header = username ? `@${username} ` : '';
+  header += `${heroNames.join(' vs ')}\n(floor / last sale / supply)`;
+
+  // Use the first hero's rarities as the reference order (Legendary first)
+  const rarityLevels = Object.values(heroInfos[0].marketInfo)
+    .sort((a, b) => a.rarity - b.rarity)
+    .map(info => info.rarity)
+    .filter(level => !rarity || level === rarity);
+
+  const blocks = rarityLevels.map(level => {
+    const lines = heroInfos.map(hero => {
+      const info = hero.marketInfo[level] || {};
+      const floor = formatWeiToEth(info.floorPrice);
+      const last = formatWeiToEth(info.lastSellPrice);
+      return `${hero.name}: ` +
+        `${floor !== 'N/A' ? `Ξ${floor}` : '-'} / ` +
+        `${last !== 'N/A' ? `Ξ${last}` : '-'} / ` +
+        `${info.supply || 0}`;
+    });
+
+    const rarityName = heroInfos[0].marketInfo[level]?.rarityName || getRarityName(level);
+    return [rarityName, ...lines].join('\n');
+  });
+
+  const parts = composeThread([header, ...blocks], { keepBlocks: true });
+  console.log(`📏 Comparison of ${heroNames.length} heroes split into ${parts.length} tweet(s)`);
+
+  return {
+    parts,
+    heroNames
+  };
+}
+
+/**
+ * Compares the heroes found in the mention.
+ * With only one hero found it answers with that hero's price reply instead.
+ *
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object|null>} - Reply, or null if no hero was found
+ */
+export async function handleCompare(request) {
+  const { intent, entities, username, mentionType } = request;
+
+  const { heroes, suggestion } = await lookupHeroes(intent.heroText, entities, MAX_COMPARE_HEROES);
+  if (heroes.length === 0) {
+    return createSuggestionReply(suggestion, username);
+  }
+  if (heroes.length < 2) {
+    return createPriceReply(heroes[0], request);
+  }
+
+  // The comparison header already mentions the author
+  const { parts, heroNames } = createComparisonResponse(heroes, username, intent.rarity);
+  const metadata = {
+    heroName: heroes[0].name,
+    mentionType: mentionType.isDirect ? 'direct' : 'indirect',
+    comparedHeroes: heroNames
+  };
+  if (intent.rarity) {
+    metadata.rarity = getRarityName(intent.rarity);
+  }
+
+  return { parts, mediaIds: [], metadata };
+}
@@ -0,0 +1,136 @@
+/**
+ * Grammar for mention text: maps the cleaned text of a mention to an intent
+ *
+ * Intents are tried from most to least specific. Text that matches none of
+ * them is a price lookup, which is what every mention used to be.
+ */
+import { parseAlertCommand } from '../alerts.mjs';
+import { isComparisonRequest, extractRarity } from '../utils/heroExtractor.mjs';
+import { parseDuration } from '../priceHistory.mjs';
+
+// Reserved verbs and the help topic each one shows
+const RESERVED_VERBS = {
+  help: 'help',
+  commands: 'help',
+  about: 'about'
+};
+
+// Filler allowed around a reserved verb, e.g. "show commands" or "help pls"
+const FILLER_WORDS = ['please', 'pls', 'show', 'list', 'send', 'me', 'the', 'your', 'all', 'bot'];
+
+// "top", "top movers", "biggest gainers 7d"
+const TOP_PATTERN = /^top\b|\b(movers|gainers|losers)\b/i;
+
+// "rasmr history", "rasmr chart 7d"
+const HISTORY_PATTERN = /\b(history|chart|trend)\b/i;
+
+// A lookback window, either short form ("24h", "7d", "2w", "1mo") or "past day/week/month".
+// A bare "1m" is matched too, so it can be answered with a clarification.
+const WINDOW_PATTERN = /\b(\d+\s*(?:min|mo|m|h|d|w))\b|\b(?:past|last|this)\s+(day|week|month)\b/i;
+const WINDOW_WORDS = { day: '24h', week: '7d', month: '30d' };
+
+// Words that belong to the command rather than the hero name
+const COMMAND_WORDS_PATTERN = /\b(top|biggest|movers|gainers|losers|history|chart|trend|over|(?:past|last|this)\s+(?:day|week|month)|\d+\s*(?:min|mo|m|h|d|w))\b/gi;
+
+/**
+ * Finds a reserved verb (help, commands, about) that makes up the whole request.
+ * "tell me about rasmr" is not a command, it's a hero lookup.
+ *
+ * @param {string} text - Mention text without the bot handle
+ * @returns {string|null} - The verb, or null
+ */
+function findReservedVerb(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/@\w+/g, ' ')
+    .split(/[^\w]+/)
+    .filter(Boolean);
+
+  const verbs = words.filter(word => RESERVED_VERBS[word]);
+  const others = words.filter(word => !RESERVED_VERBS[word] && !FILLER_WORDS.includes(word));
+
+  return verbs.length > 0 && others.length === 0 ? verbs[0] : null;
+}
+
+/**
+ * Extracts a lookback window such as "7d", "24h" or "week" from the text
+ * @param {string} text - Mention text
+ * @returns {string|null} - Normalized window (e.g. "7d"), or null if none was given
+ */
+export function extractWindow(text) {
+  const match = String(text || '').match(WINDOW_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const window = match[1] ? match[1].replace(/\s+/g, '').toLowerCase() : WINDOW_WORDS[match[2].toLowerCase()];
+  return parseDuration(window) ? window : null;
+}
+
+/**
+ * Finds a window like "1m" that could mean minutes or months
+ * @param {string} text - Mention text
+ * @returns {string|null} - The ambiguous window (e.g. "1m"), or null
+ */
+export function findAmbiguousWindow(text) {
+  const match = String(text || '').match(WINDOW_PATTERN);
+  const window = match?.[1]?.replace(/\s+/g, '').toLowerCase();
+  return window && /^\d+m$/.test(window) ? window : null;
+}
+
+/**
+ * Removes command words so only the hero name (and rarity) remain
+ * @param {string} text - Mention text
+ * @returns {string} - Text to look heroes up in
+ */
+function stripCommandWords(text) {
+  return text.replace(COMMAND_WORDS_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses the intent of a mention
+ * @param {string} text - Mention text without the bot handle (mentionType.cleanedText)
+ * @returns {Object} - { intent, text, heroText, ... } where intent is help, alert, top, history, compare or price
+ */
+export function parseIntent(text) {
+  const cleanText = String(text || '').trim();
+
+  const verb = findReservedVerb(cleanText);
+  if (verb) {
+    return { intent: 'help', text: cleanText, verb, topic: RESERVED_VERBS[verb] };
+  }
+
+  const alertCommand = parseAlertCommand(cleanText);
+  if (alertCommand) {
+    return { intent: 'alert', text: cleanText, command: alertCommand };
+  }
+
+  const topMatch = cleanText.match(TOP_PATTERN);
+  if (topMatch) {
+    const direction = /gainers/i.test(cleanText) ? 'up' : /losers/i.test(cleanText) ? 'down' : null;
+    return {
+      intent: 'top',
+      text: cleanText,
+      window: extractWindow(cleanText),
+      ambiguousWindow: findAmbiguousWindow(cleanText),
+      rarity: extractRarity(cleanText),
+      direction
+    };
+  }
+
+  const window = extractWindow(cleanText);
+  const ambiguousWindow = findAmbiguousWindow(cleanText);
+  if (HISTORY_PATTERN.test(cleanText) || window || ambiguousWindow) {
+    return {
+      intent: 'history',
+      text: cleanText,
+      heroText: stripCommandWords(cleanText),
+      window,
+      ambiguousWindow,
+      rarity: extractRarity(cleanText)
+    };
+  }
+
+  const intent = isComparisonRequest(cleanText) ? 'compare' : 'price';
+  return { intent, text: cleanText, heroText: cleanText, rarity: extractRarity(cleanText) };
+}
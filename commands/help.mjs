@@ -0,0 +1,48 @@
+/**
+ * Canned usage and about replies
+ */
+import { composeThread } from '../utils/replyComposer.mjs';
+
+// Supported query forms, one per line so the reply splits cleanly if it has to
+const USAGE_LINES = [
+  'Mention me with:',
+  '• rasmr - floor, bid, last trade, supply',
+  '• legendary rasmr / rasmr L1',
+  '• compare rasmr vs orangie',
+  '• $RASMR / fantasy.top link',
+  '• rasmr 7d or 1mo / top gainers',
+  '• alert me when rasmr legendary < 0.5',
+  '• my alerts / cancel alert rasmr'
+];
+
+const ABOUT_TEXT = 'I post Fantasy Top market data: floors, bids, last trades and supply for every hero and rarity.';
+
+/**
+ * Builds the reply for a help or about command
+ * @param {Object} intent - Help intent from parseIntent
+ * @param {string|null} username - Username to mention at the start of the reply
+ * @returns {string[]} - Reply parts, each within the tweet length limit
+ */
+export function createHelpResponse(intent, username = null) {
+  const lines = intent.topic === 'about' ?
+    [ABOUT_TEXT, 'Reply "help" to see what you can ask.'] :
+    USAGE_LINES;
+  const mention = username ? `@${username} ` : '';
+
+  return composeThread([`${mention}${lines.join('\n')}`]);
+}
+
+/**
+ * Answers a help or about command
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object>} - Reply { parts, mediaIds, metadata }
+ */
+export async function handleHelp(request) {
+  const { intent, username } = request;
+
+  return {
+    parts: createHelpResponse(intent, username),
+    mediaIds: [],
+    metadata: { mentionType: 'help', command: intent.verb }
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Finds the heroes a mention asks about and fetches their market data
+ *
+ * Shared by every command that answers about specific heroes. Rate limit
+ * errors from the Fantasy Top API are rethrown so the caller can stop
+ * processing and retry the mention on a later run.
+ */
+import { getHeroMarketInfo, getHeroMarketInfoById, fetchCardById, searchHeroesRanked, isRateLimitError } from '../fantasyService.mjs';
+import { extractHeroMatches, extractHeroReferences, extractUnknownHeroQuery, HERO_MATCH_THRESHOLD } from '../utils/heroExtractor.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+
+/**
+ * Picks the hero candidates confident enough to reply to without asking
+ *
+ * @param {Array<Object>} matches - Matches from extractHeroMatches
+ * @returns {string[]} - Candidate handles in priority order
+ */
+function selectConfidentHeroes(matches) {
+  const confident = matches.filter(match => match.confidence >= HERO_MATCH_THRESHOLD);
+
+  matches
+    .filter(match => !confident.includes(match))
+    .forEach(match => console.log(`Ignoring low confidence match ${match.handle} for "${match.candidate}" (${match.confidence.toFixed(2)} < ${HERO_MATCH_THRESHOLD})`));
+
+  return confident.map(match => match.handle);
+}
+
+/**
+ * Finds the heroes a tweet asks about, in priority order.
+ * Heroes referenced by fantasy.top links or cashtags come first, followed
+ * by names matched in the text. If neither finds anything confident, a
+ * single validated API search is tried for heroes not in the roster.
+ *
+ * @param {string} text - Tweet text
+ * @param {Object} entities - Tweet entities (optional)
+ * @returns {Promise<Object>} - { candidates, suggestion } where candidates are hero references
+ *   ({ heroId, handle, cardId }) and handles, and suggestion is a hero to offer when there are none
+ */
+async function findCandidateHeroes(text, entities = null) {
+  const references = await extractHeroReferences(text, entities);
+  const matches = await extractHeroMatches(text, entities);
+  const confidentHandles = selectConfidentHeroes(matches);
+
+  // A handle already covered by a link or cashtag doesn't need a name search
+  const referencedHandles = references.map(reference => reference.handle).filter(Boolean);
+  const candidates = [...references, ...confidentHandles.filter(handle => !referencedHandles.includes(handle))];
+  if (candidates.length > 0) {
+    return { candidates, suggestion: null };
+  }
+
+  // Matches are in mention order, the suggestion should be the closest one
+  const closestMatch = matches.reduce((best, match) => (!best || match.confidence > best.confidence ? match : best), null);
+  return searchUnknownHero(text, closestMatch);
+}
+
+/**
+ * Looks up a hero that isn't in the roster with one API search.
+ * The search returns loose matches, so a result is only used if its handle
+ * or name resembles the query; a weaker result (or the closest roster match)
+ * becomes a "did you mean" suggestion instead.
+ *
+ * @param {string} text - Tweet text
+ * @param {Object|null} closestMatch - Best low confidence roster match, if any
+ * @returns {Promise<Object>} - { candidates, suggestion }
+ */
+async function searchUnknownHero(text, closestMatch) {
+  let suggestion = closestMatch ? { handle: closestMatch.handle, confidence: closestMatch.confidence } : null;
+
+  const query = extractUnknownHeroQuery(text);
+  if (query) {
+    try {
+      const [best] = await searchHeroesRanked(query);
+      if (best && best.confidence >= HERO_MATCH_THRESHOLD) {
+        console.log(`Search for "${query}" found ${best.hero.handle} (${best.confidence.toFixed(2)})`);
+        return { candidates: [{ heroId: String(best.hero.id), handle: best.hero.handle, source: 'search' }], suggestion: null };
+      }
+      if (best && (!suggestion || best.confidence > suggestion.confidence)) {
+        suggestion = { handle: best.hero.handle, confidence: best.confidence };
+      }
+    } catch (err) {
+      if (isRateLimitError(err)) {
+        throw err;
+      }
+      console.error(`Error searching for hero "${query}":`, err.message);
+    }
+  }
+
+  if (suggestion) {
+    console.log(`No confident hero match, suggesting ${suggestion.handle} (${suggestion.confidence.toFixed(2)})`);
+  }
+  return { candidates: [], suggestion: suggestion?.handle || null };
+}
+
+/**
+ * Describes a candidate hero for logging
+ * @param {string|Object} candidate - Candidate handle or hero reference
+ * @returns {string} - Readable description
+ */
+function describeCandidate(candidate) {
+  if (typeof candidate === 'string') {
+    return candidate;
+  }
+  if (candidate.cardId) {
+    return `card ${candidate.cardId}`;
+  }
+  return candidate.heroId ? `${candidate.handle || 'hero'} (ID ${candidate.heroId}, ${candidate.source})` : candidate.handle;
+}
+
+/**
+ * Gets market information for a single candidate.
+ * References with a hero ID (or a card ID) skip the name search entirely.
+ *
+ * @param {string|Object} candidate - Candidate handle or hero reference
+ * @returns {Promise<Object|null>} - Hero information, or null if not found
+ */
+async function getCandidateMarketInfo(candidate) {
+  if (typeof candidate === 'string') {
+    return getHeroMarketInfo(candidate);
+  }
+
+  if (candidate.heroId) {
+    return getHeroMarketInfoById(candidate.heroId);
+  }
+
+  if (candidate.cardId) {
+    const card = await fetchCardById(candidate.cardId);
+    const heroId = card?.hero_id || card?.heroId || card?.hero?.id;
+    if (!heroId) {
+      console.warn(`Card ${candidate.cardId} has no hero ID`);
+      return null;
+    }
+    return getHeroMarketInfoById(heroId);
+  }
+
+  return candidate.handle ? getHeroMarketInfo(candidate.handle) : null;
+}
+
+/**
+ * Queries the Fantasy Top API for each candidate until enough heroes are found.
+ * Rate limit errors are rethrown so the caller can stop processing.
+ *
+ * @param {Array<string|Object>} candidates - Candidate handles and hero references in priority order
+ * @param {number} limit - Maximum number of distinct heroes to resolve
+ * @returns {Promise<Array<Object>>} - Resolved hero information objects
+ */
+async function resolveCandidateHeroes(candidates, limit = 1) {
+  const heroes = [];
+
+  for (const candidate of candidates) {
+    const label = describeCandidate(candidate);
+    try {
+      console.log(`Trying candidate: "${label}"`);
+      const heroInfo = await getCandidateMarketInfo(candidate);
+      if (heroInfo && !heroes.some(hero => hero.id === heroInfo.id)) {
+        heroes.push(heroInfo);
+        console.log(`Found hero info for candidate "${label}": ${heroInfo.name}`);
+      }
+    } catch (err) {
+      if (isRateLimitError(err)) {
+        throw err;
+      }
+      console.error(`Error processing candidate "${label}":`, err.message);
+    }
+
+    if (heroes.length >= limit) {
+      break;
+    }
+  }
+
+  return heroes;
+}
+
+/**
+ * Finds and fetches the heroes a mention asks about
+ *
+ * @param {string} text - Text to look heroes up in
+ * @param {Object} entities - Tweet entities (optional)
+ * @param {number} limit - Maximum number of heroes to return
+ * @returns {Promise<Object>} - { heroes, suggestion } where suggestion is a handle to offer when no hero was found
+ */
+export async function lookupHeroes(text, entities = null, limit = 1) {
+  const { candidates, suggestion } = await findCandidateHeroes(text, entities);
+  if (candidates.length === 0) {
+    return { heroes: [], suggestion };
+  }
+
+  console.log(`Candidate heroes: ${candidates.map(describeCandidate).join(', ')}`);
+  const heroes = await resolveCandidateHeroes(candidates, limit);
+  if (heroes.length === 0) {
+    console.log(`No valid hero found for: "${text}"`);
+  }
+
+  return { heroes, suggestion: null };
+}
+
+/**
+ * Builds the "did you mean" reply for a mention whose hero couldn't be identified
+ *
+ * @param {string|null} suggestion - Handle of the closest hero, if any
+ * @param {string|null} username - Username to mention at the start of the reply
+ * @returns {Object|null} - Reply, or null when there is nothing to suggest
+ */
+export function createSuggestionReply(suggestion, username) {
+  if (!suggestion) {
+    return null;
+  }
+
+  const body = `I couldn't find that hero, did you mean ${suggestion}?`;
+  return {
+    parts: composeThread([username ? `@${username} ${body}` : body]),
+    metadata: { mentionType: 'suggestion', suggestion }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Price history: how a hero's floor and last trade moved over a window
+ */
+import { formatWeiToEth, getRarityName } from '../utils/formatters.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+import { getMarketChanges, formatPriceChange } from '../priceHistory.mjs';
+import { lookupHeroes, createSuggestionReply } from './heroLookup.mjs';
+
+// Window used when the mention doesn't give one
+const DEFAULT_HISTORY_WINDOW = '7d';
+
+/**
+ * Formats one price with its change over the window
+ * @param {string} label - Price label (e.g. "Floor")
+ * @param {string|number} wei - Current price in wei
+ * @param {number|undefined} change - Percentage change
+ * @param {string} window - Window label
+ * @returns {string|null} - Formatted price, or null if there is no change to show
+ */
+function formatHistoryPrice(label, wei, change, window) {
+  const formattedChange = formatPriceChange(change, window);
+  if (!formattedChange) {
+    return null;
+  }
+
+  const price = formatWeiToEth(wei);
+  return `${label} ${price !== 'N/A' ? `Ξ${price}` : '-'} (${formattedChange})`;
+}
+
+/**
+ * Builds the reply to a window like "1m" that could mean minutes or months
+ * @param {string} window - The ambiguous window (e.g. "1m")
+ * @param {string|null} username - Username to mention at the start of the reply
+ * @param {string} mentionType - Intent the reply is for (history or top)
+ * @returns {Object} - Reply { parts, mediaIds, metadata }
+ */
+export function createWindowHelpReply(window, username, mentionType) {
+  const count = parseInt(window, 10);
+  const mention = username ? `@${username} ` : '';
+
+  return {
+    parts: composeThread([`${mention}Did you mean ${count}mo (months) or ${count}min (minutes)? Windows are min, h, d, w or mo, e.g. "rasmr history 1mo".`]),
+    mediaIds: [],
+    metadata: { mentionType, window }
+  };
+}
+
+/**
+ * Answers a price history request for the first hero found in the mention
+ *
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object|null>} - Reply, or null if no hero was found
+ */
+export async function handleHistory(request) {
+  const { intent, entities, username } = request;
+
+  if (intent.ambiguousWindow) {
+    return createWindowHelpReply(intent.ambiguousWindow, username, 'history');
+  }
+
+  const { heroes, suggestion } = await lookupHeroes(intent.heroText, entities, 1);
+  if (heroes.length === 0) {
+    return createSuggestionReply(suggestion, username);
+  }
+
+  const heroInfo = heroes[0];
+  const changes = await getMarketChanges(heroInfo, intent.window || DEFAULT_HISTORY_WINDOW);
+  const window = changes.window || intent.window || DEFAULT_HISTORY_WINDOW;
+  const mention = username ? `@${username} ` : '';
+
+  const lines = Object.values(heroInfo.marketInfo)
+    .filter(info => !intent.rarity || info.rarity === intent.rarity)
+    .sort((a, b) => a.rarity - b.rarity)
+    .map(info => {
+      const change = changes.byRarity[info.rarity] || {};
+      const prices = [
+        formatHistoryPrice('Floor', info.floorPrice, change.floorPrice, window),
+        formatHistoryPrice('Last', info.lastSellPrice, change.lastSellPrice, window)
+      ].filter(Boolean);
+      return prices.length > 0 ? `${info.rarityName || getRarityName(info.rarity)}: ${prices.join(', ')}` : null;
+    })
+    .filter(Boolean);
+
+  const parts = lines.length > 0 ?
+    composeThread([`${mention}${heroInfo.name} over ${window}:`, lines.join('\n')]) :
+    composeThread([`${mention}No price history for ${heroInfo.name} over ${window} yet, check back later!`]);
+
+  return {
+    parts,
+    mediaIds: [],
+    metadata: { mentionType: 'history', heroName: heroInfo.name, window }
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Price lookup: market data for one hero, across all rarities or just one
+ *
+ * This is the default command, so any mention that doesn't match another
+ * intent ends up here.
+ */
+import { uploadMedia } from '../twitterClient.mjs';
+import { formatWeiToEth, calculateSpread, getRarityName } from '../utils/formatters.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+import { getTweetLength } from '../utils/tweetLength.mjs';
+import { renderMarketCard } from '../utils/marketCard.mjs';
+import { getMarketChanges, formatPriceChange } from '../priceHistory.mjs';
+import { formatReplyText } from '../mentionHelper.mjs';
+import { lookupHeroes, createSuggestionReply } from './heroLookup.mjs';
+
+// Attach a rendered market card image to single-hero replies (on unless disabled)
+const ATTACH_MARKET_CARDS = process.env.ATTACH_MARKET_CARDS !== 'false';
+
+// Lookback window for the floor change shown next to prices (e.g. "24h", "7d")
+const PRICE_CHANGE_WINDOW = process.env.PRICE_CHANGE_WINDOW || '24h';
+
+/**
+ * Creates a detailed breakdown for a single rarity of a hero
+ *
+ * @param {Object} heroInfo - The hero information object
+ * @param {number} rarity - Rarity level (1-4)
+ * @param {Object|null} priceChanges - Price changes from getMarketChanges
+ * @returns {string[]} - Heading and detail lines, without the username prefix
+ */
+function createRarityDetailLines(heroInfo, rarity, priceChanges = null) {
+  const info = heroInfo.marketInfo[rarity] || {};
+  const rarityName = info.rarityName || getRarityName(rarity);
+
+  const formatPrice = (wei) => {
+    const formatted = formatWeiToEth(wei);
+    return formatted !== 'N/A' ? `Ξ${formatted}` : 'N/A';
+  };
+
+  // Append the change over the lookback window when we have history for it
+  const withChange = (text, field) => {
+    const change = formatPriceChange(priceChanges?.byRarity[rarity]?.[field], priceChanges?.window);
+    return change ? `${text} (${change})` : text;
+  };
+
+  const lines = [
+    `Floor: ${withChange(formatPrice(info.floorPrice), 'floorPrice')}`,
+    `Highest bid: ${formatPrice(info.highestBid)}`,
+    `Last trade: ${withChange(formatPrice(info.lastSellPrice), 'lastSellPrice')}`,
+    `Supply: ${info.supply || 0} cards`
+  ];
+
+  // The spread only makes sense when there is both a floor and a bid
+  const spread = calculateSpread(info.floorPrice, info.highestBid);
+  if (spread) {
+    lines.push(`Spread: Ξ${spread.eth} (${spread.percent}%)`);
+  }
+
+  return [`${heroInfo.name} (${rarityName}):`, lines.join('\n')];
+}
+
+/**
+ * Creates a formatted line for one rarity level of a hero
+ * focusing on supply, floor price, last sale and highest bid
+ *
+ * @param {Object} info - Market info for a single rarity
+ * @param {Object|null} priceChanges - Price changes from getMarketChanges
+ * @returns {string} - Formatted line
+ */
+function createRarityLine(info, priceChanges = null) {
+  let line = `${info.rarityName}: `;
+
+  // Add supply
+  if (info.supply !== null && info.supply !== undefined) {
+    line += `${info.supply} cards`;
+  } else {
+    line += `0 cards`;
+  }
+
+  // Add the key price information
+  const marketData = [];
+
+  // 1. Current Price (from getLowestPriceForHeroRarity) - most important
+  const formattedFloorPrice = formatWeiToEth(info.floorPrice);
+  if (formattedFloorPrice !== 'N/A') {
+    const floorChange = formatPriceChange(priceChanges?.byRarity[info.rarity]?.floorPrice, priceChanges?.window);
+    marketData.push(floorChange ? `Price: Ξ${formattedFloorPrice} ${floorChange}` : `Price: Ξ${formattedFloorPrice}`);
+  }
+
+  // 2. Last Sell Price (from last_trade)
+  const formattedLastSellPrice = formatWeiToEth(info.lastSellPrice);
+  if (formattedLastSellPrice !== 'N/A') {
+    marketData.push(`Last: Ξ${formattedLastSellPrice}`);
+  }
+
+  // 3. Highest Bid (optional)
+  const formattedHighestBid = formatWeiToEth(info.highestBid);
+  if (formattedHighestBid !== 'N/A') {
+    marketData.push(`Bid: Ξ${formattedHighestBid}`);
+  }
+
+  // Only add the parentheses if we have market data
+  if (marketData.length > 0) {
+    line += ` (${marketData.join(', ')})`;
+  }
+
+  return line;
+}
+
+/**
+ * Creates a formatted reply with hero market info.
+ * Always includes @username for all responses so the user gets a notification.
+ * Content that doesn't fit in one tweet is split at line boundaries into
+ * a numbered thread instead of being truncated.
+ *
+ * @param {Object} heroInfo - The hero information object
+ * @param {string|null} username - Username to mention in the reply
+ * @param {number|null} rarity - Rarity level (1-4) to focus on, or null for all rarities
+ * @param {Object|null} priceChanges - Price changes from getMarketChanges, shown next to prices
+ * @returns {Object} - Formatted tweet content object with the first tweet as `text` and all tweets as `parts`
+ */
+export function createHeroInfoResponse(heroInfo, username, rarity = null, priceChanges = null) {
+  // Call to action text that we'll add if there's room
+  const CALL_TO_ACTION = 'Check out more on Fantasy Top!';
+
+  // Always include username if provided (whether direct reply or not)
+  // This ensures the user gets notified when we respond
+  const mention = username ? `@${username} ` : '';
+
+  let blocks;
+  if (rarity) {
+    const [heading, details] = createRarityDetailLines(heroInfo, rarity, priceChanges);
+    blocks = [`${mention}${heading}`, details];
+  } else {
+    // Convert the object to an array and sort by rarity (use the rarity key which is 1-4)
+    const rarities = Object.values(heroInfo.marketInfo).sort((a, b) => a.rarity - b.rarity);
+    blocks = [
+      `${mention}Here's the latest for ${heroInfo.name}:`,
+      rarities.map(info => createRarityLine(info, priceChanges)).join('\n')
+    ];
+  }
+
+  const parts = composeThread(blocks, { footer: CALL_TO_ACTION });
+
+  // Log the final tweet lengths
+  console.log(`📏 Reply split into ${parts.length} tweet(s): ${parts.map(getTweetLength).join(', ')} weighted characters`);
+
+  const response = {
+    text: parts[0],
+    parts,
+    heroName: heroInfo.name
+  };
+  if (rarity) {
+    response.rarity = rarity;
+  }
+  return response;
+}
+
+/**
+ * Renders and uploads a market card image for a hero.
+ * Failures are logged and result in a text-only reply.
+ *
+ * @param {Object|null} tokens - OAuth tokens, null when only previewing the reply
+ * @param {Object} heroInfo - The hero information object
+ * @param {number|null} rarity - Rarity level (1-4) to highlight
+ * @returns {Promise<string[]>} - Media IDs to attach, empty if the card is disabled or failed
+ */
+async function createMarketCardMedia(tokens, heroInfo, rarity = null) {
+  if (!ATTACH_MARKET_CARDS || !tokens) {
+    return [];
+  }
+
+  try {
+    const image = renderMarketCard(heroInfo, { highlightRarity: rarity });
+    console.log(`🖼️ Rendered market card for ${heroInfo.name} (${image.length} bytes)`);
+    const mediaId = await uploadMedia(tokens, image);
+    return [mediaId];
+  } catch (error) {
+    console.warn(`⚠️ Could not attach market card for ${heroInfo.name}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Builds the price reply for a hero that has already been looked up
+ *
+ * @param {Object} heroInfo - The hero information object
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object>} - Reply { parts, mediaIds, metadata }
+ */
+export async function createPriceReply(heroInfo, request) {
+  const { intent, username, userInfo, mentionType, tokens } = request;
+
+  const mediaIds = await createMarketCardMedia(tokens, heroInfo, intent.rarity);
+
+  const priceChanges = await getMarketChanges(heroInfo, PRICE_CHANGE_WINDOW);
+  const heroResponse = createHeroInfoResponse(heroInfo, username, intent.rarity, priceChanges);
+
+  // Format the first tweet based on mention type, the rest of the thread follows it
+  const parts = [
+    formatReplyText(heroResponse, mentionType, userInfo),
+    ...heroResponse.parts.slice(1)
+  ];
+
+  const metadata = {
+    heroName: heroInfo.name,
+    mentionType: mentionType.isDirect ? 'direct' : 'indirect'
+  };
+  if (intent.rarity) {
+    metadata.rarity = getRarityName(intent.rarity);
+  }
+  if (mediaIds.length > 0) {
+    metadata.marketCard = true;
+  }
+
+  return { parts, mediaIds, metadata };
+}
+
+/**
+ * Answers a price lookup for the first hero found in the mention
+ *
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object|null>} - Reply, or null if no hero was found
+ */
+export async function handlePrice(request) {
+  const { heroes, suggestion } = await lookupHeroes(request.intent.heroText, request.entities, 1);
+  if (heroes.length === 0) {
+    return createSuggestionReply(suggestion, request.username);
+  }
+
+  return createPriceReply(heroes[0], request);
+}
@@ -0,0 +1,45 @@
+/**
+ * Routes a parsed mention to the handler for its intent
+ *
+ * Every handler takes the same request and returns the same reply shape,
+ * so mentionProcessor.mjs posts and records replies the same way whatever
+ * the command was.
+ *
+ * Request: { intent, mention, entities, username, userInfo, mentionType, tokens }
+ *   intent is the result of parseIntent. tokens is null when the reply is
+ *   only being previewed, in which case handlers must not upload media or
+ *   change stored state.
+ *
+ * Reply: { parts, mediaIds, metadata } or null when there is nothing to say.
+ *   metadata is stored with the replied-to record and must include mentionType.
+ */
+import { handleHelp } from './help.mjs';
+import { handleAlert } from './alert.mjs';
+import { handleTop } from './top.mjs';
+import { handleHistory } from './history.mjs';
+import { handleCompare } from './compare.mjs';
+import { handlePrice } from './price.mjs';
+
+// Handler for each intent from parseIntent
+const HANDLERS = {
+  help: handleHelp,
+  alert: handleAlert,
+  top: handleTop,
+  history: handleHistory,
+  compare: handleCompare,
+  price: handlePrice
+};
+
+/**
+ * Runs the handler for a request's intent.
+ * Unknown intents fall back to a price lookup.
+ *
+ * @param {Object} request - Command request
+ * @returns {Promise<Object|null>} - Reply { parts, mediaIds, metadata }, or null
+ */
+export async function runCommand(request) {
+  const handler = HANDLERS[request.intent.intent] || handlePrice;
+  console.log(`Running ${request.intent.intent} command for: "${request.intent.text}"`);
+
+  return handler(request);
+}
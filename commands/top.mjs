@@ -0,0 +1,50 @@
+/**
+ * Top movers: the heroes whose floor moved most over a window
+ */
+import { formatWeiToEth, getRarityName } from '../utils/formatters.mjs';
+import { composeThread } from '../utils/replyComposer.mjs';
+import { getTopMovers, formatPriceChange } from '../priceHistory.mjs';
+import { createWindowHelpReply } from './history.mjs';
+
+// How many movers one reply lists
+const TOP_MOVERS_LIMIT = 5;
+
+// Defaults when the mention doesn't give a window or rarity
+const DEFAULT_TOP_WINDOW = '24h';
+const DEFAULT_TOP_RARITY = 4;
+
+/**
+ * Answers a top movers request from stored price snapshots
+ *
+ * @param {Object} request - Command request (see router.mjs)
+ * @returns {Promise<Object>} - Reply { parts, mediaIds, metadata }
+ */
+export async function handleTop(request) {
+  const { intent, username } = request;
+  if (intent.ambiguousWindow) {
+    return createWindowHelpReply(intent.ambiguousWindow, username, 'top');
+  }
+
+  const window = intent.window || DEFAULT_TOP_WINDOW;
+  const rarity = intent.rarity || DEFAULT_TOP_RARITY;
+
+  // Gainers and losers are filtered from the full ranking before the limit is applied
+  const movers = (await getTopMovers({ window, rarity, field: 'floorPrice', limit: Infinity }))
+    .filter(mover => intent.direction === 'up' ? mover.change > 0 : intent.direction === 'down' ? mover.change < 0 : true)
+    .slice(0, TOP_MOVERS_LIMIT);
+
+  const label = intent.direction === 'up' ? 'gainers' : intent.direction === 'down' ? 'losers' : 'movers';
+  const mention = username ? `@${username} ` : '';
+  const heading = `${mention}Top ${getRarityName(rarity)} floor ${label}, ${window}:`;
+
+  const parts = movers.length > 0 ?
+    composeThread([heading, movers.map((mover, index) =>
+      `${index + 1}. ${mover.heroName} Ξ${formatWeiToEth(mover.currentPrice)} ${formatPriceChange(mover.change, window)}`).join('\n')]) :
+    composeThread([`${mention}No ${getRarityName(rarity)} floor ${label} over ${window} yet, check back later!`]);
+
+  return {
+    parts,
+    mediaIds: [],
+    metadata: { mentionType: 'top', window, rarity: getRarityName(rarity), direction: intent.direction }
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * digest.mjs - Daily market digest tweet
+ *
+ * Summarizes the most requested heroes, the biggest floor movers and
+ * new highest bids into a (possibly threaded) standalone tweet.
+ * Each day has its own dedupe record in state, so a retried run never
+ * posts the same digest twice.
+ */
+import { getHeroMarketInfo } from './fantasyService.mjs';
+import { getTopMovers, getMarketChanges, formatPriceChange } from './priceHistory.mjs';
+import { getStatistics, loadDigestRecord, saveDigestRecord } from './stateManager.mjs';
+import { loadTokens } from './auth.mjs';
+import { postReplyThread } from './twitterClient.mjs';
+import { formatWeiToEth, getRarityName } from './utils/formatters.mjs';
+import { composeThread } from './utils/replyComposer.mjs';
+import { flushCacheStats, discardCacheStats } from './responseCache.mjs';
+import { isDryRun, recordDryRunTweet } from './dryRun.mjs';
+
+// How many entries each digest section lists
+const DIGEST_TOP_HEROES = parseInt(process.env.DIGEST_TOP_HEROES || '5', 10);
+const DIGEST_TOP_MOVERS = 3;
+const DIGEST_TOP_BIDS = 3;
+
+// Lookback window for movers and bid changes
+const DIGEST_WINDOW = '24h';
+
+const RARITY_LEVELS = [1, 2, 3, 4];
+
+/**
+ * Gets the digest date key for a point in time
+ * @param {Date} date - Point in time
+ * @returns {string} - Date as YYYY-MM-DD (UTC)
+ */
+export function getDigestDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the most requested heroes from reply statistics
+ * @returns {Promise<Array<Object>>} - [{ name, count }] sorted by count, highest first
+ */
+async function getMostRequestedHeroes() {
+  const stats = await getStatistics();
+
+  return Object.entries(stats.replies?.byHero || {})
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, DIGEST_TOP_HEROES);
+}
+
+/**
+ * Gets the biggest floor movers across all rarities
+ * @returns {Promise<Array<Object>>} - Movers sorted by absolute change, largest first
+ */
+async function getFloorMovers() {
+  const moversByRarity = await Promise.all(RARITY_LEVELS.map(rarity =>
+    getTopMovers({ window: DIGEST_WINDOW, rarity, field: 'floorPrice', limit: DIGEST_TOP_MOVERS })
+  ));
+
+  return moversByRarity
+    .flat()
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, DIGEST_TOP_MOVERS);
+}
+
+/**
+ * Fetches fresh market data for the requested heroes and finds bids that went up
+ * @param {Array<Object>} heroes - Most requested heroes
+ * @returns {Promise<Array<Object>>} - [{ heroName, rarity, highestBid, change }] sorted by change
+ */
+async function getNewHighestBids(heroes) {
+  const bids = [];
+
+  for (const { name } of heroes) {
+    try {
+      const heroInfo = await getHeroMarketInfo(name);
+      if (!heroInfo) {
+        continue;
+      }
+
+      const changes = await getMarketChanges(heroInfo, DIGEST_WINDOW);
+      Object.entries(changes.byRarity).forEach(([rarity, change]) => {
+        if (change.highestBid > 0) {
+          bids.push({
+            heroName: heroInfo.name,
+            rarity: Number(rarity),
+            highestBid: heroInfo.marketInfo[rarity].highestBid,
+            change: change.highestBid
+          });
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not get market data for ${name}: ${error.message}`);
+    }
+  }
+
+  return bids
+    .sort((a, b) => b.change - a.change)
+    .slice(0, DIGEST_TOP_BIDS);
+}
+
+/**
+ * Builds the daily digest content
+ * @param {Date} date - Day the digest is for
+ * @returns {Promise<Object>} - { parts, sections } where parts is empty if there is nothing to report
+ */
+export async function buildDailyDigest(date = new Date()) {
+  const heroes = await getMostRequestedHeroes();
+  const movers = await getFloorMovers();
+  const bids = await getNewHighestBids(heroes);
+
+  const blocks = [];
+  if (heroes.length > 0) {
+    blocks.push([
+      'Most requested:',
+      ...heroes.map((hero, index) => `${index + 1}. ${hero.name} (${hero.count})`)
+    ].join('\n'));
+  }
+  if (movers.length > 0) {
+    blocks.push([
+      `Floor movers ${DIGEST_WINDOW}:`,
+      ...movers.map(mover =>
+        `${mover.heroName} ${getRarityName(mover.rarity)}: Ξ${formatWeiToEth(mover.currentPrice)} ${formatPriceChange(mover.change, DIGEST_WINDOW)}`)
+    ].join('\n'));
+  }
+  if (bids.length > 0) {
+    blocks.push([
+      'New highest bids:',
+      ...bids.map(bid =>
+        `${bid.heroName} ${getRarityName(bid.rarity)}: Ξ${formatWeiToEth(bid.highestBid)} ${formatPriceChange(bid.change, DIGEST_WINDOW)}`)
+    ].join('\n'));
+  }
+
+  const sections = { heroes, movers, bids };
+  if (blocks.length === 0) {
+    return { parts: [], sections };
+  }
+
+  const heading = `📊 Fantasy Top daily digest, ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+  const parts = composeThread([heading, ...blocks], { footer: 'Mention me with a hero name for details!' });
+
+  return { parts, sections };
+}
+
+/**
+ * Posts the daily digest, at most once per day.
+ * The day is claimed in state before posting, so an interrupted or retried
+ * run skips the day rather than risk a duplicate. Only a failure before
+ * anything was posted releases the claim.
+ *
+ * @param {Object} options - Options
+ * @param {Date} options.date - Day to post the digest for
+ * @param {boolean} options.force - Post even if a digest was already posted that day
+ * @returns {Promise<Object>} - { status, date, tweetIds } where status is posted, skipped, empty, failed
+ *   or dryRun (built and logged, but not posted or recorded as posted)
+ */
+export async function postDailyDigest(options = {}) {
+  const { date = new Date(), force = false } = options;
+  const digestDate = getDigestDate(date);
+
+  const existing = await loadDigestRecord(digestDate);
+  if (existing && existing.status !== 'failed' && !force) {
+    console.log(`📰 Digest for ${digestDate} already ${existing.status}, skipping`);
+    return { status: 'skipped', date: digestDate, tweetIds: existing.tweetIds || [] };
+  }
+
+  // A dry run only records the digest, so it works without tokens
+  const dryRun = isDryRun();
+  const tokens = dryRun ? null : await loadTokens();
+  if (!dryRun && !tokens) {
+    throw new Error('No valid tokens found for Twitter API');
+  }
+
+  const { parts, sections } = await buildDailyDigest(date);
+  if (!dryRun) {
+    await flushCacheStats();
+  } else {
+    discardCacheStats();
+  }
+  if (parts.length === 0) {
+    console.log(`📰 Nothing to report for ${digestDate}, no digest posted`);
+    return { status: 'empty', date: digestDate, tweetIds: [] };
+  }
+
+  // A dry run doesn't claim the day, so the live digest still goes out
+  if (dryRun) {
+    await recordDryRunTweet({ source: 'digest', parts, metadata: { date: digestDate, heroes: sections.heroes.map(hero => hero.name) } });
+    return { status: 'dryRun', date: digestDate, tweetIds: [] };
+  }
+
+  // Claim the day before posting so a retry can't post it again
+  const claimed = await saveDigestRecord(digestDate, { status: 'posting', startedAt: new Date().toISOString() });
+  if (!claimed) {
+    throw new Error(`Could not save digest record for ${digestDate}`);
+  }
+
+  try {
+    const tweetIds = await postReplyThread(tokens, parts, null);
+    await saveDigestRecord(digestDate, {
+      status: 'posted',
+      postedAt: new Date().toISOString(),
+      tweetIds,
+      heroes: sections.heroes.map(hero => hero.name)
+    });
+
+    console.log(`📰 Posted digest for ${digestDate} (${tweetIds.length} tweet(s))`);
+    return { status: 'posted', date: digestDate, tweetIds };
+  } catch (error) {
+    const postedIds = error.postedIds || [];
+    await saveDigestRecord(digestDate, {
+      status: postedIds.length > 0 ? 'partial' : 'failed',
+      error: error.message,
+      tweetIds: postedIds
+    });
+
+    console.error(`❌ Failed to post digest for ${digestDate}:`, error.message);
+    return { status: 'failed', date: digestDate, tweetIds: postedIds, error: error.message };
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * dryRun.mjs - Run the whole pipeline without posting anything
+ *
+ * With DRY_RUN=true, mentions, the hero info tweet, price alerts and the
+ * daily digest are processed as usual, but instead of calling postTweet the
+ * would-be tweets are logged and recorded through the stateManager in their
+ * own namespace. Nothing that decides what the live bot answers next (the
+ * reply history, the last mention ID, alert subscriptions, digest records)
+ * is changed, and the live statistics (run metrics, skipped mentions, rate
+ * limit blocks) only count real runs.
+ */
+import { recordDryRunReply } from './stateManager.mjs';
+
+/**
+ * Whether dry-run mode is on. Read on every call, so a .env loaded after
+ * import still applies.
+ * @returns {boolean} - True if nothing should be posted
+ */
+export function isDryRun() {
+  return process.env.DRY_RUN === 'true';
+}
+
+/**
+ * Logs and records the tweets a dry run would have posted
+ * @param {Object} reply - Would-be tweets
+ * @param {string} reply.source - What would have posted them: mention, post, alert or digest
+ * @param {string|null} reply.replyToTweetId - Tweet the first part would reply to
+ * @param {string[]} reply.parts - Tweet texts in thread order
+ * @param {Object} reply.metadata - Reply metadata, as it would have been stored
+ * @returns {Promise<boolean>} - True if the reply was recorded
+ */
+export async function recordDryRunTweet({ source, replyToTweetId = null, parts, metadata = {} }) {
+  console.log(`🧪 DRY RUN: would post ${parts.length} tweet(s) for ${source}${replyToTweetId ? ` in reply to ${replyToTweetId}` : ''}:`);
+  parts.forEach((part, index) => console.log(`--- ${index + 1}/${parts.length} ---\n${part}`));
+
+  return recordDryRunReply({ source, replyToTweetId, parts, metadata });
+}
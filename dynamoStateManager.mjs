@@ -12,7 +12,8 @@ import {
   DeleteCommand, 
   QueryCommand,
   UpdateCommand,
-  BatchWriteCommand
+  BatchWriteCommand,
+  BatchGetCommand
 } from '@aws-sdk/lib-dynamodb';
 
 dotenv.config();
@@ -24,6 +25,12 @@ const CONFIG = {
   enabled: process.env.USE_DYNAMO_STATE === 'true'
 };
 
+// Item attribute with an expiry time in epoch seconds, the table's TTL attribute (template.yaml)
+const TTL_ATTRIBUTE = 'ttl';
+
+// BatchGetItem reads at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+
 let dynamoInitialized = false;
 let client = null;
 let docClient = null;
@@ -73,6 +80,16 @@ function initializeDynamo() {
   }
 }
 
+/**
+ * Checks whether an item is past its TTL. DynamoDB deletes expired items
+ * some time after they expire, not right away.
+ * @param {Object} item - The DynamoDB item
+ * @returns {boolean} - Whether the item has expired
+ */
+function isExpired(item) {
+  return Boolean(item[TTL_ATTRIBUTE]) && item[TTL_ATTRIBUTE] * 1000 <= Date.now();
+}
+
 /**
  * Format a state key into a consistent DynamoDB stateId format
  * @param {string} key - The logical state key
@@ -91,9 +108,10 @@ function formatStateId(key, prefix) {
  * @param {string} key - The state key
  * @param {Object} data - The state data to save
  * @param {string} [prefix] - Optional prefix category 
+ * @param {number} [expiresAt] - Optional expiry time in milliseconds, after which DynamoDB deletes the item
  * @returns {Promise<boolean>} - Whether the save was successful
  */
-export async function saveState(key, data, prefix) {
+export async function saveState(key, data, prefix, expiresAt) {
   if (!dynamoInitialized && !initializeDynamo()) {
     console.warn('⚠️ DynamoDB is not available. Operation will fail.');
     return false;
@@ -111,6 +129,9 @@ export async function saveState(key, data, prefix) {
       updatedAt: timestamp,
       data: JSON.stringify(data)  // Store as string to avoid DynamoDB type limitations
     };
+    if (expiresAt) {
+      item[TTL_ATTRIBUTE] = Math.ceil(expiresAt / 1000);
+    }
     
     // Save to DynamoDB
     const command = new PutCommand({
@@ -157,6 +178,11 @@ export async function loadState(key, prefix) {
       return null;
     }
     
+    if (isExpired(response.Item)) {
+      console.log(`⚠️ State '${stateId}' has expired`);
+      return null;
+    }
+    
     console.log(`✅ Successfully loaded state '${stateId}' from DynamoDB`);
     
     // Parse the JSON string back to an object
@@ -172,6 +198,49 @@ export async function loadState(key, prefix) {
   }
 }
 
+/**
+ * Load several states from DynamoDB in batches
+ * @param {string[]} keys - The state keys to load
+ * @param {string} [prefix] - Optional prefix category
+ * @returns {Promise<Object|null>} - Map of key to state data for the keys that were found, or null on failure
+ */
+export async function loadStates(keys, prefix) {
+  if (!dynamoInitialized && !initializeDynamo()) {
+    console.warn('⚠️ DynamoDB is not available. Operation will fail.');
+    return null;
+  }
+  
+  try {
+    const keysByStateId = new Map(keys.map(key => [formatStateId(key, prefix), key]));
+    const stateIds = [...keysByStateId.keys()];
+    console.log(`📂 Loading ${stateIds.length} states from DynamoDB`);
+    
+    const states = {};
+    for (let i = 0; i < stateIds.length; i += BATCH_GET_LIMIT) {
+      let requestKeys = stateIds.slice(i, i + BATCH_GET_LIMIT).map(stateId => ({ stateId }));
+      
+      // Retry keys DynamoDB left unprocessed (throttling), a few times at most
+      for (let attempt = 0; requestKeys.length > 0 && attempt < 3; attempt++) {
+        const response = await docClient.send(new BatchGetCommand({
+          RequestItems: { [CONFIG.tableName]: { Keys: requestKeys } }
+        }));
+        
+        for (const item of response.Responses?.[CONFIG.tableName] || []) {
+          if (!isExpired(item)) {
+            states[keysByStateId.get(item.stateId)] = JSON.parse(item.data);
+          }
+        }
+        requestKeys = response.UnprocessedKeys?.[CONFIG.tableName]?.Keys || [];
+      }
+    }
+    
+    return states;
+  } catch (error) {
+    console.error('❌ Error loading states from DynamoDB:', error);
+    return null;
+  }
+}
+
 /**
  * Delete state from DynamoDB
  * @param {string} key - The state key to delete
@@ -399,6 +468,3 @@ export async function exportFullState() {
     return null;
   }
 }
-
-// Initialize DynamoDB when this module is imported
-initializeDynamo();
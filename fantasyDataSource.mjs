@@ -0,0 +1,200 @@
+/**
+ * fantasyDataSource.mjs - Where fantasyService.mjs gets Fantasy Top data from
+ *
+ * The default source is the real SDK client. FTOP_DATA_SOURCE=fixtures
+ * serves heroes, supply, floor prices and market info from JSON files
+ * instead (FTOP_FIXTURES_DIR, default tools/fixtures/fantasyTop), with
+ * optional latency (FTOP_FIXTURE_LATENCY_MS) and random failures
+ * (FTOP_FIXTURE_ERROR_RATE, 0 to 1), so lookups and replies can be
+ * exercised without the network or an API key.
+ *
+ * Both sources expose the subset of the SDK client the bot uses:
+ *   hero.getHeroesByHandleOrName({ search, page, limit }), hero.getHeroesByIds({ ids })
+ *   card.getCardById({ id }), card.getHeroSupply({ heroId })
+ *   marketplace.getLowestPriceForHeroRarity({ heroRarityIndex })
+ *   marketplace.getCardMarketBasicInfo({ heroRarityIndex })
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'tools', 'fixtures', 'fantasyTop');
+
+// Fixture files and the value used when one is missing
+const FIXTURE_FILES = {
+  heroes: ['heroes.json', []],
+  supply: ['supply.json', {}],
+  floors: ['floors.json', {}],
+  market: ['market.json', {}],
+  cards: ['cards.json', {}]
+};
+
+let activeSource = null;
+
+/**
+ * Creates the real Fantasy Top SDK client. The SDK is only loaded here, so
+ * the fixture source works without it installed.
+ * @returns {Promise<Object>} - SDK client
+ */
+export async function createSdkDataSource() {
+  if (!process.env.FTOP_API_KEY) {
+    throw new Error('FTOP_API_KEY is not defined. Please check your .env file.');
+  }
+
+  const { Client, Configuration } = await import('@fantasy-top/sdk-pro');
+  return Client.getInstance(new Configuration({
+    basePath: process.env.API_URL || 'https://api-v2.fantasy.top',
+    apiKey: process.env.FTOP_API_KEY,
+  }));
+}
+
+/**
+ * Reads the fixture files from a directory
+ * @param {string} dir - Directory holding heroes.json, supply.json, floors.json, market.json and cards.json
+ * @returns {Object} - { heroes, supply, floors, market, cards }
+ */
+export function loadFantasyFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const fixtures = {};
+
+  Object.entries(FIXTURE_FILES).forEach(([name, [fileName, fallback]]) => {
+    const filePath = path.join(dir, fileName);
+    fixtures[name] = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : fallback;
+  });
+
+  return fixtures;
+}
+
+/**
+ * Builds an error shaped like the ones the SDK throws
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with response.status
+ */
+function createApiError(message, status) {
+  const error = new Error(message);
+  error.response = { status };
+  return error;
+}
+
+/**
+ * Creates a data source that answers from fixtures
+ *
+ * Scripted failures ({ method, message, status, times }) make the next
+ * `times` calls to a method ("hero.getHeroesByIds", or "*" for any) throw,
+ * e.g. { method: '*', message: 'too many requests', status: 429, times: 2 }
+ * to exercise the retry backoff.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.fixtures - Fixture data, see loadFantasyFixtures (read from options.dir when omitted)
+ * @param {string} options.dir - Fixture directory
+ * @param {number} options.latencyMs - Delay before every response
+ * @param {number} options.errorRate - Chance (0 to 1) that a call fails with a 500
+ * @param {Array<Object>} options.failures - Scripted failures
+ * @returns {Object} - Data source, plus addFailure(failure) and calls (the methods called, in order)
+ */
+export function createFixtureDataSource(options = {}) {
+  const {
+    dir = DEFAULT_FIXTURES_DIR,
+    fixtures = loadFantasyFixtures(dir),
+    latencyMs = 0,
+    errorRate = 0,
+    failures = []
+  } = options;
+
+  const pendingFailures = failures.map(failure => ({ status: 500, times: 1, ...failure }));
+  const calls = [];
+
+  const addFailure = (failure) => {
+    pendingFailures.push({ status: 500, times: 1, ...failure });
+  };
+
+  // Applies latency and any due failure, then answers
+  const respond = async (method, answer) => {
+    calls.push(method);
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const failure = pendingFailures.find(entry => entry.method === method || entry.method === '*');
+    if (failure) {
+      failure.times--;
+      if (failure.times <= 0) {
+        pendingFailures.splice(pendingFailures.indexOf(failure), 1);
+      }
+      throw createApiError(failure.message || `Fixture failure for ${method}`, failure.status);
+    }
+    if (errorRate > 0 && Math.random() < errorRate) {
+      throw createApiError(`Random fixture failure for ${method}`, 500);
+    }
+
+    return { data: answer() };
+  };
+
+  return {
+    calls,
+    addFailure,
+    hero: {
+      getHeroesByHandleOrName: ({ search = '', page = 1, limit = 10 } = {}) => respond('hero.getHeroesByHandleOrName', () => {
+        const query = search.trim().toLowerCase();
+        const matches = fixtures.heroes.filter(hero =>
+          (hero.handle || '').toLowerCase().includes(query) ||
+          (hero.name || '').toLowerCase().includes(query));
+        return matches.slice((page - 1) * limit, page * limit);
+      }),
+      getHeroesByIds: ({ ids = [] } = {}) => respond('hero.getHeroesByIds', () =>
+        fixtures.heroes.filter(hero => ids.map(String).includes(String(hero.id))))
+    },
+    card: {
+      getCardById: ({ id } = {}) => respond('card.getCardById', () => fixtures.cards[id] || null),
+      getHeroSupply: ({ heroId } = {}) => respond('card.getHeroSupply', () => fixtures.supply[heroId] || [])
+    },
+    marketplace: {
+      getLowestPriceForHeroRarity: ({ heroRarityIndex } = {}) => respond('marketplace.getLowestPriceForHeroRarity', () =>
+        fixtures.floors[heroRarityIndex] ?? null),
+      getCardMarketBasicInfo: ({ heroRarityIndex } = {}) => respond('marketplace.getCardMarketBasicInfo', () =>
+        fixtures.market[heroRarityIndex] || {})
+    }
+  };
+}
+
+/**
+ * Gets the data source in use, creating it from FTOP_DATA_SOURCE on first use
+ * so a .env loaded after import still applies
+ *
+ * @returns {Promise<Object>} - Data source
+ */
+export async function getFantasyDataSource() {
+  if (!activeSource) {
+    const sourceName = process.env.FTOP_DATA_SOURCE || 'sdk';
+
+    if (sourceName === 'fixtures') {
+      activeSource = createFixtureDataSource({
+        dir: process.env.FTOP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+        latencyMs: parseInt(process.env.FTOP_FIXTURE_LATENCY_MS || '0', 10),
+        errorRate: parseFloat(process.env.FTOP_FIXTURE_ERROR_RATE || '0')
+      });
+    } else if (sourceName === 'sdk') {
+      // Concurrent first calls share one client; a failed start is retried on the next call
+      activeSource = createSdkDataSource().catch(err => {
+        activeSource = null;
+        throw err;
+      });
+    } else {
+      throw new Error(`Unknown FTOP_DATA_SOURCE: ${sourceName} (expected "sdk" or "fixtures")`);
+    }
+
+    console.log(`🔧 Fantasy Top data source: ${sourceName}`);
+  }
+
+  return activeSource;
+}
+
+/**
+ * Replaces the data source, e.g. with a fixture source in tests.
+ * Pass null to go back to the one FTOP_DATA_SOURCE selects.
+ *
+ * @param {Object|null} source - Data source
+ */
+export function setFantasyDataSource(source) {
+  activeSource = source;
+}
@@ -1,22 +1,13 @@
 import dotenv from 'dotenv';
-import { Client, Configuration } from '@fantasy-top/sdk-pro';
 import { getRarityName } from './utils/formatters.mjs';
+import { recordMarketSnapshot } from './priceHistory.mjs';
+import { cached } from './responseCache.mjs';
+import { rankHeroMatches } from './utils/heroExtractor.mjs';
+import { getFantasyDataSource } from './fantasyDataSource.mjs';
 
 // Load environment variables
 dotenv.config();
 
-if (!process.env.FTOP_API_KEY) {
-  throw new Error('FTOP_API_KEY is not defined. Please check your .env file.');
-}
-
-// Configure the Fantasy Top API client
-const config = new Configuration({
-  basePath: process.env.API_URL || 'https://api-v2.fantasy.top',
-  apiKey: process.env.FTOP_API_KEY,
-});
-
-export const fantasyApi = Client.getInstance(config);
-
 // Rate limiting configuration
 const API_RATE_LIMIT = {
   maxRequestsPerMinute: 60, // Adjust based on actual API limits
@@ -57,6 +48,18 @@ async function rateLimiter() {
   return Promise.resolve();
 }
 
+/**
+ * Checks whether an error means the Fantasy Top API is rate limiting us.
+ * Callers stop processing on these instead of treating them as "not found".
+ *
+ * @param {Error} error - Error from an API call
+ * @returns {boolean} - True if the error is a rate limit error
+ */
+export function isRateLimitError(error) {
+  const message = error?.message || '';
+  return message.includes('rate limit') || message.includes('too many requests');
+}
+
 /**
  * Wrapper function to apply rate limiting and retries to API calls
  * @param {Function} apiCall - Function that makes the API call
@@ -64,7 +67,7 @@ async function rateLimiter() {
  * @param {Object} options - Options for retries
  * @returns {Promise} - Result of the API call
  */
-async function withRateLimitAndRetry(apiCall, args = [], options = {}) {
+export async function withRateLimitAndRetry(apiCall, args = [], options = {}) {
   const { maxRetries = 3, baseDelay = 1000 } = options;
   let lastError = null;
   
@@ -104,11 +107,12 @@ async function withRateLimitAndRetry(apiCall, args = [], options = {}) {
 
 /**
  * Fetch a hero by handle or name, with enhanced search capabilities.
+ * Results (including "not found") are cached as hero metadata.
  * @param {string} heroName - Hero's handle or name.
  * @returns {Promise<Object>} - The hero object or null if not found.
  */
 export async function fetchHeroByName(heroName) {
-  return withRateLimitAndRetry(
+  return cached('hero', heroName.trim().toLowerCase(), () => withRateLimitAndRetry(
     async (name) => {
       // Clean the input - trim spaces for consistency
       const cleanName = name.trim();
@@ -116,7 +120,8 @@ export async function fetchHeroByName(heroName) {
       console.log(`Searching for hero with name: "${cleanName}"`);
       
       // Try the original search first
-      const response = await fantasyApi.hero.getHeroesByHandleOrName({
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.hero.getHeroesByHandleOrName({
         search: cleanName
       });
       
@@ -134,7 +139,50 @@ export async function fetchHeroByName(heroName) {
     },
     [heroName],
     { maxRetries: 3, baseDelay: 2000 }
-  );
+  ));
+}
+
+/**
+ * Search heroes by handle or name and rank the results by how closely they
+ * resemble the query. The API returns loose matches, so results that don't
+ * look like the query at all are dropped.
+ * @param {string} query - Text to search for.
+ * @returns {Promise<Array<Object>>} - [{ hero, confidence, matchType }], best match first.
+ */
+export async function searchHeroesRanked(query) {
+  const cleanQuery = query.trim();
+  const heroes = await cached('hero', `search:${cleanQuery.toLowerCase()}`, () => withRateLimitAndRetry(
+    async (search) => {
+      console.log(`Searching heroes for: "${search}"`);
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.hero.getHeroesByHandleOrName({ search });
+      return response.data || [];
+    },
+    [cleanQuery],
+    { maxRetries: 3, baseDelay: 2000 }
+  ));
+
+  const byHandle = new Map(heroes.filter(hero => hero?.handle).map(hero => [hero.handle.toLowerCase(), hero]));
+  const candidates = [...byHandle.keys()].map(handle => ({
+    handle,
+    name: (byHandle.get(handle).name || handle).toLowerCase()
+  }));
+
+  return rankHeroMatches(cleanQuery, candidates)
+    .map(match => ({ hero: byHandle.get(match.hero.handle), confidence: match.confidence, matchType: match.matchType }));
+}
+
+/**
+ * Fetch a single hero by ID, skipping the name search.
+ * Results are cached as hero metadata.
+ * @param {string} heroId - Hero ID.
+ * @returns {Promise<Object|null>} - The hero object or null if not found.
+ */
+export async function fetchHeroById(heroId) {
+  return cached('hero', `id:${heroId}`, async () => {
+    const heroes = await fetchHeroesByIds([String(heroId)]);
+    return Array.isArray(heroes) && heroes.length > 0 ? heroes[0] : null;
+  });
 }
 
 /**
@@ -146,7 +194,8 @@ export async function fetchHeroesByIds(heroIds) {
   return withRateLimitAndRetry(
     async (ids) => {
       console.log('Requesting hero data for IDs:', ids);
-      const response = await fantasyApi.hero.getHeroesByIds({
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.hero.getHeroesByIds({
         ids: ids
       });
       
@@ -161,6 +210,32 @@ export async function fetchHeroesByIds(heroIds) {
   );
 }
 
+/**
+ * Fetch one page of the full hero list.
+ * An empty search matches every hero, so paging through it lists the roster.
+ * @param {number} page - Page number, starting at 1.
+ * @param {number} limit - Heroes per page.
+ * @returns {Promise<Array>} - The heroes on that page (empty past the last page).
+ */
+export async function fetchHeroesPage(page, limit) {
+  return withRateLimitAndRetry(
+    async (pageNumber, pageSize) => {
+      console.log(`Requesting hero list page ${pageNumber} (${pageSize} per page)`);
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.hero.getHeroesByHandleOrName({
+        search: '',
+        page: pageNumber,
+        limit: pageSize
+      });
+      
+      // Handle both response formats (direct data or nested in data property)
+      return response.data || response || [];
+    },
+    [page, limit],
+    { maxRetries: 3, baseDelay: 2000 }
+  );
+}
+
 /**
  * Fetch heroes by a list of names.
  * @param {Array<string>} heroNames - List of hero names.
@@ -196,7 +271,8 @@ export async function fetchHeroesByNames(heroNames) {
 export async function fetchCardById(cardId) {
   return withRateLimitAndRetry(
     async (id) => {
-      const response = await fantasyApi.card.getCardById({
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.card.getCardById({
         id: id
       });
       
@@ -213,10 +289,11 @@ export async function fetchCardById(cardId) {
  * @returns {Promise<Array>} - Hero supply details.
  */
 export async function fetchHeroSupply(heroId) {
-  return withRateLimitAndRetry(
+  return cached('supply', heroId, () => withRateLimitAndRetry(
     async (id) => {
       console.log(`Fetching supply details for hero ID: ${id}`);
-      const response = await fantasyApi.card.getHeroSupply({
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.card.getHeroSupply({
         heroId: id
       });
       
@@ -233,7 +310,7 @@ export async function fetchHeroSupply(heroId) {
     },
     [heroId],
     { maxRetries: 3, baseDelay: 2000 }
-  );
+  ));
 }
 
 /**
@@ -241,10 +318,11 @@ export async function fetchHeroSupply(heroId) {
  * @param {string} heroRarityIndex - Hero rarity index in format "heroId_rarityLevel"
  * @returns {Promise<string|null>} - Raw wei value or null if not available
  */
-async function getLowestPriceForHeroRarity(heroRarityIndex) {
-  return withRateLimitAndRetry(
+export async function getLowestPriceForHeroRarity(heroRarityIndex) {
+  return cached('floor', heroRarityIndex, () => withRateLimitAndRetry(
     async (index) => {
-      const response = await fantasyApi.marketplace.getLowestPriceForHeroRarity({
+      const dataSource = await getFantasyDataSource();
+      const response = await dataSource.marketplace.getLowestPriceForHeroRarity({
         heroRarityIndex: index
       });
       
@@ -261,7 +339,7 @@ async function getLowestPriceForHeroRarity(heroRarityIndex) {
     },
     [heroRarityIndex],
     { maxRetries: 2, baseDelay: 1000 }
-  );
+  ));
 }
 
 /**
@@ -285,86 +363,130 @@ export async function getHeroMarketInfo(heroName) {
     }
 
     console.log(`Successfully found hero: ${hero.handle || hero.name} (ID: ${hero.id})`);
+    return await buildHeroMarketInfo(hero);
+  } catch (error) {
+    console.error('Error getting hero market info:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Gets all hero market information for a known hero ID, without a name search.
+ * Used when the tweet links a hero page or names a hero by cashtag.
+ * 
+ * @param {string} heroId - Hero ID.
+ * @returns {Promise<Object|null>} - Complete hero information with detailed market data.
+ */
+export async function getHeroMarketInfoById(heroId) {
+  try {
+    console.log(`Getting detailed market info for hero ID: ${heroId}`);
     
-    // Step 1: Fetch hero supply details
-    const supplyDetails = await fetchHeroSupply(hero.id);
-    console.log(`Got supply details: ${supplyDetails.length} entries`);
+    const hero = await fetchHeroById(heroId);
+    if (!hero) {
+      console.error(`Could not find hero with ID: ${heroId}`);
+      return null;
+    }
+
+    console.log(`Successfully found hero: ${hero.handle || hero.name} (ID: ${hero.id})`);
+    return await buildHeroMarketInfo(hero);
+  } catch (error) {
+    console.error('Error getting hero market info:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Combines supply and marketplace data for a hero into its market information
+ * @param {Object} hero - Hero object from the Fantasy Top API
+ * @returns {Promise<Object>} - Complete hero information with detailed market data
+ */
+async function buildHeroMarketInfo(hero) {
+  // Step 1: Fetch hero supply details
+  const supplyDetails = await fetchHeroSupply(hero.id);
+  console.log(`Got supply details: ${supplyDetails.length} entries`);
+  
+  // Step 2: Process the supply data into a market info structure
+  const marketInfo = {};
+  supplyDetails.forEach(detail => {
+    const rarityLevel = detail.rarity;
+    // Log the raw data for each rarity
+    console.log(`Raw supply detail for rarity ${rarityLevel}:`, JSON.stringify(detail, null, 2));
     
-    // Step 2: Process the supply data into a market info structure
-    const marketInfo = {};
-    supplyDetails.forEach(detail => {
-      const rarityLevel = detail.rarity;
-      // Log the raw data for each rarity
-      console.log(`Raw supply detail for rarity ${rarityLevel}:`, JSON.stringify(detail, null, 2));
-      
-      marketInfo[rarityLevel] = {
-        rarity: rarityLevel,
-        rarityName: getRarityName(rarityLevel),
-        supply: detail.supply || null,
-        highestBid: detail.highest_bid?.price || null,
-        lastSellPrice: detail.last_trade?.price || null,
-        floorPrice: null // Will be populated with getLowestPriceForHeroRarity
+    marketInfo[rarityLevel] = {
+      rarity: rarityLevel,
+      rarityName: getRarityName(rarityLevel),
+      supply: detail.supply || null,
+      highestBid: detail.highest_bid?.price || null,
+      lastSellPrice: detail.last_trade?.price || null,
+      floorPrice: null // Will be populated with getLowestPriceForHeroRarity
+    };
+  });
+  
+  // Step 3: For each rarity level, enhance data with marketplace API
+  const rarityLevels = [4, 3, 2, 1]; // Common, Rare, Epic, Legendary
+  
+  await Promise.all(rarityLevels.map(async (level) => {
+    // Only create an entry if we don't have it from supply data
+    if (!marketInfo[level]) {
+      marketInfo[level] = {
+        rarity: level,
+        rarityName: getRarityName(level),
+        supply: null,
+        highestBid: null,
+        lastSellPrice: null,
+        floorPrice: null
       };
-    });
+    }
     
-    // Step 3: For each rarity level, enhance data with marketplace API
-    const rarityLevels = [4, 3, 2, 1]; // Common, Rare, Epic, Legendary
+    // Get lowest price (current floor) for each rarity level
+    const rarityIndex = `${hero.id}_${level}`;
+    marketInfo[level].floorPrice = await getLowestPriceForHeroRarity(rarityIndex);
     
-    await Promise.all(rarityLevels.map(async (level) => {
-      // Only create an entry if we don't have it from supply data
-      if (!marketInfo[level]) {
-        marketInfo[level] = {
-          rarity: level,
-          rarityName: getRarityName(level),
-          supply: null,
-          highestBid: null,
-          lastSellPrice: null,
-          floorPrice: null
-        };
-      }
-      
-      // Get lowest price (current floor) for each rarity level
-      const rarityIndex = `${hero.id}_${level}`;
-      marketInfo[level].floorPrice = await getLowestPriceForHeroRarity(rarityIndex);
-      
-      // Enhance with more market data from getCardMarketBasicInfo
-      try {
-        const response = await fantasyApi.marketplace.getCardMarketBasicInfo({
+    // Enhance with more market data from getCardMarketBasicInfo
+    try {
+      const data = await cached('market', rarityIndex, async () => {
+        const dataSource = await getFantasyDataSource();
+        const response = await dataSource.marketplace.getCardMarketBasicInfo({
           heroRarityIndex: rarityIndex
         });
-        
-        const data = response.data || response;
-        
-        // Update highest bid if available and not already set
-        if (data && data.highest_bid && data.highest_bid.price !== undefined && !marketInfo[level].highestBid) {
-          marketInfo[level].highestBid = data.highest_bid.price;
-          console.log(`Updated highest bid for ${rarityIndex}: ${data.highest_bid.price}`);
-        }
-        
-        // Update last sell price if available and not already set
-        if (data && data.last_trade && data.last_trade.price !== undefined && !marketInfo[level].lastSellPrice) {
-          marketInfo[level].lastSellPrice = data.last_trade.price;
-          console.log(`Updated last trade price for ${rarityIndex}: ${data.last_trade.price}`);
-        }
-      } catch (error) {
-        console.warn(`Failed to get market data for ${rarityIndex}: ${error.message}`);
+        return response.data || response;
+      });
+      
+      // Update highest bid if available and not already set
+      if (data && data.highest_bid && data.highest_bid.price !== undefined && !marketInfo[level].highestBid) {
+        marketInfo[level].highestBid = data.highest_bid.price;
+        console.log(`Updated highest bid for ${rarityIndex}: ${data.highest_bid.price}`);
       }
-    }));
-    
-    console.log('Final market info:');
-    console.log(JSON.stringify(marketInfo, null, 2));
-    
-    // Return complete hero info with raw wei values
-    return {
-      id: hero.id,
-      name: hero.handle || hero.name,
-      profileImage: hero.profile_image_url_https,
-      followers: hero.followers_count || 0,
-      stars: hero.stars || 0,
-      marketInfo: marketInfo
-    };
+      
+      // Update last sell price if available and not already set
+      if (data && data.last_trade && data.last_trade.price !== undefined && !marketInfo[level].lastSellPrice) {
+        marketInfo[level].lastSellPrice = data.last_trade.price;
+        console.log(`Updated last trade price for ${rarityIndex}: ${data.last_trade.price}`);
+      }
+    } catch (error) {
+      console.warn(`Failed to get market data for ${rarityIndex}: ${error.message}`);
+    }
+  }));
+  
+  console.log('Final market info:');
+  console.log(JSON.stringify(marketInfo, null, 2));
+  
+  // Complete hero info with raw wei values
+  const heroInfo = {
+    id: hero.id,
+    name: hero.handle || hero.name,
+    profileImage: hero.profile_image_url_https,
+    followers: hero.followers_count || 0,
+    stars: hero.stars || 0,
+    marketInfo: marketInfo
+  };
+  
+  // Step 4: Store a snapshot for price history - never fail the lookup because of it
+  try {
+    await recordMarketSnapshot(heroInfo);
   } catch (error) {
-    console.error('Error getting hero market info:', error.message);
-    throw error;
+    console.warn(`Failed to record price snapshot for ${heroInfo.name}: ${error.message}`);
   }
+  
+  return heroInfo;
 }
\ No newline at end of file
@@ -25,6 +25,26 @@ const CONFIG = {
   backupDir: path.join(__dirname, './backups')
 };
 
+let configurationLogged = false;
+
+/**
+ * Logs the file configuration on first use rather than at import, so
+ * importing this module prints nothing (e.g. before `bot.mjs <command> --json`
+ * has sent the logs to stderr)
+ */
+function logConfiguration() {
+  if (configurationLogged) {
+    return;
+  }
+  configurationLogged = true;
+  console.log('🔧 File state manager configuration:', JSON.stringify({
+    stateDir: CONFIG.stateDir,
+    retentionDays: CONFIG.retentionDays,
+    backupsEnabled: CONFIG.backupsEnabled,
+    backupDir: CONFIG.backupDir
+  }));
+}
+
 // Ensure state directory exists
 async function ensureStateDir() {
   try {
@@ -59,6 +79,7 @@ function getStateFilePath(key) {
  * @returns {Promise<boolean>} - Whether the save was successful
  */
 export async function saveState(key, data) {
+  logConfiguration();
   try {
     console.log(`💾 Saving state '${key}' to file`);
     
@@ -98,6 +119,7 @@ export async function saveState(key, data) {
  * @returns {Promise<Object|null>} - The state data or null if not found
  */
 export async function loadState(key) {
+  logConfiguration();
   try {
     console.log(`📂 Loading state '${key}' from file`);
     
@@ -149,6 +171,7 @@ export async function loadState(key) {
  * @returns {Promise<boolean>} - Whether the deletion was successful
  */
 export async function deleteState(key) {
+  logConfiguration();
   try {
     console.log(`🗑️ Deleting state '${key}' from file`);
     
@@ -184,10 +207,3 @@ export async function deleteState(key) {
     return false;
   }
 }
-
-console.log('🔧 File state manager configuration:', JSON.stringify({
-  stateDir: CONFIG.stateDir,
-  retentionDays: CONFIG.retentionDays,
-  backupsEnabled: CONFIG.backupsEnabled,
-  backupDir: CONFIG.backupDir
-}));
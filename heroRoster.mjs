@@ -0,0 +1,169 @@
+/**
+ * heroRoster.mjs - Keeps the hero roster in sync with the Fantasy Top API
+ *
+ * Pages through the full hero list and rebuilds the roster (id, handle,
+ * name) used for hero matching. The new roster is saved in state, where
+ * the Lambda reads it from, and outside Lambda it is also written back to
+ * all_heroes.json along with a diff report of added and removed heroes.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchHeroesPage } from './fantasyService.mjs';
+import { loadHeroRoster, saveHeroRoster } from './stateManager.mjs';
+import { clearHeroCache } from './utils/heroExtractor.mjs';
+
+const IS_LAMBDA = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const ROSTER_PAGE_SIZE = 100;
+const ROSTER_MAX_PAGES = 50;
+
+// Refuse a sync that would drop more than this share of the current roster,
+// since that is far more likely a bad API response than real delistings
+const ROSTER_MAX_REMOVED_RATIO = parseFloat(process.env.ROSTER_MAX_REMOVED_RATIO || '0.2');
+
+const ROSTER_FILE_PATH = path.join(process.cwd(), 'all_heroes.json');
+const DIFF_REPORT_PATH = path.join(process.cwd(), 'hero_roster_diff.json');
+
+/**
+ * Fetches every hero from the Fantasy Top API
+ * @returns {Promise<Array<Object>>} - [{ id, handle, name }] in API order, without duplicates
+ */
+async function fetchRoster() {
+  const heroes = new Map();
+
+  for (let page = 1; page <= ROSTER_MAX_PAGES; page++) {
+    const pageHeroes = await fetchHeroesPage(page, ROSTER_PAGE_SIZE);
+
+    pageHeroes
+      .filter(hero => hero?.id && hero.handle)
+      .forEach(hero => heroes.set(String(hero.id), {
+        id: String(hero.id),
+        handle: hero.handle,
+        name: hero.name || hero.handle
+      }));
+
+    if (pageHeroes.length < ROSTER_PAGE_SIZE) {
+      break;
+    }
+    if (page === ROSTER_MAX_PAGES) {
+      console.warn(`⚠️ Stopped hero roster sync after ${ROSTER_MAX_PAGES} pages`);
+    }
+  }
+
+  return [...heroes.values()];
+}
+
+/**
+ * Loads the roster currently in use: the synced roster from state, else all_heroes.json
+ * @returns {Promise<Array<Object>>} - Heroes with handle and name (and id, once synced)
+ */
+async function loadCurrentRoster() {
+  const storedRoster = await loadHeroRoster();
+  if (storedRoster?.heroes?.length > 0) {
+    return storedRoster.heroes;
+  }
+
+  try {
+    const data = JSON.parse(await fs.readFile(ROSTER_FILE_PATH, 'utf-8'));
+    return Array.isArray(data?.data) ? data.data : [];
+  } catch (error) {
+    console.warn(`⚠️ Could not read all_heroes.json: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Compares two rosters by handle (case-insensitive)
+ * @param {Array<Object>} previous - Current roster
+ * @param {Array<Object>} next - Freshly fetched roster
+ * @returns {Object} - { added, removed } lists of heroes
+ */
+export function diffRosters(previous, next) {
+  const previousHandles = new Set(previous.map(hero => hero.handle.toLowerCase()));
+  const nextHandles = new Set(next.map(hero => hero.handle.toLowerCase()));
+
+  return {
+    added: next.filter(hero => !previousHandles.has(hero.handle.toLowerCase())),
+    removed: previous.filter(hero => !nextHandles.has(hero.handle.toLowerCase()))
+  };
+}
+
+/**
+ * Formats a roster diff report for the console
+ * @param {Object} report - Diff report from syncHeroRoster
+ * @returns {string} - Readable summary
+ */
+export function formatRosterDiff(report) {
+  const lines = [`${report.previousCount} → ${report.currentCount} heroes (+${report.added.length} / -${report.removed.length})`];
+
+  report.added.forEach(hero => lines.push(`  + ${hero.handle} (${hero.name})`));
+  report.removed.forEach(hero => lines.push(`  - ${hero.handle} (${hero.name})`));
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes the roster to all_heroes.json, one hero per line like the original file
+ * @param {Array<Object>} heroes - Heroes to write
+ */
+async function writeRosterFile(heroes) {
+  const lines = heroes.map(hero =>
+    `      { ${Object.entries(hero).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')} }`
+  );
+
+  await fs.writeFile(ROSTER_FILE_PATH, `{\n    "data": [\n${lines.join(',\n')}\n    ]\n  }\n`);
+}
+
+/**
+ * Rebuilds the hero roster from the Fantasy Top API
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report the diff, don't save anything
+ * @param {boolean} options.force - Save even if many heroes would be removed
+ * @param {boolean} options.writeFiles - Also write all_heroes.json and the diff report (off in Lambda)
+ * @returns {Promise<Object>} - { status, report } where status is synced, unchanged, preview or rejected
+ */
+export async function syncHeroRoster(options = {}) {
+  const { dryRun = false, force = false, writeFiles = !IS_LAMBDA } = options;
+
+  const previous = await loadCurrentRoster();
+  const heroes = await fetchRoster();
+  if (heroes.length === 0) {
+    throw new Error('Fantasy Top API returned no heroes');
+  }
+
+  const { added, removed } = diffRosters(previous, heroes);
+  const report = {
+    syncedAt: new Date().toISOString(),
+    previousCount: previous.length,
+    currentCount: heroes.length,
+    added,
+    removed
+  };
+  console.log(`🦸 Hero roster: ${formatRosterDiff(report)}`);
+
+  if (!force && previous.length > 0 && removed.length / previous.length > ROSTER_MAX_REMOVED_RATIO) {
+    console.warn(`⚠️ Sync would remove ${removed.length} of ${previous.length} heroes, not saving (use force to override)`);
+    return { status: 'rejected', report };
+  }
+
+  if (dryRun) {
+    return { status: 'preview', report };
+  }
+
+  const saved = await saveHeroRoster({ heroes, syncedAt: report.syncedAt, diff: report });
+  if (!saved) {
+    throw new Error('Could not save hero roster');
+  }
+
+  if (writeFiles) {
+    await writeRosterFile(heroes);
+    await fs.writeFile(DIFF_REPORT_PATH, JSON.stringify(report, null, 2) + '\n');
+    console.log(`📝 Wrote all_heroes.json and ${path.basename(DIFF_REPORT_PATH)}`);
+  }
+
+  // Pick up the new roster on the next hero lookup
+  clearHeroCache();
+
+  const status = added.length > 0 || removed.length > 0 ? 'synced' : 'unchanged';
+  return { status, report };
+}
@@ -1,6 +1,10 @@
 import dotenv from 'dotenv';
 dotenv.config();
 import { processMentions } from './mentionProcessor.mjs';
+import { postDailyDigest } from './digest.mjs';
+import { syncHeroRoster } from './heroRoster.mjs';
+import { isDryRun } from './dryRun.mjs';
+import { logStateConfiguration } from './stateManager.mjs';
 
 // Initialize Lambda environment variables
 process.env.USE_DYNAMO_STATE = 'true'; // Force DynamoDB in Lambda
@@ -14,11 +18,69 @@ if (!process.env.AWS_REGION) {
 
 /**
  * AWS Lambda handler function
+ * Scheduled events with `{ "job": "digest" }` post the daily digest,
+ * `{ "job": "roster" }` syncs the hero roster, everything else processes mentions.
  */
 export const handler = async (event, context) => {
   console.log('Lambda invoked:', new Date().toISOString());
   console.log('Remaining time (ms):', context.getRemainingTimeInMillis());
   console.log('Event:', JSON.stringify(event));
+  logStateConfiguration();
+  if (isDryRun()) {
+    console.log('🧪 DRY_RUN is set: nothing will be posted');
+  }
+  
+  if (event?.job === 'digest') {
+    try {
+      console.log('Posting daily digest...');
+      const result = await postDailyDigest();
+      console.log('Daily digest finished:', result);
+      
+      return {
+        statusCode: result.status === 'failed' ? 500 : 200,
+        body: JSON.stringify({
+          message: `Daily digest ${result.status}`,
+          digest: result
+        })
+      };
+    } catch (error) {
+      console.error('Daily digest failed:', error);
+      
+      return {
+        statusCode: 500,
+        body: JSON.stringify({
+          message: 'Error posting daily digest',
+          error: error.message
+        })
+      };
+    }
+  }
+  
+  if (event?.job === 'roster') {
+    try {
+      console.log('Syncing hero roster...');
+      const result = await syncHeroRoster();
+      console.log(`Hero roster sync ${result.status}: +${result.report.added.length} / -${result.report.removed.length}`);
+      
+      return {
+        statusCode: result.status === 'rejected' ? 500 : 200,
+        body: JSON.stringify({
+          message: `Hero roster ${result.status}`,
+          report: result.report
+        })
+      };
+    } catch (error) {
+      console.error('Hero roster sync failed:', error);
+      
+      return {
+        statusCode: 500,
+        body: JSON.stringify({
+          message: 'Error syncing hero roster',
+          error: error.message
+        })
+      };
+    }
+  }
   
   try {
     console.log('Starting to process mentions...');
@@ -29,6 +91,7 @@ export const handler = async (event, context) => {
       statusCode: 200,
       body: JSON.stringify({
         message: 'Mentions processed successfully',
+        dryRun: isDryRun(),
         stats: result
       })
     };
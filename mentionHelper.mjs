@@ -4,6 +4,7 @@
  * Handles timestamp formatting and mention query parameters
  * to ensure consistency between environments
  */
+import { twitterApiUrl } from './utils/twitterEndpoints.mjs';
 
 /**
  * Calculate a safe start time for fetching mentions
@@ -195,7 +196,7 @@ export function createMentionQueryParams(userId, lastMentionId) {
   }
   
   // Create the full URL (for logging/debugging)
-  const baseUrl = `https://api.twitter.com/2/users/${userId}/mentions`;
+  const baseUrl = twitterApiUrl(`/2/users/${userId}/mentions`);
   const queryString = Object.entries(params)
     .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
     .join('&');
@@ -211,23 +212,84 @@ export function createMentionQueryParams(userId, lastMentionId) {
 }
 
 /**
- * Determines if the bot should respond to a mention
- * Handles both direct and indirect mentions
- * 
+ * Checks a mention against the blocked keyword patterns
+ * @param {string} text - Tweet text
+ * @param {string[]} patterns - Case-insensitive regular expressions
+ * @returns {string|null} - The first pattern that matches, or null
+ */
+function findBlockedKeyword(text, patterns) {
+  return patterns.find(pattern => {
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring invalid keyword pattern "${pattern}": ${error.message}`);
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Works out why the bot should not respond to a mention, if it shouldn't.
+ * Blocked authors and keywords always win over the allowlist.
+ *
  * @param {Object} tweet - The tweet object from Twitter API
  * @param {Object} mentionType - The mention type object from getMentionType()
  * @param {string} botUserId - The bot's user ID
- * @returns {boolean} Whether the bot should respond
+ * @param {Object} options - Options
+ * @param {Object} options.accessLists - Lists from getAccessLists() (accessLists.mjs)
+ * @param {string|null} options.authorUsername - Author handle, used for the handle lists
+ * @returns {Object|null} { reason, detail } or null if the bot should respond
  */
-export function shouldRespondToMention(tweet, mentionType, botUserId) {
+export function getSkipReason(tweet, mentionType, botUserId, options = {}) {
+  const { accessLists = null, authorUsername = null } = options;
+  
   // Don't respond if the tweet doesn't exist
-  if (!tweet) return false;
+  if (!tweet) return { reason: 'missing_tweet' };
   
   // Don't respond to our own tweets
-  if (tweet.author_id === botUserId) return false;
+  if (tweet.author_id === botUserId) return { reason: 'own_tweet' };
+  
+  // Respond only if it's a direct or indirect mention
+  if (!mentionType.isDirect && !mentionType.isIndirect) return { reason: 'not_mentioned' };
+  
+  if (!accessLists) return null;
+  
+  const handle = authorUsername ? authorUsername.toLowerCase() : null;
+  
+  if (accessLists.blockedUserIds.includes(tweet.author_id)) {
+    return { reason: 'blocked_user', detail: tweet.author_id };
+  }
+  
+  if (handle && accessLists.blockedHandles.includes(handle)) {
+    return { reason: 'blocked_handle', detail: handle };
+  }
+  
+  const keyword = findBlockedKeyword(tweet.text || '', accessLists.blockedKeywords);
+  if (keyword) {
+    return { reason: 'blocked_keyword', detail: keyword };
+  }
+  
+  if (accessLists.allowlistOnly &&
+      !accessLists.allowedUserIds.includes(tweet.author_id) &&
+      !(handle && accessLists.allowedHandles.includes(handle))) {
+    return { reason: 'not_allowlisted', detail: handle || tweet.author_id };
+  }
   
-  // Respond if it's a direct or indirect mention
-  return mentionType.isDirect || mentionType.isIndirect;
+  return null;
+}
+
+/**
+ * Determines if the bot should respond to a mention
+ * Handles both direct and indirect mentions
+ * 
+ * @param {Object} tweet - The tweet object from Twitter API
+ * @param {Object} mentionType - The mention type object from getMentionType()
+ * @param {string} botUserId - The bot's user ID
+ * @param {Object} options - Access lists and author handle, see getSkipReason()
+ * @returns {boolean} Whether the bot should respond
+ */
+export function shouldRespondToMention(tweet, mentionType, botUserId, options = {}) {
+  return getSkipReason(tweet, mentionType, botUserId, options) === null;
 }
 
 /**
@@ -240,7 +302,9 @@ export function shouldRespondToMention(tweet, mentionType, botUserId) {
  */
 export function formatReplyText(reply, mentionType, userInfo) {
   // If it's a direct mention and we have the author's username, include it
-  if (mentionType.isDirect && userInfo.authorUsername) {
+  // unless the reply already starts with it
+  if (mentionType.isDirect && userInfo.authorUsername &&
+      !reply.text.startsWith(`@${userInfo.authorUsername} `)) {
     return `@${userInfo.authorUsername} ${reply.text}`;
   }
   
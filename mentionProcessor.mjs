@@ -1,134 +1,263 @@
-import { getMentions, getUserById } from './twitterClient.mjs';
-import { getHeroMarketInfo } from './fantasyService.mjs';
-import { postTweet } from './twitterClient.mjs';
+import { getMentions, getUserById, compareTweetIds, postReplyThread } from './twitterClient.mjs';
+import { isRateLimitError } from './fantasyService.mjs';
 import { loadTokens } from './auth.mjs';
 import { 
   loadLastMentionId, 
   saveLastMentionId, 
+  loadMentionBackfill,
+  saveMentionBackfill,
   hasRepliedToTweet, 
   markTweetAsReplied,
+  recordMentionSkip,
   startExecution,
   endExecution,
   recordError
 } from './stateManager.mjs';
-import { extractPotentialHeroes } from './utils/heroExtractor.mjs';
-import { formatWeiToEth } from './utils/formatters.mjs';
+import { checkPriceAlerts } from './alerts.mjs';
+import { getCacheStats, flushCacheStats, discardCacheStats } from './responseCache.mjs';
+import { parseIntent } from './commands/grammar.mjs';
+import { runCommand } from './commands/router.mjs';
+import { getAccessLists } from './accessLists.mjs';
+import { checkUserRateLimit, recordUserReply, recordUserBlocked, createSlowDownReply } from './userRateLimiter.mjs';
+import { isDryRun, recordDryRunTweet } from './dryRun.mjs';
 import readline from 'readline';
 // Import new mention helper functions
 import {
   getMentionType,
   extractUserInfo,
-  shouldRespondToMention,
-  formatReplyText
+  getSkipReason
 } from './mentionHelper.mjs';
 
 // Maximum age for tweets to process (15 minutes in milliseconds)
 const MAX_TWEET_AGE_MS = 900000;
 
+// Mentions recovered from a backfill window were missed by an earlier run,
+// so they may be older than MAX_TWEET_AGE_MS (6 hours in milliseconds)
+const MAX_BACKFILL_AGE_MS = 6 * 60 * 60 * 1000;
+
 // Get the bot's username from environment variable or use default
 const BOT_USERNAME = process.env.TWITTER_USERNAME || 'FantasyTopHuds';
 const BOT_USER_ID = process.env.TWITTER_USER_ID;
 
 /**
- * Creates a formatted tweet with hero market info
- * Always includes @username for all responses so the user gets a notification
- * 
- * @param {Object} heroInfo - The hero information object
- * @param {string|null} username - Username to mention in the reply
- * @returns {Object} - Formatted tweet content object
+ * Gets the author of a mention from the expanded users of the mentions response.
+ * Only falls back to a getUserById lookup when the author isn't in the expansions.
+ *
+ * @param {Object} mention - The mention tweet
+ * @param {Array<Object>} users - Expanded users (`includes.users`) from getMentions
+ * @param {Object} stats - Run statistics, lookup failures are counted as errors
+ * @returns {Promise<Object>} - User info from extractUserInfo, authorUsername is null if it couldn't be found
  */
-function createHeroInfoResponse(heroInfo, username) {
-  // Maximum tweet length allowed by Twitter
-  const MAX_TWEET_LENGTH = 280;
-  
-  // Call to action text that we'll add if there's room
-  const CALL_TO_ACTION = "\nCheck out more on Fantasy Top!";
+async function resolveMentionUser(mention, users, stats) {
+  const userInfo = extractUserInfo(mention, users);
+  if (!userInfo.authorUsername && mention.username) {
+    userInfo.authorUsername = mention.username;
+  }
   
-  // Always include username if provided (whether direct reply or not)
-  // This ensures the user gets notified when we respond
-  let message = username ? `@${username} ` : '';
-  message += `Here's the latest for ${heroInfo.name}:\n\n`;
+  if (!userInfo.authorUsername && mention.author_id) {
+    try {
+      console.log(`Author ${mention.author_id} missing from expansions, fetching username`);
+      const userData = await getUserById(mention.author_id);
+      userInfo.authorUsername = userData?.username || null;
+      userInfo.authorDisplayName = userData?.name || null;
+      console.log(`Fetched username for author_id ${mention.author_id}: ${userInfo.authorUsername}`);
+    } catch (error) {
+      console.error(`Failed to get username for author_id ${mention.author_id}:`, error.message);
+      // Don't record this as an error in the state, just log to console
+      // This is a known issue with the Twitter API rate limits
+      stats.errors++; // Still count it in stats but don't log to state
+    }
+  }
   
-  // Add market information for each rarity level - focus on supply, floor price, and last sale
-  // Convert the object to an array and sort by rarity (use the rarity key which is 1-4)
-  const rarities = Object.values(heroInfo.marketInfo).sort((a, b) => a.rarity - b.rarity);
+  return userInfo;
+}
+
+/**
+ * Posts a command reply to a mention and records it for dedupe.
+ * A whole thread is recorded as a single reply; if only part of it went
+ * out, the mention is still marked as replied so it isn't answered twice.
+ *
+ * @param {Object} tokens - OAuth tokens
+ * @param {Object} reply - Reply from runCommand { parts, mediaIds, metadata }
+ * @param {Object} mention - The mention tweet
+ * @param {string|null} username - Author username, for the reply metadata
+ * @param {Object} stats - Run statistics
+ * @returns {Promise<boolean>} - True if the whole reply was posted (never in a dry run)
+ */
+async function postReply(tokens, reply, mention, username, stats) {
+  const { parts, mediaIds = [], metadata } = reply;
+  console.log('Replying with:', parts.join('\n\n'));
   
-  // Process each rarity level
-  rarities.forEach(info => {
-    let line = `${info.rarityName}: `;
-    
-    // Add supply
-    if (info.supply !== null && info.supply !== undefined) {
-      line += `${info.supply} cards`;
-    } else {
-      line += `0 cards`;
-    }
-    
-    // Add the key price information
-    const marketData = [];
-    
-    // 1. Current Price (from getLowestPriceForHeroRarity) - most important
-    const formattedFloorPrice = formatWeiToEth(info.floorPrice);
-    if (formattedFloorPrice !== 'N/A') {
-      marketData.push(`Price: Ξ${formattedFloorPrice}`);
-    }
-    
-    // 2. Last Sell Price (from last_trade)
-    const formattedLastSellPrice = formatWeiToEth(info.lastSellPrice);
-    if (formattedLastSellPrice !== 'N/A') {
-      marketData.push(`Last: Ξ${formattedLastSellPrice}`);
-    }
-    
-    // 3. Highest Bid (optional)
-    const formattedHighestBid = formatWeiToEth(info.highestBid);
-    if (formattedHighestBid !== 'N/A') {
-      marketData.push(`Bid: Ξ${formattedHighestBid}`);
+  // Builds the reply metadata, recording a whole thread as a single reply
+  const buildReplyMetadata = (postedIds) => {
+    const replyMetadata = {
+      authorUsername: username || mention.author_id,
+      replyText: parts[0].substring(0, 100), // Store preview of reply
+      ...metadata,
+      tweetIds: postedIds
+    };
+    if (parts.length > 1) {
+      replyMetadata.thread = {
+        tweetIds: postedIds,
+        parts: parts.length,
+        complete: postedIds.length === parts.length
+      };
     }
-    
-    // Only add the parentheses if we have market data
-    if (marketData.length > 0) {
-      line += ` (${marketData.join(', ')})`;
+    return replyMetadata;
+  };
+  
+  // Dry runs record the reply in their own log, leaving the dedupe history alone
+  if (isDryRun()) {
+    await recordDryRunTweet({ source: 'mention', replyToTweetId: mention.id, parts, metadata: buildReplyMetadata([]) });
+    stats.dryRunReplies++;
+    return false;
+  }
+  
+  let retryCount = 0;
+  const MAX_RETRIES = 0; // Set to 0 for no retries
+  
+  while (retryCount <= MAX_RETRIES) {
+    try {
+      if (retryCount > 0) {
+        const delay = retryCount * 10000; // Increase delay with each retry (10s, 20s, 30s)
+        console.log(`⏳ Retry ${retryCount}/${MAX_RETRIES} - Waiting ${delay/1000}s before retrying...`);
+        await sleep(delay);
+        console.log(`🔄 Retrying tweet post to ${mention.id}...`);
+        stats.retries++;
+      }
+      
+      const postedIds = await postReplyThread(tokens, parts, mention.id, mediaIds);
+      console.log(`Posted ${metadata.mentionType} reply to mention ID: ${mention.id} with ${postedIds.length} tweet(s)`);
+      stats.repliesSent++;
+      
+      // Mark this tweet as replied to
+      await markTweetAsReplied(mention.id, buildReplyMetadata(postedIds));
+      return true;
+    } catch (error) {
+      // Determine if we should retry - never once part of a thread is live
+      const shouldRetry = 
+        !error.postedIds?.length &&
+        error.isTwitterError && 
+        error.statusCode === 403 && 
+        (error.message.includes('not permitted to perform this action') ||
+         (error.twitterError?.detail?.includes('not permitted to perform this action')));
+        
+      if (shouldRetry && retryCount < MAX_RETRIES) {
+        // We'll retry - increment the counter and continue loop
+        retryCount++;
+        console.log(`⚠️ Received Twitter 403 error - may be posting too quickly. Will retry.`);
+        continue;
+      }
+      
+      // We've either exhausted retries or it's another type of error
+      stats.errors++;
+      
+      // Create a descriptive error message
+      const errorContext = `Failed to post reply to tweet ${mention.id}`;
+      let errorDetails = '';
+      
+      if (error.isTwitterError) {
+        // Format Twitter API errors with more context
+        errorDetails = `Twitter API error (${error.statusCode}): `;
+        
+        if (error.twitterError) {
+          if (error.twitterError.detail) {
+            errorDetails += error.twitterError.detail;
+          }
+          if (error.twitterError.title) {
+            errorDetails += ` (${error.twitterError.title})`;
+          }
+        } else {
+          errorDetails += error.message;
+        }
+        
+        // Add hints for common errors
+        if (error.statusCode === 403) {
+          console.error(`🚫 Permission error (403) when posting tweet. Check app permissions and duplicate content.`);
+        } else if (error.statusCode === 401) {
+          console.error(`🔐 Authentication error (401). Tokens may be expired. Try resetting authentication.`);
+        }
+      } else {
+        // General error
+        errorDetails = error.message;
+      }
+      
+      console.error(`Error posting reply: ${errorDetails}`);
+      
+      // Record this error in our state
+      await recordError(error, errorContext);
+      
+      // Part of the thread went out, so don't answer this mention again
+      if (error.postedIds?.length) {
+        console.warn(`⚠️ Thread for ${mention.id} stopped after ${error.postedIds.length}/${parts.length} tweets`);
+        await markTweetAsReplied(mention.id, buildReplyMetadata(error.postedIds));
+      }
+      
+      return false;
     }
-    
-    message += line + '\n';
-  });
+  }
+  
+  return false;
+}
 
-  // Add a call to action only if it fits within the character limit
-  if (message.length + CALL_TO_ACTION.length <= MAX_TWEET_LENGTH) {
-    message += CALL_TO_ACTION;
-  } else {
-    // Log that we're omitting the call to action due to length constraints
-    console.log(`⚠️ Tweet is too long (${message.length} chars), omitting call to action`);
-    
-    // If the message is still too long, truncate it with an ellipsis
-    if (message.length > MAX_TWEET_LENGTH) {
-      message = message.substring(0, MAX_TWEET_LENGTH - 3) + '...';
-      console.log(`⚠️ Tweet truncated to ${message.length} characters`);
-    }
+/**
+ * Combines two backfill windows into one that covers both gaps.
+ * The combined window may include mentions that were already handled;
+ * those are skipped by the replied-to check.
+ *
+ * @param {Object} a - Backfill window { sinceId, untilId }
+ * @param {Object} b - Backfill window { sinceId, untilId }
+ * @returns {Object} - Window from the older sinceId to the newer untilId
+ */
+function mergeBackfillWindows(a, b) {
+  // A missing sinceId means the window is open-ended towards older mentions
+  const sinceId = a.sinceId && b.sinceId ?
+    (compareTweetIds(a.sinceId, b.sinceId) < 0 ? a.sinceId : b.sinceId) :
+    null;
+  const untilId = compareTweetIds(a.untilId, b.untilId) > 0 ? a.untilId : b.untilId;
+  return { sinceId, untilId };
+}
+
+/**
+ * Works out what is left of a backfill window after one run
+ *
+ * @param {Object} backfill - The window that was fetched { sinceId, untilId }
+ * @param {Array<Object>} mentions - Mentions returned for the window
+ * @param {Object} meta - Pagination meta returned for the window
+ * @returns {Object|null} - The remaining window, or null when the window is complete
+ */
+function getRemainingBackfill(backfill, mentions, meta) {
+  if (meta.failed) {
+    return backfill;
+  }
+  if (!meta.truncated) {
+    return null;
   }
   
-  // Log the final tweet length
-  console.log(`📏 Final tweet length: ${message.length}/${MAX_TWEET_LENGTH} characters`);
+  // Stop once we've reached mentions too old to answer anyway
+  const oldest = mentions[0];
+  if (oldest && !isTweetRecent(oldest.created_at, MAX_BACKFILL_AGE_MS)) {
+    console.log(`🧩 Backfill reached mentions older than ${MAX_BACKFILL_AGE_MS / 3600000} hours, dropping the rest of the window`);
+    return null;
+  }
   
-  return {
-    text: message,
-    heroName: heroInfo.name
-  };
+  return { sinceId: backfill.sinceId, untilId: meta.oldestId || oldest?.id || backfill.untilId };
 }
 
 /**
  * Checks if a tweet is recent enough to process
  * @param {string} tweetCreatedAt - ISO timestamp from Twitter
+ * @param {number} maxAgeMs - Maximum age in milliseconds
  * @returns {boolean} - True if tweet is recent enough to process
  */
-function isTweetRecent(tweetCreatedAt) {
+function isTweetRecent(tweetCreatedAt, maxAgeMs = MAX_TWEET_AGE_MS) {
   if (!tweetCreatedAt) return false;
   
   const tweetDate = new Date(tweetCreatedAt);
   const now = new Date();
   const ageMs = now - tweetDate;
   
-  const isRecent = ageMs <= MAX_TWEET_AGE_MS;
+  const isRecent = ageMs <= maxAgeMs;
   if (!isRecent) {
     console.log(`Tweet from ${tweetDate.toLocaleString()} is too old (${Math.round(ageMs/1000/60)} minutes)`);
   } else {
@@ -167,17 +296,25 @@ function sleep(ms) {
  * - Responds with hero information if a valid hero is found
  */
 export async function processMentions() {
-  const executionId = await startExecution();
+  // A dry run posts nothing and leaves the live bot's position in the mentions
+  // and its statistics (run metrics, skips, rate limit blocks) alone
+  const dryRun = isDryRun();
+  
+  const executionId = dryRun ? null : await startExecution();
   const stats = {
     mentionsFound: 0,
     mentionsProcessed: 0,
     repliesSent: 0,
     errors: 0,
-    retries: 0
+    retries: 0,
+    rateLimited: 0,
+    skipped: 0,
+    dryRunReplies: 0,
+    stoppedByRateLimit: false
   };
   
   try {
-    console.log('🔍 Processing mentions...');
+    console.log(`🔍 Processing mentions...${dryRun ? ' (dry run, nothing will be posted)' : ''}`);
     // Load last processed tweet ID
     const lastMentionId = await loadLastMentionId();
     console.log(`📜 Last processed mention ID: ${lastMentionId || 'None'}`);
@@ -198,15 +335,51 @@ export async function processMentions() {
       console.log(`📅 Twitter API start_time format: ${startTime.toISOString().replace(/\.\d{3}Z$/, 'Z')}`);
     }
     
+    // Mentions skipped by an earlier run that hit the page cap come first
+    const pendingBackfill = await loadMentionBackfill();
+    let backfillMentions = [];
+    let backfillMeta = null;
+    let backfillIncludes = { users: [] };
+    if (pendingBackfill) {
+      console.log(`🧩 Backfilling mentions between ${pendingBackfill.sinceId || 'start'} and ${pendingBackfill.untilId}`);
+      ({ mentions: backfillMentions, includes: backfillIncludes, meta: backfillMeta } = await getMentions({
+        sinceId: pendingBackfill.sinceId,
+        untilId: pendingBackfill.untilId
+      }));
+    }
+    
     // Debug what we're requesting
     console.log(`📤 Fetch options: ${JSON.stringify(fetchOptions, null, 2)}`);
     
-    const mentions = await getMentions(fetchOptions);
-    stats.mentionsFound = mentions.length;
-    console.log(`📊 Found ${mentions.length} new mentions`);
+    const { mentions: newMentions, includes, meta } = await getMentions(fetchOptions);
+    console.log(`📊 Found ${newMentions.length} new mentions (newest: ${meta.newestId || 'none'}, oldest: ${meta.oldestId || 'none'})`);
+    
+    // Hitting the page cap leaves a gap below the oldest fetched mention - record it
+    // before processing so that lastMentionId can safely move past it
+    if (meta.truncated && !dryRun) {
+      const gap = { sinceId: lastMentionId, untilId: meta.oldestId || newMentions[0]?.id };
+      await saveMentionBackfill(pendingBackfill ? mergeBackfillWindows(pendingBackfill, gap) : gap);
+    }
+    
+    // Authors come from the `author_id` expansion, so no per-mention user lookups are needed
+    const users = [...backfillIncludes.users, ...includes.users];
+    
+    // Backfilled mentions are older than lastMentionId, so they never move it
+    const backfillIds = new Set(backfillMentions.map(mention => mention.id));
+    const markMentionProcessed = async (mention) => {
+      if (!backfillIds.has(mention.id) && !dryRun) {
+        await saveLastMentionId(mention.id);
+      }
+    };
+    
+    // Blocklist and allowlist, loaded once per run
+    const accessLists = await getAccessLists();
     
     // Process mentions in chronological order (oldest first)
-    mentions.sort((a, b) => (a.id > b.id ? 1 : -1));
+    const mentions = [...backfillMentions, ...newMentions.filter(mention => !backfillIds.has(mention.id))]
+      .sort((a, b) => compareTweetIds(a.id, b.id));
+    stats.mentionsFound = mentions.length;
+    stats.backfilled = backfillMentions.length;
     for (const mention of mentions) {
       try {
         console.log(`🔍 Processing mention ID: ${mention.id} from author_id: ${mention.author_id}`);
@@ -219,10 +392,11 @@ export async function processMentions() {
         }
         
         // Skip if the tweet is older than our maximum age setting
-        if (!isTweetRecent(mention.created_at)) {
+        const maxAgeMs = backfillIds.has(mention.id) ? MAX_BACKFILL_AGE_MS : MAX_TWEET_AGE_MS;
+        if (!isTweetRecent(mention.created_at, maxAgeMs)) {
           console.log(`Tweet ${mention.id} is too old, skipping`);
           // Still mark as processed so we don't check it again
-          await saveLastMentionId(mention.id);
+          await markMentionProcessed(mention);
           continue;
         }
 
@@ -230,182 +404,89 @@ export async function processMentions() {
         const mentionType = getMentionType(mention, BOT_USERNAME);
         console.log(`Mention type: ${mentionType.isDirect ? 'Direct' : 'Indirect'} mention at position ${mentionType.mentionPosition}`);
         
-        // Skip if we shouldn't respond to this mention
-        if (!shouldRespondToMention(mention, mentionType, BOT_USER_ID)) {
-          console.log(`Skipping tweet ${mention.id} - not a valid mention to respond to`);
-          await saveLastMentionId(mention.id);
+        // Skip if we shouldn't respond to this mention (own tweet, blocked or not allowlisted)
+        const skip = getSkipReason(mention, mentionType, BOT_USER_ID, {
+          accessLists,
+          authorUsername: extractUserInfo(mention, users).authorUsername || mention.username
+        });
+        if (skip) {
+          console.log(`Skipping tweet ${mention.id} - ${skip.reason}${skip.detail ? ` (${skip.detail})` : ''}`);
+          stats.skipped++;
+          if (!dryRun) {
+            await recordMentionSkip({ tweetId: mention.id, authorId: mention.author_id, ...skip });
+          }
+          await markMentionProcessed(mention);
           continue;
         }
         
-        const text = mentionType.cleanedText || mention.text;
         const entities = mention.entities || {};
         
-        // Extract candidate heroes using the heroes database AND Twitter annotations
-        const candidateHeroes = await extractPotentialHeroes(text, entities);
-        if (candidateHeroes.length === 0) {
-          console.log(`No candidate heroes found in tweet ${mention.id}`);
-          // Update the last mention ID and continue
-          await saveLastMentionId(mention.id);
+        // Work out what the mention asks for - anything unrecognized is a price lookup
+        const intent = parseIntent(mentionType.cleanedText || mention.text);
+        console.log(`Intent "${intent.intent}" in tweet ${mention.id}`);
+        
+        // A dry run is a preview: no media uploads or alert changes, so it needs no tokens
+        const tokens = dryRun ? null : await loadTokens();
+        if (!dryRun && !tokens) {
+          console.error('No valid tokens found. Cannot reply to mention.');
+          const noTokensError = new Error('No valid tokens found for Twitter API');
+          await recordError(noTokensError, `Failed to post reply to ${mention.id}`);
+          stats.errors++;
           continue;
         }
         
-        console.log(`Candidate heroes: ${candidateHeroes.join(', ')}`);
-        let heroFound = null;
-        // Iterate over candidates and query the Fantasy Top API until one returns a valid hero.
-        for (const candidate of candidateHeroes) {
-          try {
-            console.log(`Trying candidate: "${candidate}"`);
-            const heroInfo = await getHeroMarketInfo(candidate);
-            if (heroInfo) {
-              heroFound = heroInfo;
-              console.log(`Found hero info for candidate "${candidate}": ${heroInfo.name}`);
-              break;
-            }
-          } catch (err) {
-            if (err.message.includes('rate limit') || err.message.includes('too many requests')) {
-              console.warn(`Rate limit hit when processing "${candidate}". Will retry later.`);
-              // Don't continue processing this mention to avoid more rate limit issues
-              // We won't update lastMentionId so we'll retry this mention later
-              return;
-            } else {
-              console.error(`Error processing candidate "${candidate}":`, err.message);
-            }
+        // Get the username for the reply - use author_id (the tweet creator)
+        // This ensures we always notify the user who mentioned us
+        const userInfo = await resolveMentionUser(mention, users, stats);
+        
+        // One author can't use up our write quota - over the limit they get at most one "slow down" reply
+        const userLimit = await checkUserRateLimit(mention.author_id);
+        if (!userLimit.allowed) {
+          stats.rateLimited++;
+          const warned = userLimit.warn &&
+            await postReply(tokens, createSlowDownReply(userLimit, userInfo.authorUsername), mention, userInfo.authorUsername, stats);
+          if (!dryRun) {
+            await recordUserBlocked(mention.author_id, userLimit, warned);
           }
+          await markMentionProcessed(mention);
+          continue;
         }
         
-        // If a hero is found, reply to the tweet (regardless of whether it's a direct reply or not)
-        if (heroFound) {
-          const tokens = await loadTokens();
-          if (!tokens) {
-            console.error('No valid tokens found. Cannot reply to mention.');
-            const noTokensError = new Error('No valid tokens found for Twitter API');
-            await recordError(noTokensError, `Failed to post reply to ${mention.id}`);
-            stats.errors++;
-            continue;
+        let reply;
+        try {
+          reply = await runCommand({
+            intent,
+            mention,
+            entities,
+            username: userInfo.authorUsername,
+            userInfo,
+            mentionType,
+            tokens
+          });
+        } catch (err) {
+          if (!isRateLimitError(err)) {
+            throw err;
           }
-
-          // Get the username for the reply - use author_id (the tweet creator)
-          // This ensures we always notify the user who mentioned us
-          let username = mention.username;
-          
-          if (!username && mention.author_id) {
-            try {
-              console.log(`Fetching username for author_id: ${mention.author_id}`);
-              const userData = await getUserById(mention.author_id);
-              username = userData?.username;
-              console.log(`Fetched username for author_id ${mention.author_id}: ${username}`);
-            } catch (error) {
-              console.error(`Failed to get username for author_id ${mention.author_id}:`, error.message);
-              // Don't record this as an error in the state, just log to console
-              // This is a known issue with the Twitter API rate limits
-              stats.errors++; // Still count it in stats but don't log to state
-            }
+          console.warn(`Rate limit hit when processing mention ${mention.id}. Will retry later.`);
+          // Don't continue processing this mention to avoid more rate limit issues
+          // We won't update lastMentionId so we'll retry this mention later
+          stats.stoppedByRateLimit = true;
+          if (!dryRun) {
+            await endExecution(true, stats);
           }
-
-          // Extract user info
-          const userInfo = {
-            authorId: mention.author_id,
-            authorUsername: username,
-            authorDisplayName: null
-          };
-
-          // Create hero response and format based on mention type
-          const heroResponse = createHeroInfoResponse(heroFound, username);
-          
-          // Format the reply text based on mention type
-          const replyText = formatReplyText(heroResponse, mentionType, userInfo);
-          
-          console.log('Replying with:', replyText);
-          
-          let replySuccess = false;
-          let retryCount = 0;
-          const MAX_RETRIES = 0; // Set to 0 for no retries
-          
-          while (!replySuccess && retryCount <= MAX_RETRIES) {
-            try {
-              if (retryCount > 0) {
-                const delay = retryCount * 10000; // Increase delay with each retry (10s, 20s, 30s)
-                console.log(`⏳ Retry ${retryCount}/${MAX_RETRIES} - Waiting ${delay/1000}s before retrying...`);
-                await sleep(delay);
-                console.log(`🔄 Retrying tweet post to ${mention.id}...`);
-                stats.retries++;
-              }
-              
-              await postTweet(tokens, replyText, mention.id);
-              console.log(`Replied to mention ID: ${mention.id}`);
-              replySuccess = true;
-              stats.repliesSent++;
-              
-              // Mark this tweet as replied to
-              await markTweetAsReplied(mention.id, {
-                heroName: heroFound.name,
-                authorUsername: username || mention.author_id,
-                replyText: replyText.substring(90, 150) + '...' || '', // Store preview of reply
-                mentionType: mentionType.isDirect ? 'direct' : 'indirect'
-              });
-            } catch (error) {
-              // Determine if we should retry
-              const shouldRetry = 
-                error.isTwitterError && 
-                error.statusCode === 403 && 
-                (error.message.includes('not permitted to perform this action') ||
-                 (error.twitterError?.detail?.includes('not permitted to perform this action')));
-                
-              if (shouldRetry && retryCount < MAX_RETRIES) {
-                // We'll retry - increment the counter and continue loop
-                retryCount++;
-                console.log(`⚠️ Received Twitter 403 error - may be posting too quickly. Will retry.`);
-              } else {
-                // We've either exhausted retries or it's another type of error
-                stats.errors++;
-                
-                // Create a descriptive error message
-                const errorContext = `Failed to post reply to tweet ${mention.id}`;
-                let errorDetails = '';
-                
-                if (error.isTwitterError) {
-                  // Format Twitter API errors with more context
-                  errorDetails = `Twitter API error (${error.statusCode}): `;
-                  
-                  if (error.twitterError) {
-                    if (error.twitterError.detail) {
-                      errorDetails += error.twitterError.detail;
-                    }
-                    if (error.twitterError.title) {
-                      errorDetails += ` (${error.twitterError.title})`;
-                    }
-                  } else {
-                    errorDetails += error.message;
-                  }
-                  
-                  // Add hints for common errors
-                  if (error.statusCode === 403) {
-                    console.error(`🚫 Permission error (403) when posting tweet. Check app permissions and duplicate content.`);
-                  } else if (error.statusCode === 401) {
-                    console.error(`🔐 Authentication error (401). Tokens may be expired. Try resetting authentication.`);
-                  }
-                } else {
-                  // General error
-                  errorDetails = error.message;
-                }
-                
-                console.error(`Error posting reply: ${errorDetails}`);
-                
-                // Record this error in our state
-                await recordError(error, errorContext);
-                
-                // Break the retry loop
-                break;
-              }
-            }
+          return stats;
+        }
+        
+        if (reply) {
+          if (await postReply(tokens, reply, mention, userInfo.authorUsername, stats)) {
+            await recordUserReply(mention.author_id);
           }
-          
-          // Always update lastMentionId, even if reply failed
-          await saveLastMentionId(mention.id);
         } else {
-          console.log(`No valid hero found in mention ID: ${mention.id}`);
-          await saveLastMentionId(mention.id);
+          console.log(`Nothing to reply to mention ID: ${mention.id}`);
         }
+        
+        // Always update lastMentionId, even if reply failed
+        await markMentionProcessed(mention);
       } catch (mentionError) {
         stats.errors++;
         await recordError(mentionError, `Processing mention ID: ${mention.id}`);
@@ -413,19 +494,51 @@ export async function processMentions() {
       }
     }
     
-    await endExecution(true, stats);
+    // The pending window is done unless its own fetch hit the page cap again or failed.
+    // A new gap from this run was already merged into it above.
+    if (pendingBackfill && !meta.truncated && !dryRun) {
+      await saveMentionBackfill(getRemainingBackfill(pendingBackfill, backfillMentions, backfillMeta));
+    }
+    
+    // Check price alerts once new subscriptions from this run are stored
+    try {
+      const alertResults = await checkPriceAlerts();
+      stats.alertsChecked = alertResults.checked;
+      stats.alertsTriggered = alertResults.triggered;
+    } catch (alertError) {
+      stats.errors++;
+      await recordError(alertError, 'checkPriceAlerts');
+      console.error('❌ Error checking price alerts:', alertError);
+    }
+    
+    // Add this run's Fantasy Top cache hits/misses to the totals shown in statistics
+    const cacheStats = getCacheStats();
+    stats.cacheHits = cacheStats.hits;
+    stats.cacheMisses = cacheStats.misses;
+    if (!dryRun) {
+      await flushCacheStats();
+    } else {
+      discardCacheStats();
+    }
+    
+    if (!dryRun) {
+      await endExecution(true, stats);
+    }
     return stats;
   } catch (error) {
     console.error('❌ Error in processMentions:', error);
     await recordError(error, 'processMentions');
-    await endExecution(false, { ...stats, errors: stats.errors + 1 });
+    if (!dryRun) {
+      await endExecution(false, { ...stats, errors: stats.errors + 1 });
+    }
     throw error;
   }
 }
 
 /**
  * Test function to simulate processing a mention
- * Updated to use the same hero extraction logic as processMentions
+ * Runs the same intent parsing and command handlers as processMentions,
+ * then asks before posting the reply
  */
 export async function testProcessMention(tweetId, username, tweetText) {
   console.log(`Testing mention processing with simulated tweet: "${tweetText}"`);
@@ -448,67 +561,68 @@ export async function testProcessMention(tweetId, username, tweetText) {
     authorDisplayName: 'Test User'
   };
   
-  // Extract candidate heroes using the heroes database
-  const candidateHeroes = await extractPotentialHeroes(mentionType.cleanedText || tweetText);
-  if (candidateHeroes.length === 0) {
-    console.log(`No candidate heroes found in tweet text`);
+  const intent = parseIntent(mentionType.cleanedText || tweetText);
+  console.log(`Intent: ${JSON.stringify(intent)}`);
+  
+  // Alert commands change stored subscriptions, so only show how they were parsed
+  if (intent.intent === 'alert') {
     return;
   }
   
-  console.log(`Candidate heroes: ${candidateHeroes.join(', ')}`);
-  let heroFound = null;
-  // Iterate over candidates and query the Fantasy Top API until one returns a valid hero.
-  for (const candidate of candidateHeroes) {
-    try {
-      console.log(`Trying candidate: "${candidate}"`);
-      const heroInfo = await getHeroMarketInfo(candidate);
-      if (heroInfo) {
-        heroFound = heroInfo;
-        console.log(`Found hero info for candidate "${candidate}": ${heroInfo.name}`);
-        break;
-      }
-    } catch (err) {
-      console.error(`Error processing candidate "${candidate}":`, err.message);
-    }
+  // No tokens while previewing, so handlers don't upload media
+  let reply;
+  try {
+    reply = await runCommand({
+      intent,
+      mention: simulatedTweet,
+      entities: {},
+      username,
+      userInfo,
+      mentionType,
+      tokens: null
+    });
+  } catch (err) {
+    console.error('Error running command:', err.message);
+    return;
   }
   
-  // If a hero is found, create the reply
-  if (heroFound) {
-    const tokens = await loadTokens();
-    if (!tokens) {
-      console.error('No valid tokens found. Cannot reply to mention.');
-      return;
-    }
-    
-    // Create a properly formatted response with hero market details
-    const heroResponse = createHeroInfoResponse(heroFound, username);
-    const replyText = formatReplyText(heroResponse, mentionType, userInfo);
-    
-    console.log('Would reply with:');
-    console.log(replyText);
-    
-    const shouldPost = await new Promise(resolve => {
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      rl.question('Do you want to actually post this reply? (yes/no): ', answer => {
-        rl.close();
-        resolve(answer.toLowerCase() === 'yes');
-      });
+  if (!reply) {
+    console.log(`Nothing to reply to tweet text: "${tweetText}"`);
+    return;
+  }
+  
+  console.log('Would reply with:');
+  reply.parts.forEach((part, index) => {
+    console.log(`--- Tweet ${index + 1}/${reply.parts.length} ---`);
+    console.log(part);
+  });
+  
+  const shouldPost = await new Promise(resolve => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
     });
-    
-    if (shouldPost) {
-      try {
-        await postTweet(tokens, replyText, tweetId);
-        console.log(`Posted reply to tweet ID: ${tweetId}`);
-      } catch (error) {
-        console.error('Error posting reply:', error.message);
-      }
-    } else {
-      console.log('Reply not posted (dry run)');
-    }
-  } else {
-    console.log(`No valid hero found in tweet text: "${tweetText}"`);
+    rl.question('Do you want to actually post this reply? (yes/no): ', answer => {
+      rl.close();
+      resolve(answer.toLowerCase() === 'yes');
+    });
+  });
+  
+  if (!shouldPost) {
+    console.log('Reply not posted (dry run)');
+    return;
+  }
+  
+  const tokens = await loadTokens();
+  if (!tokens) {
+    console.error('No valid tokens found. Cannot reply to mention.');
+    return;
+  }
+  
+  try {
+    await postReplyThread(tokens, reply.parts, tweetId);
+    console.log(`Posted reply to tweet ID: ${tweetId}`);
+  } catch (error) {
+    console.error('Error posting reply:', error.message);
   }
 }
@@ -0,0 +1,270 @@
+/**
+ * priceHistory.mjs - Floor and last-sale time series per hero and rarity
+ *
+ * Every market lookup is stored as a timestamped snapshot through the
+ * stateManager, so history works on both the DynamoDB and file backends.
+ * The query helpers answer "what was the price N hours/days ago" and
+ * compute percentage changes for replies and movers lists.
+ */
+import { savePriceSnapshot, loadPriceHistory, loadTrackedHeroes } from './stateManager.mjs';
+
+// Minimum time between two stored snapshots of the same hero
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.PRICE_SNAPSHOT_INTERVAL_MINUTES || '15', 10) * 60 * 1000;
+
+// A historical price is only used if its snapshot is this close to the requested time
+const MAX_SNAPSHOT_DRIFT_RATIO = 0.25;
+
+// Price fields tracked for each rarity
+export const PRICE_FIELDS = ['floorPrice', 'lastSellPrice', 'highestBid'];
+
+// A bare "m" is not a unit: people mean minutes as often as months
+const DURATION_UNITS = {
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a duration like "90min", "24h", "7d", "2w" or "1mo" into milliseconds
+ * @param {string|number} duration - Duration string, or milliseconds
+ * @returns {number|null} - Duration in milliseconds, or null if invalid (including "1m")
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') {
+    return duration > 0 ? duration : null;
+  }
+
+  const match = String(duration || '').trim().toLowerCase().match(/^(\d+)\s*(min|mo|h|d|w)$/);
+  if (!match) {
+    return null;
+  }
+
+  const value = parseInt(match[1], 10);
+  return value > 0 ? value * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Formats a duration in milliseconds as a short label (e.g. "24h", "7d")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Short label
+ */
+export function formatDuration(ms) {
+  // A single day reads better as "24h"
+  if (ms % DURATION_UNITS.d === 0 && ms > DURATION_UNITS.d) return `${ms / DURATION_UNITS.d}d`;
+  if (ms % DURATION_UNITS.h === 0) return `${ms / DURATION_UNITS.h}h`;
+  return `${Math.round(ms / DURATION_UNITS.min)}min`;
+}
+
+/**
+ * Builds a snapshot from getHeroMarketInfo data
+ * @param {Object} heroInfo - Hero information from getHeroMarketInfo
+ * @returns {Object} - Snapshot with a timestamp and per-rarity prices
+ */
+function createSnapshot(heroInfo) {
+  const rarities = {};
+
+  Object.values(heroInfo.marketInfo || {}).forEach(info => {
+    rarities[info.rarity] = {
+      floorPrice: info.floorPrice ?? null,
+      lastSellPrice: info.lastSellPrice ?? null,
+      highestBid: info.highestBid ?? null,
+      supply: info.supply ?? null
+    };
+  });
+
+  return {
+    timestamp: new Date().toISOString(),
+    heroName: heroInfo.name,
+    rarities
+  };
+}
+
+/**
+ * Stores the current market state of a hero.
+ * Skipped if a snapshot was stored within the last PRICE_SNAPSHOT_INTERVAL_MINUTES.
+ *
+ * @param {Object} heroInfo - Hero information from getHeroMarketInfo
+ * @returns {Promise<boolean>} - True if a snapshot was stored
+ */
+export async function recordMarketSnapshot(heroInfo) {
+  if (!heroInfo?.id || !heroInfo.marketInfo) {
+    return false;
+  }
+
+  const history = await loadPriceHistory(String(heroInfo.id), Date.now() - SNAPSHOT_INTERVAL_MS);
+  const latest = history[history.length - 1];
+  if (latest && Date.now() - new Date(latest.timestamp).getTime() < SNAPSHOT_INTERVAL_MS) {
+    console.log(`📈 Skipping price snapshot for ${heroInfo.name}, last one was taken at ${latest.timestamp}`);
+    return false;
+  }
+
+  return savePriceSnapshot(String(heroInfo.id), createSnapshot(heroInfo));
+}
+
+/**
+ * Finds the snapshot closest to a point in time
+ * @param {Array<Object>} snapshots - Snapshots in chronological order
+ * @param {number} msAgo - How far back to look, in milliseconds
+ * @returns {Object|null} - The closest snapshot, or null if none is close enough
+ */
+function findSnapshotAt(snapshots, msAgo) {
+  const target = Date.now() - msAgo;
+  const maxDrift = msAgo * MAX_SNAPSHOT_DRIFT_RATIO;
+
+  let closest = null;
+  let closestDrift = Infinity;
+  for (const snapshot of snapshots) {
+    const drift = Math.abs(new Date(snapshot.timestamp).getTime() - target);
+    if (drift < closestDrift) {
+      closest = snapshot;
+      closestDrift = drift;
+    }
+  }
+
+  return closestDrift <= maxDrift ? closest : null;
+}
+
+/**
+ * Earliest time findSnapshotAt can pick a snapshot from
+ * @param {number} msAgo - How far back the lookup goes, in milliseconds
+ * @returns {number} - Time in milliseconds, for loadPriceHistory
+ */
+function getLookupStart(msAgo) {
+  return Date.now() - msAgo * (1 + MAX_SNAPSHOT_DRIFT_RATIO);
+}
+
+/**
+ * Calculates the percentage change between two wei prices
+ * @param {string|number} previousWei - Earlier price in wei
+ * @param {string|number} currentWei - Current price in wei
+ * @returns {number|null} - Percentage change, or null if either price is missing
+ */
+function calculateChange(previousWei, currentWei) {
+  const previous = Number(previousWei);
+  const current = Number(currentWei);
+
+  if (!previousWei || !currentWei || isNaN(previous) || isNaN(current) || previous === 0) {
+    return null;
+  }
+
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Gets a hero's price for a rarity as it was some time ago
+ * @param {string} heroId - The hero ID
+ * @param {number} rarity - Rarity level (1-4)
+ * @param {string|number} ago - How far back to look ("24h", "7d" or milliseconds)
+ * @param {string} field - Price field: floorPrice, lastSellPrice or highestBid
+ * @returns {Promise<Object|null>} - { price, timestamp } or null if there is no data for that time
+ */
+export async function getPriceAt(heroId, rarity, ago, field = 'floorPrice') {
+  const msAgo = parseDuration(ago);
+  if (!msAgo) {
+    throw new Error(`Invalid duration: ${ago}`);
+  }
+
+  const snapshot = findSnapshotAt(await loadPriceHistory(String(heroId), getLookupStart(msAgo)), msAgo);
+  const price = snapshot?.rarities?.[rarity]?.[field];
+  if (!price) {
+    return null;
+  }
+
+  return { price, timestamp: snapshot.timestamp };
+}
+
+/**
+ * Calculates how much a hero's prices moved over a time window, for every rarity
+ * @param {Object} heroInfo - Current hero information from getHeroMarketInfo
+ * @param {string|number} window - Lookback window ("24h", "7d" or milliseconds)
+ * @returns {Promise<Object>} - { window, byRarity: { [rarity]: { floorPrice, lastSellPrice, highestBid } } } with percentages
+ */
+export async function getMarketChanges(heroInfo, window = '24h') {
+  const msAgo = parseDuration(window);
+  const result = { window: msAgo ? formatDuration(msAgo) : null, byRarity: {} };
+  if (!msAgo || !heroInfo?.id) {
+    return result;
+  }
+
+  try {
+    const snapshot = findSnapshotAt(await loadPriceHistory(String(heroInfo.id), getLookupStart(msAgo)), msAgo);
+    if (!snapshot) {
+      return result;
+    }
+
+    Object.values(heroInfo.marketInfo || {}).forEach(info => {
+      const previous = snapshot.rarities?.[info.rarity] || {};
+      const changes = {};
+      PRICE_FIELDS.forEach(field => {
+        const change = calculateChange(previous[field], info[field]);
+        if (change !== null) {
+          changes[field] = change;
+        }
+      });
+      if (Object.keys(changes).length > 0) {
+        result.byRarity[info.rarity] = changes;
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️ Could not calculate price changes for ${heroInfo.name}: ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Formats a percentage change for a reply (e.g. "+12.0% 24h")
+ * @param {number|null} percent - Percentage change
+ * @param {string} window - Window label (e.g. "24h")
+ * @returns {string|null} - Formatted change, or null if there is no change to show
+ */
+export function formatPriceChange(percent, window) {
+  if (percent === null || percent === undefined || isNaN(percent)) {
+    return null;
+  }
+
+  const sign = percent > 0 ? '+' : '';
+  return `${sign}${percent.toFixed(1)}% ${window}`;
+}
+
+/**
+ * Ranks tracked heroes by how much a price moved, using stored snapshots only
+ * @param {Object} options - Query options
+ * @param {string|number} options.window - Lookback window ("24h", "7d" or milliseconds)
+ * @param {number} options.rarity - Rarity level (1-4) to compare
+ * @param {string} options.field - Price field to compare
+ * @param {number} options.limit - Maximum number of movers to return
+ * @returns {Promise<Array<Object>>} - Movers sorted by absolute change, largest first
+ */
+export async function getTopMovers(options = {}) {
+  const { window = '24h', rarity = 4, field = 'floorPrice', limit = 5 } = options;
+  const msAgo = parseDuration(window);
+  if (!msAgo) {
+    throw new Error(`Invalid duration: ${window}`);
+  }
+
+  const heroes = await loadTrackedHeroes();
+  const movers = [];
+
+  for (const [heroId, heroName] of Object.entries(heroes)) {
+    const snapshots = await loadPriceHistory(heroId, getLookupStart(msAgo));
+    const latest = snapshots[snapshots.length - 1];
+    const previous = findSnapshotAt(snapshots, msAgo);
+    if (!latest || !previous || latest === previous) {
+      continue;
+    }
+
+    const currentPrice = latest.rarities?.[rarity]?.[field];
+    const previousPrice = previous.rarities?.[rarity]?.[field];
+    const change = calculateChange(previousPrice, currentPrice);
+    if (change !== null) {
+      movers.push({ heroId, heroName, rarity, field, previousPrice, currentPrice, change });
+    }
+  }
+
+  return movers
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, limit);
+}
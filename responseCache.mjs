@@ -0,0 +1,213 @@
+/**
+ * responseCache.mjs - TTL cache for Fantasy Top API responses
+ *
+ * Each data type has its own TTL: hero metadata changes rarely and is kept
+ * for hours, while floor prices go stale within a minute. Entries always
+ * live in memory (at most CACHE_MAX_ENTRIES, least recently used dropped
+ * first); in Lambda, where memory doesn't survive between invocations, they
+ * are also persisted through the stateManager.
+ */
+import { loadCacheEntry, saveCacheEntry, recordCacheStats } from './stateManager.mjs';
+
+const IS_LAMBDA = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+
+// "memory" or "state" - Lambda defaults to the state store
+const CACHE_BACKEND = process.env.CACHE_BACKEND || (IS_LAMBDA ? 'state' : 'memory');
+
+// Time to live per data type, in seconds
+const CACHE_TTLS = {
+  hero: parseInt(process.env.CACHE_TTL_HERO_SECONDS || String(6 * 60 * 60), 10),
+  supply: parseInt(process.env.CACHE_TTL_SUPPLY_SECONDS || '120', 10),
+  floor: parseInt(process.env.CACHE_TTL_FLOOR_SECONDS || '60', 10),
+  market: parseInt(process.env.CACHE_TTL_MARKET_SECONDS || '60', 10)
+};
+
+// "Not found" answers are kept briefly, so a newly listed hero shows up soon
+const NOT_FOUND_TTL = parseInt(process.env.CACHE_TTL_NOT_FOUND_SECONDS || '300', 10);
+
+// Keys include free search text, so a long-running process needs a cap
+const MAX_MEMORY_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10);
+
+// Insertion ordered, so the first key is the least recently used
+const memoryCache = new Map();
+
+// Hit/miss counts not yet added to the stored totals
+let pendingStats = { hits: 0, misses: 0, byType: {} };
+
+// The configuration is logged on the first lookup, not at import
+let configurationLogged = false;
+
+/**
+ * Counts a cache lookup
+ * @param {string} type - Data type
+ * @param {boolean} hit - Whether the lookup was a hit
+ */
+function countLookup(type, hit) {
+  const typeStats = pendingStats.byType[type] || { hits: 0, misses: 0 };
+  if (hit) {
+    pendingStats.hits++;
+    typeStats.hits++;
+  } else {
+    pendingStats.misses++;
+    typeStats.misses++;
+  }
+  pendingStats.byType[type] = typeStats;
+}
+
+/**
+ * Stores an entry in memory as the most recently used one. Over the cap,
+ * expired entries are swept first, then the least recently used are dropped.
+ * @param {string} cacheKey - Full cache key
+ * @param {Object} entry - { value, expiresAt }
+ */
+function rememberEntry(cacheKey, entry) {
+  memoryCache.delete(cacheKey);
+  memoryCache.set(cacheKey, entry);
+  if (memoryCache.size <= MAX_MEMORY_ENTRIES) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const [key, { expiresAt }] of memoryCache) {
+    if (expiresAt <= now) {
+      memoryCache.delete(key);
+    }
+  }
+  for (const key of memoryCache.keys()) {
+    if (memoryCache.size <= MAX_MEMORY_ENTRIES) {
+      break;
+    }
+    memoryCache.delete(key);
+  }
+}
+
+/**
+ * Whether a fetched value means "nothing there" (no hero, no search results)
+ * @param {*} value - Fetched value
+ * @returns {boolean} - True for null, undefined and empty arrays
+ */
+function isNotFound(value) {
+  return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Looks up an unexpired entry in memory, then in the state store
+ * @param {string} cacheKey - Full cache key
+ * @returns {Promise<Object|null>} - The entry { value, expiresAt }, or null on a miss
+ */
+async function findEntry(cacheKey) {
+  const now = Date.now();
+
+  const memoryEntry = memoryCache.get(cacheKey);
+  if (memoryEntry && memoryEntry.expiresAt > now) {
+    rememberEntry(cacheKey, memoryEntry);
+    return memoryEntry;
+  }
+  memoryCache.delete(cacheKey);
+
+  if (CACHE_BACKEND === 'state') {
+    const storedEntry = await loadCacheEntry(cacheKey);
+    if (storedEntry && storedEntry.expiresAt > now) {
+      rememberEntry(cacheKey, storedEntry);
+      return storedEntry;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns a cached value, or calls the fetcher and caches its result.
+ * Errors from the fetcher are not cached.
+ *
+ * @param {string} type - Data type, selects the TTL (hero, supply, floor, market)
+ * @param {string} key - Key within the type (hero ID, rarity index or search text)
+ * @param {Function} fetcher - Async function that fetches the value on a miss
+ * @returns {Promise<*>} - The cached or freshly fetched value
+ */
+export async function cached(type, key, fetcher) {
+  if (!configurationLogged) {
+    configurationLogged = true;
+    console.log(`🔧 Response cache: ${CACHE_ENABLED ? `${CACHE_BACKEND} backend` : 'disabled'}`);
+  }
+
+  if (!CACHE_ENABLED || !CACHE_TTLS[type]) {
+    return fetcher();
+  }
+
+  const cacheKey = `${type}:${key}`;
+  const entry = await findEntry(cacheKey);
+  if (entry) {
+    countLookup(type, true);
+    return entry.value;
+  }
+
+  countLookup(type, false);
+  const value = await fetcher();
+
+  // undefined can't be stored as JSON, null (e.g. no listings) is a valid answer
+  const ttl = isNotFound(value) ? Math.min(CACHE_TTLS[type], NOT_FOUND_TTL) : CACHE_TTLS[type];
+  const newEntry = { value: value === undefined ? null : value, expiresAt: Date.now() + ttl * 1000 };
+  rememberEntry(cacheKey, newEntry);
+  if (CACHE_BACKEND === 'state') {
+    await saveCacheEntry(cacheKey, newEntry);
+  }
+
+  return value;
+}
+
+/**
+ * Gets the hit/miss counts that haven't been flushed to state yet
+ * @returns {Object} - { hits, misses, byType }
+ */
+export function getCacheStats() {
+  return JSON.parse(JSON.stringify(pendingStats));
+}
+
+/**
+ * Adds the pending hit/miss counts to the totals in state and resets them
+ * @returns {Promise<boolean>} - True if the counts were saved
+ */
+export async function flushCacheStats() {
+  const counts = pendingStats;
+  pendingStats = { hits: 0, misses: 0, byType: {} };
+
+  const saved = await recordCacheStats(counts);
+  if (!saved) {
+    // Keep the counts for the next flush
+    restorePendingStats(counts);
+  }
+  return saved;
+}
+
+/**
+ * Drops the pending hit/miss counts without saving them, e.g. after a dry
+ * run, so they don't end up in the next live flush
+ */
+export function discardCacheStats() {
+  pendingStats = { hits: 0, misses: 0, byType: {} };
+}
+
+/**
+ * Adds counts that failed to save back onto the pending counts
+ * @param {Object} counts - { hits, misses, byType }
+ */
+function restorePendingStats(counts) {
+  pendingStats.hits += counts.hits;
+  pendingStats.misses += counts.misses;
+  for (const [type, typeCounts] of Object.entries(counts.byType)) {
+    const current = pendingStats.byType[type] || { hits: 0, misses: 0 };
+    pendingStats.byType[type] = {
+      hits: current.hits + typeCounts.hits,
+      misses: current.misses + typeCounts.misses
+    };
+  }
+}
+
+/**
+ * Clears the in-memory cache (stored entries expire on their own)
+ */
+export function clearCache() {
+  memoryCache.clear();
+}
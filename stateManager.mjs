@@ -16,12 +16,60 @@ const USE_DYNAMO = process.env.USE_DYNAMO_STATE === 'true';
 const FALLBACK_TO_FILE = process.env.FALLBACK_TO_FILE !== 'false'; // Default to true
 const IS_LAMBDA = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
 
-console.log(`🔧 State Manager: Using ${USE_DYNAMO ? 'DynamoDB' : 'File'} storage with ${FALLBACK_TO_FILE ? 'enabled' : 'disabled'} file fallback`);
-console.log(`🔧 Running in AWS Lambda: ${IS_LAMBDA}`);
+let configurationLogged = false;
+
+/**
+ * Logs which storage is in use. Entry points call this once they have set
+ * up the console, so importing this module prints nothing.
+ */
+export function logStateConfiguration() {
+  if (configurationLogged) {
+    return;
+  }
+  configurationLogged = true;
+  console.log(`🔧 State Manager: Using ${USE_DYNAMO ? 'DynamoDB' : 'File'} storage with ${FALLBACK_TO_FILE ? 'enabled' : 'disabled'} file fallback`);
+  console.log(`🔧 Running in AWS Lambda: ${IS_LAMBDA}`);
+}
 
 // State version for future compatibility
 const STATE_VERSION = '2.0.0';
 
+// Price history retention - snapshots older than this are pruned on save
+const PRICE_HISTORY_RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// priceHistory.mjs takes at most one snapshot per hero every PRICE_SNAPSHOT_INTERVAL_MINUTES,
+// so this many cover a day, and the retention window needs no more than that per day
+const SNAPSHOTS_PER_DAY = Math.ceil(24 * 60 / parseInt(process.env.PRICE_SNAPSHOT_INTERVAL_MINUTES || '15', 10));
+const MAX_SNAPSHOTS_PER_HERO = PRICE_HISTORY_RETENTION_DAYS * SNAPSHOTS_PER_DAY;
+
+// Per-author mention timestamps older than this are never needed again, and
+// records with none newer are dropped (on file) or expire (on DynamoDB)
+const RATE_LIMIT_RECORD_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// How many skipped mentions are kept for the statistics
+const MAX_RECENT_SKIPS = 50;
+
+// How many would-be replies from dry runs are kept
+const MAX_DRY_RUN_REPLIES = 100;
+
+// What resetState clears: the progress through the mentions (last mention ID,
+// backfill window) and the statistics. Access lists, alert subscriptions, the
+// hero roster, price history, digest records, reply dedupe records, per-author
+// rate limit windows and cached API responses are kept.
+const RESET_DYNAMO_KEYS = [
+  'mentionBackfill',
+  'executionMetrics',
+  'errors',
+  'heroStats',
+  'replyCount',
+  'cacheStats',
+  'rateLimitStats',
+  'mentionSkips',
+  'dryRunReplies',
+  'dryRunFiredAlerts'
+];
+
 // Error contexts that should not be recorded in state
 const IGNORED_ERROR_CONTEXTS = [
   'Failed to get username for author_id',
@@ -69,7 +117,8 @@ function getDefaultState() {
     twitter: {
       lastMentionId: null,
       processedCount: 0,
-      lastProcessedAt: null
+      lastProcessedAt: null,
+      backfill: null
     },
     replies: {
       count: 0,
@@ -89,6 +138,21 @@ function getDefaultState() {
       last: null,
       history: []
     },
+    priceHistory: {},
+    digests: {},
+    alerts: {},
+    heroRoster: null,
+    cache: {
+      entries: {},
+      stats: { hits: 0, misses: 0, byType: {} }
+    },
+    rateLimits: {
+      users: {},
+      stats: { blocked: 0, warned: 0, byReason: {}, lastBlocked: null }
+    },
+    accessLists: null,
+    mentionSkips: { count: 0, byReason: {}, recent: [] },
+    dryRun: { count: 0, replies: [], firedAlerts: {} },
     statistics: {
       uptime: 0,
       mentionsProcessed: 0,
@@ -199,6 +263,80 @@ export async function saveLastMentionId(mentionId) {
   }
 }
 
+/**
+ * Loads the pending mention backfill window, if any.
+ * A window is recorded when a mention fetch hit the page cap, and covers
+ * the mentions that were skipped between `sinceId` and `untilId`.
+ * @returns {Promise<Object|null>} The window { sinceId, untilId, createdAt }, or null
+ */
+export async function loadMentionBackfill() {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const backfill = await dynamoDB.loadState('mentionBackfill');
+      if (backfill?.untilId) {
+        return backfill;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return null;
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.twitter?.backfill || null;
+  } catch (error) {
+    console.error('❌ Error loading mention backfill window:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves or clears the pending mention backfill window
+ * @param {Object|null} backfill - The window { sinceId, untilId }, or null once it has been processed
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveMentionBackfill(backfill) {
+  try {
+    console.log(backfill ?
+      `📝 Saving mention backfill window: ${backfill.sinceId || 'start'} → ${backfill.untilId}` :
+      '📝 Clearing mention backfill window');
+    let success = false;
+    
+    const record = backfill ? { createdAt: new Date().toISOString(), ...backfill } : null;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = record ?
+        await dynamoDB.saveState('mentionBackfill', record) :
+        await dynamoDB.deleteState('mentionBackfill');
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save mention backfill window to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.twitter = fileState.twitter || {};
+      fileState.twitter.backfill = record;
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error saving mention backfill window:', error);
+    return false;
+  }
+}
+
 /**
  * Checks if a tweet has already been replied to
  * @param {string} tweetId - The tweet ID to check
@@ -565,166 +703,1084 @@ export async function recordError(error, context) {
 }
 
 /**
- * Resets the application state to default
- * @returns {Promise<boolean>} True if reset was successful
+ * Drops snapshots past the retention window and caps the series length
+ * @param {Array<Object>} snapshots - Snapshots in chronological order
+ * @param {number} maxSnapshots - How many of the latest snapshots to keep
+ * @returns {Array<Object>} Pruned snapshots
  */
-export async function resetState() {
+function prunePriceSnapshots(snapshots, maxSnapshots = MAX_SNAPSHOTS_PER_HERO) {
+  const cutoff = Date.now() - PRICE_HISTORY_RETENTION_DAYS * DAY_MS;
+  return snapshots
+    .filter(snapshot => new Date(snapshot.timestamp).getTime() >= cutoff)
+    .slice(-maxSnapshots);
+}
+
+/**
+ * Builds the DynamoDB key of a hero's price history for one UTC day.
+ * Each day is its own item, so no item grows past the 400 KB limit.
+ *
+ * @param {string} heroId - The hero ID
+ * @param {number|string} time - Any time on that day (milliseconds or ISO string)
+ * @returns {string} Key such as "123_2026-10-18"
+ */
+function getPriceHistoryDayKey(heroId, time) {
+  return `${heroId}_${new Date(time).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Appends a market snapshot to a hero's price history
+ * @param {string} heroId - The hero ID
+ * @param {Object} snapshot - Snapshot with timestamp, heroName and per-rarity prices
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function savePriceSnapshot(heroId, snapshot) {
+  if (!heroId || !snapshot) {
+    console.warn('⚠️ Attempted to save an empty price snapshot. Ignoring request.');
+    return false;
+  }
+  
   try {
-    console.log('🧹 Resetting application state to clean slate...');
-    
-    const freshState = getDefaultState();
+    console.log(`📈 Saving price snapshot for hero ${heroId}`);
     let success = false;
     
     // Try DynamoDB first if enabled
     if (USE_DYNAMO) {
-      // Clear all DynamoDB state
-      await dynamoDB.saveState('metadata', freshState.metadata);
-      await dynamoDB.saveState('lastMentionId', { id: null, processedCount: 0 });
-      await dynamoDB.saveState('executionMetrics', freshState.executionMetrics);
-      await dynamoDB.saveState('errors', freshState.errors);
-      await dynamoDB.saveState('heroStats', {});
-      await dynamoDB.saveState('replyCount', { count: 0 });
+      const dayKey = getPriceHistoryDayKey(heroId, snapshot.timestamp);
+      const history = await dynamoDB.loadState(dayKey, 'history') || { heroId, snapshots: [] };
+      history.heroName = snapshot.heroName;
+      history.snapshots = prunePriceSnapshots([...history.snapshots, snapshot], SNAPSHOTS_PER_DAY);
       
-      success = true;
-      console.log('✅ DynamoDB state reset successfully');
+      // The day's item expires once its last snapshot is past the retention window
+      const dayEnd = new Date(snapshot.timestamp).setUTCHours(0, 0, 0, 0) + DAY_MS;
+      success = await dynamoDB.saveState(dayKey, history, 'history', dayEnd + PRICE_HISTORY_RETENTION_DAYS * DAY_MS);
       
-      // If we're not using file fallback, we're done
-      if (!FALLBACK_TO_FILE) return success;
+      // Keep an index of tracked heroes so we can scan for movers
+      if (success) {
+        const index = await dynamoDB.loadState('priceHistoryIndex') || { heroes: {} };
+        if (index.heroes[heroId] !== snapshot.heroName) {
+          index.heroes[heroId] = snapshot.heroName;
+          await dynamoDB.saveState('priceHistoryIndex', index);
+        }
+        return true;
+      }
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save price snapshot to DynamoDB, falling back to file storage`);
+      }
     }
     
-    // Also reset file state
-    success = await fileSystem.saveState('state', freshState);
-    if (success) {
-      console.log('✅ File state reset successfully');
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.priceHistory = fileState.priceHistory || {};
+      const history = fileState.priceHistory[heroId] || { heroId, snapshots: [] };
+      history.heroName = snapshot.heroName;
+      history.snapshots = prunePriceSnapshots([...history.snapshots, snapshot]);
+      fileState.priceHistory[heroId] = history;
+      
+      success = await fileSystem.saveState('state', fileState);
     }
     
     return success;
   } catch (error) {
-    console.error('❌ Error resetting state:', error);
+    console.error(`❌ Error saving price snapshot for hero ${heroId}:`, error);
     return false;
   }
 }
 
 /**
- * Gets statistics about application usage
- * @returns {Promise<Object>} Statistics object
+ * Loads the price history for a hero
+ * @param {string} heroId - The hero ID
+ * @param {number} [since] - Only snapshots from this time on (milliseconds), so fewer days are read
+ * @returns {Promise<Array<Object>>} Snapshots in chronological order
  */
-export async function getStatistics() {
+export async function loadPriceHistory(heroId, since = 0) {
+  const from = Math.max(since, Date.now() - PRICE_HISTORY_RETENTION_DAYS * DAY_MS);
+  const isRecent = snapshot => new Date(snapshot.timestamp).getTime() >= from;
+  
   try {
-    let stats = {
-      uptime: process.uptime(),
-      runtime: {
-        environment: process.env.NODE_ENV || 'development',
-        nodeVersion: process.version,
-        platform: os.platform(),
-        memory: process.memoryUsage(),
-      },
-      twitter: {
-        lastMentionId: null,
-        processedCount: 0,
-        lastProcessedAt: null,
-      },
-      replies: {
-        total: 0,
-        byHero: {},
-        last: []
-      },
-      errors: {
-        count: 0,
-        last: null
-      },
-      executionMetrics: {},
-      storage: {
-        primary: USE_DYNAMO ? 'DynamoDB' : 'File',
-        fallback: FALLBACK_TO_FILE ? 'Enabled' : 'Disabled'
-      }
-    };
-    
     // Try DynamoDB first if enabled
     if (USE_DYNAMO) {
-      const mentionState = await dynamoDB.loadState('lastMentionId');
-      const executionMetrics = await dynamoDB.loadState('executionMetrics');
-      const errors = await dynamoDB.loadState('errors');
-      const heroStats = await dynamoDB.loadState('heroStats');
-      const replyCountData = await dynamoDB.loadState('replyCount');
-      
-      // Update stats with DynamoDB data
-      if (mentionState) {
-        stats.twitter.lastMentionId = mentionState.id;
-        stats.twitter.processedCount = mentionState.processedCount || 0;
-        stats.twitter.lastProcessedAt = mentionState.lastProcessedAt;
+      const dayKeys = [];
+      for (let day = from - from % DAY_MS; day <= Date.now(); day += DAY_MS) {
+        dayKeys.push(getPriceHistoryDayKey(heroId, day));
       }
       
-      if (executionMetrics) {
-        stats.executionMetrics = executionMetrics;
+      // Older versions kept the whole history in one item per hero; read it as well
+      // until its snapshots are past the retention window
+      const days = await dynamoDB.loadStates([heroId, ...dayKeys], 'history');
+      const snapshots = Object.values(days || {})
+        .flatMap(history => history.snapshots || [])
+        .filter(isRecent)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      if (snapshots.length) {
+        return snapshots;
       }
       
-      if (errors) {
-        stats.errors.count = errors.count || 0;
-        stats.errors.last = errors.last || null;
+      if (!FALLBACK_TO_FILE) {
+        return [];
       }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return (fileState?.priceHistory?.[heroId]?.snapshots || []).filter(isRecent);
+  } catch (error) {
+    console.error(`❌ Error loading price history for hero ${heroId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Lists the heroes that have price history
+ * @returns {Promise<Object>} Map of hero ID to hero name
+ */
+export async function loadTrackedHeroes() {
+  try {
+    let heroes = {};
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const index = await dynamoDB.loadState('priceHistoryIndex');
+      heroes = { ...(index?.heroes || {}) };
       
-      if (heroStats) {
-        stats.replies.byHero = heroStats;
+      if (!FALLBACK_TO_FILE) {
+        return heroes;
       }
-      
-      if (replyCountData) {
-        stats.replies.total = replyCountData.count || 0;
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    for (const [heroId, history] of Object.entries(fileState?.priceHistory || {})) {
+      if (!heroes[heroId]) {
+        heroes[heroId] = history.heroName;
+      }
+    }
+    
+    return heroes;
+  } catch (error) {
+    console.error('❌ Error loading tracked heroes:', error);
+    return {};
+  }
+}
+
+/**
+ * Loads the record of a scheduled digest
+ * @param {string} date - Digest date (YYYY-MM-DD, UTC)
+ * @returns {Promise<Object|null>} The digest record, or null if no digest was attempted that day
+ */
+export async function loadDigestRecord(date) {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const record = await dynamoDB.loadState(date, 'digest');
+      if (record) {
+        return record;
       }
       
-      // Get recent tweets
-      const recentTweets = [];
-      try {
-        // Query recent tweets (using last 5 by timestamp)
-        let lastEvaluatedKey = null;
-        const queryCommand = {
-          TableName: process.env.STATE_TABLE_NAME || 'FantasyBotState',
-          KeyConditionExpression: "begins_with(stateId, :prefix)",
-          ExpressionAttributeValues: {
-            ":prefix": "tweet_"
-          },
-          Limit: 5,
-          ScanIndexForward: false // Sort descending by key
-        };
-        
-        const response = await dynamoDB.queryItems(queryCommand);
-        
-        for (const item of response.Items || []) {
-          const tweetId = item.stateId.replace('tweet_', '');
-          try {
-            const tweetData = JSON.parse(item.data);
-            recentTweets.push({
-              tweetId,
-              ...tweetData
-            });
-          } catch (e) {
-            console.warn(`Could not parse data for tweet ${tweetId}`);
-          }
-        }
-        
-        stats.replies.last = recentTweets;
-      } catch (error) {
-        console.error('Error querying recent tweets:', error);
+      if (!FALLBACK_TO_FILE) {
+        return null;
       }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.digests?.[date] || null;
+  } catch (error) {
+    console.error(`❌ Error loading digest record for ${date}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves the record of a scheduled digest, used to avoid posting the same digest twice
+ * @param {string} date - Digest date (YYYY-MM-DD, UTC)
+ * @param {Object} record - Digest status and posted tweet IDs
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveDigestRecord(date, record) {
+  try {
+    console.log(`📝 Saving digest record for ${date}: ${record.status}`);
+    let success = false;
+    
+    const updatedRecord = { ...record, updatedAt: new Date().toISOString() };
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = await dynamoDB.saveState(date, updatedRecord, 'digest');
       
-      // If we got data from DynamoDB and aren't using file fallback, return it
-      if (stats.twitter.lastMentionId !== null && !FALLBACK_TO_FILE) {
-        return stats;
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save digest record to DynamoDB, falling back to file storage`);
       }
     }
     
-    // If we're here, either DynamoDB is disabled, fallback is enabled, or DynamoDB didn't have data
-    try {
-      // Load file state
-      const fileState = await fileSystem.loadState('state');
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
       
-      if (fileState) {
-        // Overwrite only null or zero values with file data
-        if (stats.twitter.lastMentionId === null) {
-          stats.twitter.lastMentionId = fileState.twitter?.lastMentionId || null;
-        }
-        
-        if (stats.twitter.processedCount === 0) {
+      fileState.digests = fileState.digests || {};
+      fileState.digests[date] = updatedRecord;
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error(`❌ Error saving digest record for ${date}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Loads all active price alerts
+ * @returns {Promise<Object>} Alerts keyed by author ID, then by "heroId_rarity"
+ */
+export async function loadAlerts() {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const alerts = await dynamoDB.loadState('alerts');
+      if (alerts) {
+        return alerts;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return {};
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.alerts || {};
+  } catch (error) {
+    console.error('❌ Error loading alerts:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves all active price alerts
+ * @param {Object} alerts - Alerts keyed by author ID, then by "heroId_rarity"
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveAlerts(alerts) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = await dynamoDB.saveState('alerts', alerts);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save alerts to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.alerts = alerts;
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error saving alerts:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the hero roster saved by the last roster sync
+ * @returns {Promise<Object|null>} The roster { heroes, syncedAt, diff }, or null if never synced
+ */
+export async function loadHeroRoster() {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const roster = await dynamoDB.loadState('heroRoster');
+      if (roster) {
+        return roster;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return null;
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.heroRoster || null;
+  } catch (error) {
+    console.error('❌ Error loading hero roster:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the hero roster
+ * @param {Object} roster - The roster { heroes, syncedAt, diff }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveHeroRoster(roster) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = await dynamoDB.saveState('heroRoster', roster);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save hero roster to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.heroRoster = roster;
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error saving hero roster:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads a cached API response
+ * @param {string} key - Cache key (e.g. "floor:123_1")
+ * @returns {Promise<Object|null>} The cache entry { value, expiresAt }, or null if not cached
+ */
+export async function loadCacheEntry(key) {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const entry = await dynamoDB.loadState(key, 'cache');
+      if (entry) {
+        return entry;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return null;
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.cache?.entries?.[key] || null;
+  } catch (error) {
+    console.error(`❌ Error loading cache entry ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves a cached API response
+ * @param {string} key - Cache key (e.g. "floor:123_1")
+ * @param {Object} entry - Cache entry { value, expiresAt }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveCacheEntry(key, entry) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      // The item's TTL lets DynamoDB delete the entry once it has expired
+      success = await dynamoDB.saveState(key, entry, 'cache', entry.expiresAt);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save cache entry to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.cache = fileState.cache || { entries: {}, stats: { hits: 0, misses: 0, byType: {} } };
+      fileState.cache.entries = fileState.cache.entries || {};
+      
+      // Drop expired entries while we're rewriting the file anyway
+      const now = Date.now();
+      for (const [cacheKey, cached] of Object.entries(fileState.cache.entries)) {
+        if (cached.expiresAt <= now) {
+          delete fileState.cache.entries[cacheKey];
+        }
+      }
+      fileState.cache.entries[key] = entry;
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error(`❌ Error saving cache entry ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Adds cache hit/miss counts to the stored totals
+ * @param {Object} counts - { hits, misses, byType: { [type]: { hits, misses } } }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function recordCacheStats(counts) {
+  if (!counts.hits && !counts.misses) {
+    return true;
+  }
+  
+  // Adds the new counts onto stored totals
+  const addCounts = (totals) => {
+    const merged = {
+      hits: (totals?.hits || 0) + counts.hits,
+      misses: (totals?.misses || 0) + counts.misses,
+      byType: { ...(totals?.byType || {}) }
+    };
+    for (const [type, typeCounts] of Object.entries(counts.byType || {})) {
+      const current = merged.byType[type] || { hits: 0, misses: 0 };
+      merged.byType[type] = {
+        hits: current.hits + typeCounts.hits,
+        misses: current.misses + typeCounts.misses
+      };
+    }
+    return merged;
+  };
+  
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const totals = await dynamoDB.loadState('cacheStats');
+      success = await dynamoDB.saveState('cacheStats', addCounts(totals));
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save cache statistics to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.cache = fileState.cache || { entries: {} };
+      fileState.cache.stats = addCounts(fileState.cache.stats);
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error recording cache statistics:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the recent mention record of one author
+ * @param {string} authorId - Twitter user ID of the author
+ * @returns {Promise<Object|null>} The record { mentions: [timestamps], warnedAt }, or null if there is none
+ */
+export async function loadUserRateLimit(authorId) {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const record = await dynamoDB.loadState(authorId, 'rateLimit');
+      if (record) {
+        return record;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return null;
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.rateLimits?.users?.[authorId] || null;
+  } catch (error) {
+    console.error(`❌ Error loading rate limit record for ${authorId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves the recent mention record of one author
+ * @param {string} authorId - Twitter user ID of the author
+ * @param {Object} record - The record { mentions: [timestamps], warnedAt }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveUserRateLimit(authorId, record) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      // Every mention rewrites the record, so DynamoDB drops it once the author has been quiet that long
+      success = await dynamoDB.saveState(authorId, record, 'rateLimit', Date.now() + RATE_LIMIT_RECORD_MAX_AGE_MS);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save rate limit record to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.rateLimits = fileState.rateLimits || { users: {} };
+      fileState.rateLimits.users = fileState.rateLimits.users || {};
+      
+      // Drop authors with no recent mentions while we're rewriting the file anyway
+      const cutoff = Date.now() - RATE_LIMIT_RECORD_MAX_AGE_MS;
+      for (const [userId, userRecord] of Object.entries(fileState.rateLimits.users)) {
+        if (!userRecord.mentions?.some(timestamp => timestamp > cutoff)) {
+          delete fileState.rateLimits.users[userId];
+        }
+      }
+      fileState.rateLimits.users[authorId] = record;
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error(`❌ Error saving rate limit record for ${authorId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Adds a blocked mention to the rate limit statistics
+ * @param {Object} event - { authorId, reason, warned } where reason is "hour" or "day"
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function recordRateLimitBlock(event) {
+  // Adds the event onto stored totals
+  const addEvent = (totals) => ({
+    blocked: (totals?.blocked || 0) + 1,
+    warned: (totals?.warned || 0) + (event.warned ? 1 : 0),
+    byReason: {
+      ...(totals?.byReason || {}),
+      [event.reason]: (totals?.byReason?.[event.reason] || 0) + 1
+    },
+    lastBlocked: { authorId: event.authorId, reason: event.reason, timestamp: new Date().toISOString() }
+  });
+  
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const totals = await dynamoDB.loadState('rateLimitStats');
+      success = await dynamoDB.saveState('rateLimitStats', addEvent(totals));
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save rate limit statistics to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      
+      fileState.rateLimits = fileState.rateLimits || { users: {} };
+      fileState.rateLimits.stats = addEvent(fileState.rateLimits.stats);
+      
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error recording rate limit statistics:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the author and keyword access lists
+ * @returns {Promise<Object|null>} The lists, or null if they were never saved
+ */
+export async function loadAccessLists() {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const lists = await dynamoDB.loadState('accessLists');
+      if (lists) {
+        return lists;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return null;
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.accessLists || null;
+  } catch (error) {
+    console.error('❌ Error loading access lists:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the author and keyword access lists
+ * @param {Object} lists - The lists (see accessLists.mjs)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveAccessLists(lists) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = await dynamoDB.saveState('accessLists', lists);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save access lists to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.accessLists = lists;
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error saving access lists:', error);
+    return false;
+  }
+}
+
+/**
+ * Records a mention the bot chose not to answer
+ * @param {Object} skip - { tweetId, authorId, reason, detail }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function recordMentionSkip(skip) {
+  // Adds the skip onto the stored totals, keeping only the most recent ones
+  const addSkip = (totals) => ({
+    count: (totals?.count || 0) + 1,
+    byReason: {
+      ...(totals?.byReason || {}),
+      [skip.reason]: (totals?.byReason?.[skip.reason] || 0) + 1
+    },
+    recent: [{ ...skip, timestamp: new Date().toISOString() }, ...(totals?.recent || [])].slice(0, MAX_RECENT_SKIPS)
+  });
+  
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const totals = await dynamoDB.loadState('mentionSkips');
+      success = await dynamoDB.saveState('mentionSkips', addSkip(totals));
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save mention skip to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.mentionSkips = addSkip(fileState.mentionSkips);
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error recording mention skip:', error);
+    return false;
+  }
+}
+
+/**
+ * Records a reply a dry run would have posted. Kept apart from
+ * replies.history so dry runs never affect which mentions get answered;
+ * a later dry run of the same tweet replaces its entry.
+ *
+ * @param {Object} reply - { source, replyToTweetId, parts, metadata }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function recordDryRunReply(reply) {
+  // Adds the reply onto the stored log, keeping only the most recent ones
+  const addReply = (log) => {
+    const entry = { ...reply, recordedAt: new Date().toISOString() };
+    const others = (log?.replies || []).filter(existing =>
+      !reply.replyToTweetId || existing.replyToTweetId !== reply.replyToTweetId);
+    return {
+      count: (log?.count || 0) + 1,
+      replies: [entry, ...others].slice(0, MAX_DRY_RUN_REPLIES)
+    };
+  };
+  
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const log = await dynamoDB.loadState('dryRunReplies');
+      success = await dynamoDB.saveState('dryRunReplies', addReply(log));
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save dry run reply to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.dryRun = addReply(fileState.dryRun);
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error recording dry run reply:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the price alerts a dry run has already notified about
+ * @returns {Promise<Object>} Map of alert ID to the time it fired
+ */
+export async function loadDryRunFiredAlerts() {
+  try {
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const firedAlerts = await dynamoDB.loadState('dryRunFiredAlerts');
+      if (firedAlerts) {
+        return firedAlerts;
+      }
+      
+      if (!FALLBACK_TO_FILE) {
+        return {};
+      }
+    }
+    
+    const fileState = await fileSystem.loadState('state');
+    return fileState?.dryRun?.firedAlerts || {};
+  } catch (error) {
+    console.error('❌ Error loading dry run alerts:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves the price alerts a dry run has already notified about
+ * @param {Object} firedAlerts - Map of alert ID to the time it fired
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveDryRunFiredAlerts(firedAlerts) {
+  try {
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      success = await dynamoDB.saveState('dryRunFiredAlerts', firedAlerts);
+      
+      // If DynamoDB succeeded, we're done
+      if (success) return true;
+      
+      // Log fallback attempt
+      if (FALLBACK_TO_FILE) {
+        console.log(`⚠️ Failed to save dry run alerts to DynamoDB, falling back to file storage`);
+      }
+    }
+    
+    // Try file storage if DynamoDB is disabled or failed
+    if (!USE_DYNAMO || (FALLBACK_TO_FILE && !success)) {
+      const fileState = await fileSystem.loadState('state') || getDefaultState();
+      fileState.dryRun = { ...getDefaultState().dryRun, ...fileState.dryRun, firedAlerts };
+      success = await fileSystem.saveState('state', fileState);
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error saving dry run alerts:', error);
+    return false;
+  }
+}
+
+/**
+ * Resets the file state the way resetState does (see RESET_DYNAMO_KEYS)
+ * @param {Object|null} state - Current file state
+ * @returns {Object} Default state with the kept sections carried over
+ */
+function createResetFileState(state) {
+  const freshState = getDefaultState();
+  if (!state) {
+    return freshState;
+  }
+  
+  return {
+    ...freshState,
+    replies: { ...freshState.replies, history: state.replies?.history || {} },
+    priceHistory: state.priceHistory || freshState.priceHistory,
+    digests: state.digests || freshState.digests,
+    alerts: state.alerts || freshState.alerts,
+    heroRoster: state.heroRoster ?? freshState.heroRoster,
+    accessLists: state.accessLists ?? freshState.accessLists,
+    cache: { ...freshState.cache, entries: state.cache?.entries || {} },
+    rateLimits: { ...freshState.rateLimits, users: state.rateLimits?.users || {} }
+  };
+}
+
+/**
+ * Resets the mention progress and statistics, keeping configuration and
+ * collected data (see RESET_DYNAMO_KEYS)
+ * @returns {Promise<boolean>} True if reset was successful
+ */
+export async function resetState() {
+  try {
+    console.log('🧹 Resetting mention progress and statistics...');
+    
+    let success = false;
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const results = await Promise.all([
+        dynamoDB.saveState('metadata', getDefaultState().metadata),
+        dynamoDB.saveState('lastMentionId', { id: null, processedCount: 0 }),
+        ...RESET_DYNAMO_KEYS.map(key => dynamoDB.deleteState(key))
+      ]);
+      
+      success = results.every(Boolean);
+      console.log(success ? '✅ DynamoDB state reset successfully' : '⚠️ Some DynamoDB state could not be reset');
+      
+      // If we're not using file fallback, we're done
+      if (!FALLBACK_TO_FILE) return success;
+    }
+    
+    // Also reset file state
+    success = await fileSystem.saveState('state', createResetFileState(await fileSystem.loadState('state')));
+    if (success) {
+      console.log('✅ File state reset successfully');
+    }
+    
+    return success;
+  } catch (error) {
+    console.error('❌ Error resetting state:', error);
+    return false;
+  }
+}
+
+/**
+ * Calculates a cache hit rate as a percentage with one decimal
+ * @param {Object} cacheStats - { hits, misses }
+ * @returns {number} Hit rate (0-100)
+ */
+function calculateHitRate(cacheStats) {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return lookups > 0 ? Math.round((cacheStats.hits / lookups) * 1000) / 10 : 0;
+}
+
+/**
+ * Gets statistics about application usage
+ * @returns {Promise<Object>} Statistics object
+ */
+export async function getStatistics() {
+  try {
+    let stats = {
+      uptime: process.uptime(),
+      runtime: {
+        environment: process.env.NODE_ENV || 'development',
+        nodeVersion: process.version,
+        platform: os.platform(),
+        memory: process.memoryUsage(),
+      },
+      twitter: {
+        lastMentionId: null,
+        processedCount: 0,
+        lastProcessedAt: null,
+      },
+      replies: {
+        total: 0,
+        byHero: {},
+        last: []
+      },
+      errors: {
+        count: 0,
+        last: null
+      },
+      executionMetrics: {},
+      cache: {
+        hits: 0,
+        misses: 0,
+        hitRate: 0,
+        byType: {}
+      },
+      rateLimits: {
+        blocked: 0,
+        warned: 0,
+        byReason: {},
+        lastBlocked: null
+      },
+      skips: {
+        count: 0,
+        byReason: {},
+        recent: []
+      },
+      dryRun: {
+        count: 0,
+        replies: []
+      },
+      storage: {
+        primary: USE_DYNAMO ? 'DynamoDB' : 'File',
+        fallback: FALLBACK_TO_FILE ? 'Enabled' : 'Disabled'
+      }
+    };
+    
+    // Try DynamoDB first if enabled
+    if (USE_DYNAMO) {
+      const mentionState = await dynamoDB.loadState('lastMentionId');
+      const executionMetrics = await dynamoDB.loadState('executionMetrics');
+      const errors = await dynamoDB.loadState('errors');
+      const heroStats = await dynamoDB.loadState('heroStats');
+      const replyCountData = await dynamoDB.loadState('replyCount');
+      const cacheStats = await dynamoDB.loadState('cacheStats');
+      const rateLimitStats = await dynamoDB.loadState('rateLimitStats');
+      const mentionSkips = await dynamoDB.loadState('mentionSkips');
+      const dryRunReplies = await dynamoDB.loadState('dryRunReplies');
+      
+      // Update stats with DynamoDB data
+      if (mentionState) {
+        stats.twitter.lastMentionId = mentionState.id;
+        stats.twitter.processedCount = mentionState.processedCount || 0;
+        stats.twitter.lastProcessedAt = mentionState.lastProcessedAt;
+      }
+      
+      if (executionMetrics) {
+        stats.executionMetrics = executionMetrics;
+      }
+      
+      if (errors) {
+        stats.errors.count = errors.count || 0;
+        stats.errors.last = errors.last || null;
+      }
+      
+      if (heroStats) {
+        stats.replies.byHero = heroStats;
+      }
+      
+      if (replyCountData) {
+        stats.replies.total = replyCountData.count || 0;
+      }
+      
+      if (cacheStats) {
+        Object.assign(stats.cache, cacheStats);
+      }
+      
+      if (rateLimitStats) {
+        Object.assign(stats.rateLimits, rateLimitStats);
+      }
+      
+      if (mentionSkips) {
+        Object.assign(stats.skips, mentionSkips);
+      }
+      
+      if (dryRunReplies) {
+        Object.assign(stats.dryRun, dryRunReplies);
+      }
+      
+      // Get recent tweets
+      const recentTweets = [];
+      try {
+        // Query recent tweets (using last 5 by timestamp)
+        let lastEvaluatedKey = null;
+        const queryCommand = {
+          TableName: process.env.STATE_TABLE_NAME || 'FantasyBotState',
+          KeyConditionExpression: "begins_with(stateId, :prefix)",
+          ExpressionAttributeValues: {
+            ":prefix": "tweet_"
+          },
+          Limit: 5,
+          ScanIndexForward: false // Sort descending by key
+        };
+        
+        const response = await dynamoDB.queryItems(queryCommand);
+        
+        for (const item of response.Items || []) {
+          const tweetId = item.stateId.replace('tweet_', '');
+          try {
+            const tweetData = JSON.parse(item.data);
+            recentTweets.push({
+              tweetId,
+              ...tweetData
+            });
+          } catch (e) {
+            console.warn(`Could not parse data for tweet ${tweetId}`);
+          }
+        }
+        
+        stats.replies.last = recentTweets;
+      } catch (error) {
+        console.error('Error querying recent tweets:', error);
+      }
+      
+      // If we got data from DynamoDB and aren't using file fallback, return it
+      if (stats.twitter.lastMentionId !== null && !FALLBACK_TO_FILE) {
+        stats.cache.hitRate = calculateHitRate(stats.cache);
+        return stats;
+      }
+    }
+    
+    // If we're here, either DynamoDB is disabled, fallback is enabled, or DynamoDB didn't have data
+    try {
+      // Load file state
+      const fileState = await fileSystem.loadState('state');
+      
+      if (fileState) {
+        // Overwrite only null or zero values with file data
+        if (stats.twitter.lastMentionId === null) {
+          stats.twitter.lastMentionId = fileState.twitter?.lastMentionId || null;
+        }
+        
+        if (stats.twitter.processedCount === 0) {
           stats.twitter.processedCount = fileState.twitter?.processedCount || 0;
         }
         
@@ -760,11 +1816,29 @@ export async function getStatistics() {
         if (Object.keys(stats.executionMetrics).length === 0) {
           stats.executionMetrics = fileState.executionMetrics || {};
         }
+        
+        if (stats.cache.hits === 0 && stats.cache.misses === 0 && fileState.cache?.stats) {
+          Object.assign(stats.cache, fileState.cache.stats);
+        }
+        
+        if (stats.rateLimits.blocked === 0 && fileState.rateLimits?.stats) {
+          Object.assign(stats.rateLimits, fileState.rateLimits.stats);
+        }
+        
+        if (stats.skips.count === 0 && fileState.mentionSkips) {
+          Object.assign(stats.skips, fileState.mentionSkips);
+        }
+        
+        if (stats.dryRun.count === 0 && fileState.dryRun) {
+          Object.assign(stats.dryRun, fileState.dryRun);
+        }
       }
     } catch (error) {
       console.error('Error loading statistics from file:', error);
     }
     
+    stats.cache.hitRate = calculateHitRate(stats.cache);
+    
     return stats;
   } catch (error) {
     console.error('❌ Error getting statistics:', error);
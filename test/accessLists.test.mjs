@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Editing the lists as the bot.mjs menu does, on file state in a temporary
+// directory, and matching mentions against what was saved
+const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-access-'));
+Object.assign(process.env, {
+  STATE_FILE_PATH: path.join(stateDir, 'state.json'),
+  USE_DYNAMO_STATE: 'false'
+});
+delete process.env.ALLOWLIST_ONLY;
+
+const { getAccessLists, addAccessListEntry, removeAccessListEntry, setAllowlistOnly } = await import('../accessLists.mjs');
+const { getSkipReason } = await import('../mentionHelper.mjs');
+
+const BOT_USER_ID = '1000000000000000000';
+const DIRECT = { isDirect: true, isIndirect: false };
+
+/**
+ * Works out why a mention would be skipped with the saved lists
+ * @param {Object} tweet - { author_id, text }
+ * @param {string|null} authorUsername - Author handle
+ * @returns {Promise<string|null>} - Skip reason, or null if the bot answers
+ */
+async function skipReason(tweet, authorUsername = null) {
+  const skip = getSkipReason(tweet, DIRECT, BOT_USER_ID, { accessLists: await getAccessLists(), authorUsername });
+  return skip ? skip.reason : null;
+}
+
+test.after(async () => {
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test('every list starts empty with allowlist-only mode off', async () => {
+  assert.deepEqual(await getAccessLists(), {
+    allowlistOnly: false,
+    blockedUserIds: [],
+    blockedHandles: [],
+    blockedKeywords: [],
+    allowedUserIds: [],
+    allowedHandles: []
+  });
+});
+
+test('handles are stored without the @ and matched regardless of case', async () => {
+  assert.equal(await addAccessListEntry('blockedHandles', '@Spammer'), true);
+  assert.equal(await addAccessListEntry('blockedHandles', 'spammer'), false, 'already listed');
+  assert.deepEqual((await getAccessLists()).blockedHandles, ['spammer']);
+
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }, 'SPAMMER'), 'blocked_handle');
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }, 'spammer2'), null);
+
+  assert.equal(await removeAccessListEntry('blockedHandles', '@SPAMMER'), true);
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }, 'spammer'), null);
+});
+
+test('user IDs must be numeric and keyword patterns valid', async () => {
+  await assert.rejects(addAccessListEntry('blockedUserIds', 'spammer'), /not a numeric Twitter user ID/);
+  await assert.rejects(addAccessListEntry('blockedKeywords', 'free(mint'), /Invalid keyword pattern/);
+  await assert.rejects(addAccessListEntry('blockedKeywords', '  '), /must not be empty/);
+  await assert.rejects(addAccessListEntry('friends', '111'), /Unknown access list/);
+});
+
+test('blocked keywords are case-insensitive patterns', async () => {
+  await addAccessListEntry('blockedKeywords', 'free\\s+mint');
+
+  assert.equal(await skipReason({ author_id: '111', text: 'FREE   Mint today' }), 'blocked_keyword');
+  assert.equal(await skipReason({ author_id: '111', text: 'mint price' }), null);
+
+  await removeAccessListEntry('blockedKeywords', 'free\\s+mint');
+});
+
+test('allowlist-only mode answers allowed authors only, and the blocklist still wins', async () => {
+  await addAccessListEntry('allowedUserIds', '333');
+  await addAccessListEntry('allowedHandles', '@Friend');
+  await addAccessListEntry('blockedUserIds', '444');
+  await addAccessListEntry('allowedUserIds', '444');
+  await setAllowlistOnly(true);
+
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }), 'not_allowlisted');
+  assert.equal(await skipReason({ author_id: '333', text: 'rasmr' }), null);
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }, 'friend'), null);
+  assert.equal(await skipReason({ author_id: '444', text: 'rasmr' }), 'blocked_user');
+
+  await setAllowlistOnly(false);
+  assert.equal(await skipReason({ author_id: '111', text: 'rasmr' }), null);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Alert commands against the fixture Fantasy Top data source and file state
+// in a temporary directory. Hero names are matched against all_heroes.json in
+// the working directory, so run the suite from the repo root.
+
+const repoDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-alerts-'));
+
+Object.assign(process.env, {
+  FTOP_DATA_SOURCE: 'fixtures',
+  FTOP_FIXTURES_DIR: path.join(repoDir, 'tools', 'fixtures', 'fantasyTop'),
+  STATE_FILE_PATH: path.join(stateDir, 'state.json'),
+  USE_DYNAMO_STATE: 'false',
+  CACHE_BACKEND: 'memory',
+  MAX_ALERTS_PER_USER: '2'
+});
+
+const { parseAlertCommand, handleAlertCommand } = await import('../alerts.mjs');
+const { loadAlerts, saveAlerts } = await import('../stateManager.mjs');
+
+const AUTHOR_ID = '1000000000000000101';
+
+/**
+ * Parses and runs an alert command for the test author
+ * @param {string} text - Command text
+ * @param {Object} options - Options for handleAlertCommand
+ * @returns {Promise<string>} - Reply body
+ */
+function runAlertCommand(text, options) {
+  const context = { mention: { id: '1000000000000003001' }, authorId: AUTHOR_ID, username: 'cardcollector', entities: {} };
+  return handleAlertCommand(parseAlertCommand(text), context, options);
+}
+
+/**
+ * Gets the hero names of the test author's stored alerts
+ * @returns {Promise<string[]>} - Hero names
+ */
+async function storedHeroNames() {
+  return Object.values((await loadAlerts())[AUTHOR_ID] || {}).map(alert => alert.heroName).sort();
+}
+
+test.beforeEach(async () => {
+  await saveAlerts({});
+});
+
+test.after(async () => {
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test('parseAlertCommand reads add, cancel and list commands', () => {
+  assert.deepEqual(parseAlertCommand('alert me when rasmr legendary < 0.5'), {
+    action: 'add',
+    direction: 'below',
+    thresholdWei: String(5n * 10n ** 17n),
+    heroText: 'rasmr legendary',
+    rarity: 1
+  });
+  assert.equal(parseAlertCommand('ping me if orangie goes above 2 eth').direction, 'above');
+  assert.equal(parseAlertCommand('alert me when rasmr drops').thresholdWei, null);
+  assert.deepEqual(parseAlertCommand('cancel all alerts'), { action: 'cancel', all: true, heroText: '', rarity: null });
+  assert.deepEqual(parseAlertCommand('show my alerts'), { action: 'list' });
+  assert.equal(parseAlertCommand('rasmr price'), null);
+});
+
+test('adding an alert stores it and confirms the subscription', async () => {
+  const reply = await runAlertCommand('alert me when rasmr legendary < 0.5');
+
+  assert.match(reply, /^🔔 Alert set: rasmr_eth Legendary floor < Ξ0\.500/);
+  assert.deepEqual(await storedHeroNames(), ['rasmr_eth']);
+});
+
+test('an alert without a price asks for one and stores nothing', async () => {
+  assert.match(await runAlertCommand('alert me when rasmr drops'), /^Tell me the price too/);
+  assert.deepEqual(await storedHeroNames(), []);
+});
+
+test('a preview composes the same reply without storing the alert', async () => {
+  const reply = await runAlertCommand('alert me when rasmr legendary < 0.5', { save: false });
+
+  assert.match(reply, /^🔔 Alert set: rasmr_eth Legendary/);
+  assert.deepEqual(await storedHeroNames(), []);
+});
+
+test('a user can have at most MAX_ALERTS_PER_USER alerts, replacing one does not count', async () => {
+  await runAlertCommand('alert me when rasmr legendary < 0.5');
+  await runAlertCommand('alert me when orangie legendary < 0.5');
+
+  assert.match(await runAlertCommand('alert me when notthreadguy legendary < 0.5'), /^You already have 2 active alerts/);
+  assert.match(await runAlertCommand('alert me when rasmr legendary < 0.4'), /^🔔 Alert set: rasmr_eth Legendary floor < Ξ0\.400/);
+  assert.deepEqual(await storedHeroNames(), ['orangie', 'rasmr_eth']);
+});
+
+test('cancelling removes the alerts for a hero, or all of them', async () => {
+  await runAlertCommand('alert me when rasmr legendary < 0.5');
+  await runAlertCommand('alert me when orangie legendary < 0.5');
+
+  assert.match(await runAlertCommand('cancel alert rasmr'), /^Cancelled 1 alert:\nrasmr_eth Legendary/);
+  assert.deepEqual(await storedHeroNames(), ['orangie']);
+
+  assert.match(await runAlertCommand('cancel all alerts'), /^Cancelled 1 alert/);
+  assert.deepEqual(await loadAlerts(), {});
+  assert.equal(await runAlertCommand('cancel all alerts'), 'You have no active alerts');
+});
@@ -0,0 +1,202 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startMockTwitterServer, loadMockFixtures } from '../tools/mockTwitterServer.mjs';
+
+// The bot.mjs subcommands, run in-process against the mock Twitter API and
+// the fixture Fantasy Top data source, with file state and tokens.json in a
+// temporary working directory (see processMentions.test.mjs).
+
+const repoDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-cli-'));
+const tokensFile = path.join(workDir, 'tokens.json');
+
+const fixtures = await loadMockFixtures();
+const { bot } = fixtures;
+const mock = await startMockTwitterServer({ fixtures, quiet: true });
+
+await fs.copyFile(path.join(repoDir, 'all_heroes.json'), path.join(workDir, 'all_heroes.json'));
+await fs.copyFile(path.join(repoDir, 'hero_aliases.json'), path.join(workDir, 'hero_aliases.json'));
+await fs.writeFile(tokensFile, JSON.stringify({
+  oauth_token: 'mock-access-token',
+  oauth_token_secret: 'mock-access-secret',
+  user_id: bot.id,
+  screen_name: bot.username
+}));
+
+Object.assign(process.env, {
+  TWITTER_API_BASE_URL: mock.url,
+  TWITTER_UPLOAD_BASE_URL: mock.url,
+  TWITTER_WEB_BASE_URL: mock.url,
+  TWITTER_USER_ID: bot.id,
+  TWITTER_USERNAME: bot.username,
+  CONSUMER_KEY: 'mock-consumer-key',
+  CONSUMER_SECRET: 'mock-consumer-secret',
+  FTOP_DATA_SOURCE: 'fixtures',
+  FTOP_FIXTURES_DIR: path.join(repoDir, 'tools', 'fixtures', 'fantasyTop'),
+  STATE_FILE_PATH: path.join(workDir, 'state.json'),
+  USE_DYNAMO_STATE: 'false',
+  CACHE_BACKEND: 'memory'
+});
+process.chdir(workDir);
+
+// Importing bot.mjs must not open a prompt or start polling, or this file would never finish
+const { runCli, EXIT_CODES } = await import('../bot.mjs');
+const { saveMentionBackfill, loadMentionBackfill, saveAlerts, loadAlerts } = await import('../stateManager.mjs');
+const { addAccessListEntry, getAccessLists } = await import('../accessLists.mjs');
+const { setFantasyDataSource, createFixtureDataSource } = await import('../fantasyDataSource.mjs');
+const { requestToken } = await import('../auth.mjs');
+
+/**
+ * Runs a subcommand and collects what it writes as JSON output
+ * @param {...string} args - Command line arguments
+ * @returns {Promise<{code: number|null, output: string}>} - Exit code and output
+ */
+async function run(...args) {
+  let output = '';
+  const code = await runCli(args, { stdout: { write: chunk => { output += chunk; } } });
+  return { code, output };
+}
+
+test.after(async () => {
+  process.chdir(repoDir);
+  await mock.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('unknown commands and options are usage errors', async () => {
+  assert.equal((await run('dance')).code, EXIT_CODES.USAGE);
+  assert.equal((await run('stats', '--verbose')).code, EXIT_CODES.USAGE);
+  assert.equal((await run('lookup')).code, EXIT_CODES.USAGE);
+  assert.equal((await run('auth')).code, EXIT_CODES.USAGE);
+  assert.equal((await run('--help')).code, EXIT_CODES.OK);
+});
+
+test('lookup prints market info as JSON', async () => {
+  const { code, output } = await run('lookup', 'rasmr_eth', '--json');
+
+  assert.equal(code, EXIT_CODES.OK);
+  const heroInfo = JSON.parse(output);
+  assert.equal(heroInfo.name, 'rasmr_eth');
+  assert.equal(heroInfo.marketInfo[1].rarityName, 'Legendary');
+});
+
+test('lookup fails for an unknown hero', async () => {
+  const { code, output } = await run('lookup', 'zzqxjv', '--json');
+
+  assert.equal(code, EXIT_CODES.FAILURE);
+  assert.equal(output, '');
+});
+
+test('process-mentions --once answers the fixture mentions and reports stats', async () => {
+  const { code, output } = await run('process-mentions', '--once', '--json');
+
+  assert.equal(code, EXIT_CODES.OK);
+  const stats = JSON.parse(output);
+  assert.equal(stats.mentionsFound, 3);
+  assert.equal(stats.repliesSent, 3);
+  ['1000000000000001001', '1000000000000001002', '1000000000000001003'].forEach(mentionId => {
+    assert.ok(mock.tweets.some(tweet => tweet.inReplyToTweetId === mentionId), mentionId);
+  });
+});
+
+test('stats --json reports the processed mentions', async () => {
+  const { code, output } = await run('stats', '--json');
+
+  assert.equal(code, EXIT_CODES.OK);
+  const stats = JSON.parse(output);
+  assert.equal(stats.twitter.lastMentionId, '1000000000000001003');
+  assert.equal(stats.replies.total, 3);
+});
+
+test('process-mentions --once fails and reports stats when Fantasy Top rate limits', async () => {
+  mock.addMentions([{
+    id: '1000000000000001004',
+    text: `@${bot.username} zzqxjv price`,
+    author_id: '1000000000000000101',
+    conversation_id: '1000000000000001004',
+    minutesAgo: 1
+  }]);
+  // Every attempt of the retry backoff is rate limited
+  setFantasyDataSource(createFixtureDataSource({ failures: [{ method: '*', message: 'too many requests', status: 429, times: 4 }] }));
+  let result;
+  try {
+    result = await run('process-mentions', '--once', '--json');
+  } finally {
+    setFantasyDataSource(null);
+  }
+
+  assert.equal(result.code, EXIT_CODES.FAILURE);
+  const stats = JSON.parse(result.output);
+  assert.equal(stats.stoppedByRateLimit, true);
+  assert.equal(stats.repliesSent, 0);
+
+  // The mention is retried on the next run
+  assert.equal(JSON.parse((await run('stats', '--json')).output).twitter.lastMentionId, '1000000000000001003');
+});
+
+test('post --dry-run records the hero info tweet without posting', async () => {
+  const postedBefore = mock.tweets.length;
+  try {
+    assert.equal((await run('post', 'orangie', '--dry-run')).code, EXIT_CODES.OK);
+  } finally {
+    delete process.env.DRY_RUN;
+  }
+
+  assert.equal(mock.tweets.length, postedBefore);
+  const { output } = await run('stats', '--json');
+  const [dryRunReply] = JSON.parse(output).dryRun.replies;
+  assert.equal(dryRunReply.source, 'post');
+  assert.equal(dryRunReply.metadata.heroName, 'orangie');
+});
+
+test('post replies to a tweet', async () => {
+  assert.equal((await run('post', 'orangie', '--reply-to', '1000000000000001001')).code, EXIT_CODES.OK);
+
+  const posted = mock.tweets.at(-1);
+  assert.equal(posted.inReplyToTweetId, '1000000000000001001');
+  assert.match(posted.text, /orangie/);
+});
+
+test('auth status checks the saved tokens', async () => {
+  assert.equal((await run('auth', 'status')).code, EXIT_CODES.OK);
+  assert.equal((await run('auth', 'login')).code, EXIT_CODES.OK, 'already authenticated');
+});
+
+test('the OAuth endpoints follow base URLs set after import', async () => {
+  const webBaseUrl = process.env.TWITTER_WEB_BASE_URL;
+  process.env.TWITTER_WEB_BASE_URL = 'http://twitter.example/';
+  try {
+    const { authorizeURL } = await requestToken();
+    assert.equal(authorizeURL, 'http://twitter.example/oauth/authorize?oauth_token=mock-request-token');
+  } finally {
+    process.env.TWITTER_WEB_BASE_URL = webBaseUrl;
+  }
+});
+
+test('reset-state needs --yes, then clears tokens, mention progress and statistics', async () => {
+  await saveMentionBackfill({ sinceId: '1000000000000000900', untilId: '1000000000000000950' });
+  await saveAlerts({ '1000000000000000101': { '1448002419432357890_1': { heroName: 'rasmr_eth', createdAt: new Date().toISOString() } } });
+  await addAccessListEntry('blockedHandles', 'spammer');
+
+  assert.equal((await run('reset-state')).code, EXIT_CODES.USAGE);
+  assert.equal(JSON.parse(await fs.readFile(tokensFile, 'utf8')).oauth_token, 'mock-access-token');
+
+  assert.equal((await run('reset-state', '--yes')).code, EXIT_CODES.OK);
+  assert.deepEqual(JSON.parse(await fs.readFile(tokensFile, 'utf8')), {});
+  assert.equal((await run('auth', 'status')).code, EXIT_CODES.FAILURE);
+
+  const { output } = await run('stats', '--json');
+  const stats = JSON.parse(output);
+  assert.equal(stats.twitter.lastMentionId, null);
+  assert.equal(stats.replies.total, 0);
+  assert.equal(stats.dryRun.count, 0);
+  assert.equal(await loadMentionBackfill(), null);
+
+  // Configuration and subscriptions are kept
+  assert.ok((await loadAlerts())['1000000000000000101']);
+  assert.deepEqual((await getAccessLists()).blockedHandles, ['spammer']);
+});
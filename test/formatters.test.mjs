@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatWeiToEth, ethToWei } from '../utils/formatters.mjs';
+
+test('formatWeiToEth shows three decimals by default', () => {
+  assert.equal(formatWeiToEth('1000000000000000000'), '1.000');
+  assert.equal(formatWeiToEth('250000000000000000'), '0.250');
+  assert.equal(formatWeiToEth('11000000000000000'), '0.011');
+});
+
+test('formatWeiToEth rounds to the requested number of decimals', () => {
+  assert.equal(formatWeiToEth('1234567890123456789'), '1.235');
+  assert.equal(formatWeiToEth('1234567890123456789', 5), '1.23457');
+  assert.equal(formatWeiToEth('1234567890123456789', 0), '1');
+  assert.equal(formatWeiToEth('400000000000000', 3), '0.000');
+  assert.equal(formatWeiToEth('400000000000000', 4), '0.0004');
+});
+
+test('formatWeiToEth keeps precision for large and tiny amounts', () => {
+  assert.equal(formatWeiToEth('123456000000000000000000'), '123456.000');
+  assert.equal(formatWeiToEth('1'), '0.000');
+  assert.equal(formatWeiToEth('1', 18), '0.000000000000000001');
+});
+
+test('formatWeiToEth accepts numbers and bigints', () => {
+  assert.equal(formatWeiToEth(5e17), '0.500');
+  assert.equal(formatWeiToEth(3n * 10n ** 18n), '3.000');
+});
+
+test('formatWeiToEth formats zero and rejects missing or invalid values', () => {
+  assert.equal(formatWeiToEth(0), '0.000');
+  assert.equal(formatWeiToEth('0'), '0.000');
+  assert.equal(formatWeiToEth(null), 'N/A');
+  assert.equal(formatWeiToEth(undefined), 'N/A');
+  assert.equal(formatWeiToEth(''), 'N/A');
+  assert.equal(formatWeiToEth('not a number'), 'N/A');
+});
+
+test('ethToWei round-trips through formatWeiToEth', () => {
+  assert.equal(ethToWei('0.05'), '50000000000000000');
+  assert.equal(formatWeiToEth(ethToWei('0.05')), '0.050');
+  assert.equal(formatWeiToEth(ethToWei('12.345')), '12.345');
+});
@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIntent } from '../commands/grammar.mjs';
+
+test('history windows are parsed from the mention', () => {
+  assert.deepEqual(
+    [parseIntent('rasmr history 1mo').window, parseIntent('rasmr 7d').window, parseIntent('rasmr past month').window],
+    ['1mo', '7d', '30d']
+  );
+  assert.equal(parseIntent('rasmr history 1mo').heroText, 'rasmr');
+});
+
+test('an ambiguous window is flagged instead of read as minutes', () => {
+  const history = parseIntent('rasmr 1m');
+  assert.equal(history.intent, 'history');
+  assert.equal(history.window, null);
+  assert.equal(history.ambiguousWindow, '1m');
+
+  const top = parseIntent('top gainers 3m');
+  assert.equal(top.intent, 'top');
+  assert.equal(top.ambiguousWindow, '3m');
+});
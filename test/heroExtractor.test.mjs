@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPotentialHeroes } from '../utils/heroExtractor.mjs';
+
+// Matches against the real roster (all_heroes.json) and aliases (hero_aliases.json),
+// which are read from the working directory, so run the suite from the repo root
+
+test('extractPotentialHeroes finds a hero by name', async () => {
+  assert.deepEqual(await extractPotentialHeroes('rasmr price'), ['rasmr_eth']);
+});
+
+test('extractPotentialHeroes finds a hero by @handle', async () => {
+  assert.deepEqual(await extractPotentialHeroes('what about @LucaNetz legendary'), ['lucanetz']);
+});
+
+test('extractPotentialHeroes keeps the order heroes were mentioned in', async () => {
+  assert.deepEqual(await extractPotentialHeroes('compare orangie vs threadguy'), ['orangie', 'notthreadguy']);
+  // A partial name matches less confidently than an exact one, but is still named first
+  assert.deepEqual(await extractPotentialHeroes('rasmr vs orangie'), ['rasmr_eth', 'orangie']);
+});
+
+test('extractPotentialHeroes matches multi-word names and aliases', async () => {
+  assert.deepEqual(await extractPotentialHeroes('luca netz'), ['lucanetz']);
+  assert.deepEqual(await extractPotentialHeroes('bonk guy floor?'), ['theunipcs']);
+});
+
+test('extractPotentialHeroes tolerates typos', async () => {
+  assert.deepEqual(await extractPotentialHeroes('how much is orangy'), ['orangie']);
+});
+
+test('extractPotentialHeroes ignores chatter and empty text', async () => {
+  assert.deepEqual(await extractPotentialHeroes('gm frens wagmi'), []);
+  assert.deepEqual(await extractPotentialHeroes(''), []);
+});
+
+test('extractPotentialHeroes does not read general questions as typos of a hero', async () => {
+  // "hero" is one edit from herrocrypto's name and "mert" from 0xmerp
+  assert.deepEqual(await extractPotentialHeroes('which hero should I buy'), []);
+  assert.deepEqual(await extractPotentialHeroes('mert'), []);
+});
+
+test('extractPotentialHeroes prefers confident Twitter annotations over the text', async () => {
+  const confident = { annotations: [{ type: 'Person', normalized_text: 'Orangie', probability: 0.9 }] };
+  const unsure = { annotations: [{ type: 'Person', normalized_text: 'Orangie', probability: 0.3 }] };
+
+  assert.deepEqual(await extractPotentialHeroes('price?', confident), ['orangie']);
+  assert.deepEqual(await extractPotentialHeroes('rasmr', unsure), ['rasmr_eth']);
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeroInfoResponse } from '../commands/price.mjs';
+import { getTweetLength, MAX_TWEET_LENGTH } from '../utils/tweetLength.mjs';
+
+const CALL_TO_ACTION = 'Check out more on Fantasy Top!';
+
+/**
+ * Builds market info for one rarity with a floor, last trade 10% above it and bid 10% below it
+ * @param {number} rarity - Rarity level (1-4)
+ * @param {string} rarityName - Rarity name
+ * @param {number} floorEth - Floor price in ETH
+ * @returns {Object} - Market info for the rarity
+ */
+function createMarketInfo(rarity, rarityName, floorEth) {
+  const wei = eth => String(BigInt(Math.round(eth * 1e6)) * 10n ** 12n);
+  return {
+    rarity,
+    rarityName,
+    supply: 1250,
+    floorPrice: wei(floorEth),
+    lastSellPrice: wei(floorEth * 1.1),
+    highestBid: wei(floorEth * 0.9)
+  };
+}
+
+const HERO = {
+  name: 'rasmr_eth',
+  marketInfo: {
+    1: createMarketInfo(1, 'Legendary', 1.4),
+    2: createMarketInfo(2, 'Epic', 0.225),
+    3: createMarketInfo(3, 'Rare', 0.049),
+    4: createMarketInfo(4, 'Common', 0.011)
+  }
+};
+
+/**
+ * Checks that every part of a reply fits in a tweet
+ * @param {string[]} parts - Reply parts
+ */
+function assertFitsInTweets(parts) {
+  parts.forEach(part => assert.ok(getTweetLength(part) <= MAX_TWEET_LENGTH, `${getTweetLength(part)} > ${MAX_TWEET_LENGTH}: ${part}`));
+}
+
+test('a single rarity fits in one tweet with the call to action', () => {
+  const response = createHeroInfoResponse(HERO, 'alice', 1);
+
+  assert.equal(response.parts.length, 1);
+  assert.equal(response.text, response.parts[0]);
+  assert.equal(response.heroName, 'rasmr_eth');
+  assert.equal(response.rarity, 1);
+  assert.ok(response.text.startsWith('@alice rasmr_eth (Legendary):'));
+  assert.match(response.text, /Spread: Ξ0\.140 \(10\.0%\)/);
+  assert.ok(response.text.endsWith(CALL_TO_ACTION));
+});
+
+test('content of exactly 280 characters stays in one tweet without the call to action', () => {
+  const response = createHeroInfoResponse(HERO, null);
+
+  assert.equal(response.parts.length, 1);
+  assert.equal(getTweetLength(response.text), MAX_TWEET_LENGTH);
+  assert.ok(!response.text.includes(CALL_TO_ACTION));
+  assert.equal(response.rarity, undefined);
+});
+
+test('content over 280 characters becomes a numbered thread instead of being cut', () => {
+  const response = createHeroInfoResponse(HERO, 'alice');
+
+  assert.equal(response.parts.length, 2);
+  assertFitsInTweets(response.parts);
+  assert.ok(response.parts[0].startsWith('@alice Here\'s the latest for rasmr_eth:'));
+  assert.ok(response.parts[0].endsWith('1/2'));
+  assert.ok(response.parts[1].endsWith(`${CALL_TO_ACTION}\n\n2/2`));
+
+  // Every rarity line survives the split
+  ['Legendary', 'Epic', 'Rare', 'Common'].forEach(rarityName => {
+    assert.ok(response.parts.some(part => part.includes(`${rarityName}: 1250 cards`)), rarityName);
+  });
+});
+
+test('emoji in hero names count double towards the limit', () => {
+  const response = createHeroInfoResponse({ ...HERO, name: '👑'.repeat(60) }, 'a_really_long_username_x');
+
+  assertFitsInTweets(response.parts);
+  assert.equal(response.parts.length, 2);
+  assert.equal(response.parts[0], `@a_really_long_username_x Here's the latest for ${'👑'.repeat(60)}:\n\n1/2`);
+
+  // The call to action is dropped rather than given a tweet of its own
+  assert.ok(!response.parts.join('\n').includes(CALL_TO_ACTION));
+});
+
+test('rarities without market data still get a line', () => {
+  const response = createHeroInfoResponse({
+    name: 'orangie',
+    marketInfo: { 4: { rarity: 4, rarityName: 'Common', supply: null, floorPrice: null, lastSellPrice: null, highestBid: null } }
+  }, 'alice');
+
+  assert.deepEqual(response.parts, [`@alice Here's the latest for orangie:\n\nCommon: 0 cards\n\n${CALL_TO_ACTION}`]);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getMentionType, formatReplyText, shouldRespondToMention } from '../mentionHelper.mjs';
+
+const BOT_USERNAME = 'FantasyTopHuds';
+const BOT_USER_ID = '1000000000000000000';
+
+const ACCESS_LISTS = {
+  blockedUserIds: ['222'],
+  blockedHandles: ['spammer'],
+  blockedKeywords: ['free\\s+mint'],
+  allowedUserIds: ['333'],
+  allowedHandles: ['friend'],
+  allowlistOnly: false
+};
+
+test('getMentionType treats a leading mention as direct', () => {
+  const type = getMentionType({ text: '@FantasyTopHuds rasmr price' }, BOT_USERNAME);
+
+  assert.equal(type.isDirect, true);
+  assert.equal(type.isIndirect, false);
+  assert.equal(type.mentionPosition, 0);
+  assert.equal(type.cleanedText, 'rasmr price');
+});
+
+test('getMentionType treats a mention later in the tweet as indirect', () => {
+  const type = getMentionType({ text: 'what is rasmr worth @FantasyTopHuds' }, BOT_USERNAME);
+
+  assert.equal(type.isDirect, false);
+  assert.equal(type.isIndirect, true);
+  assert.equal(type.mentionPosition, 20);
+  assert.equal(type.cleanedText, 'what is rasmr worth');
+});
+
+test('getMentionType ignores leading whitespace and the case of the handle', () => {
+  const type = getMentionType({ text: '   @fantasytophuds orangie' }, `@${BOT_USERNAME}`);
+
+  assert.equal(type.isDirect, true);
+  assert.equal(type.cleanedText, 'orangie');
+});
+
+test('getMentionType does not match a longer handle that starts with the bot name', () => {
+  const type = getMentionType({ text: '@FantasyTopHudsFan rasmr' }, BOT_USERNAME);
+
+  assert.equal(type.isDirect, false);
+  assert.equal(type.isIndirect, false);
+  assert.equal(type.mentionPosition, -1);
+});
+
+test('getMentionType returns no mention without text or a bot username', () => {
+  assert.equal(getMentionType({}, BOT_USERNAME).mentionPosition, -1);
+  assert.equal(getMentionType({ text: '@FantasyTopHuds rasmr' }, null).isDirect, false);
+});
+
+test('formatReplyText prefixes direct replies with the author', () => {
+  const text = formatReplyText({ text: 'Floor: Ξ0.010' }, { isDirect: true }, { authorUsername: 'alice' });
+  assert.equal(text, '@alice Floor: Ξ0.010');
+});
+
+test('formatReplyText does not mention the author twice', () => {
+  const text = formatReplyText({ text: '@alice Floor: Ξ0.010' }, { isDirect: true }, { authorUsername: 'alice' });
+  assert.equal(text, '@alice Floor: Ξ0.010');
+});
+
+test('formatReplyText leaves indirect replies and unknown authors alone', () => {
+  assert.equal(formatReplyText({ text: 'Floor: Ξ0.010' }, { isDirect: false }, { authorUsername: 'alice' }), 'Floor: Ξ0.010');
+  assert.equal(formatReplyText({ text: 'Floor: Ξ0.010' }, { isDirect: true }, { authorUsername: null }), 'Floor: Ξ0.010');
+});
+
+test('shouldRespondToMention answers direct and indirect mentions from others', () => {
+  const tweet = { author_id: '111', text: '@FantasyTopHuds rasmr' };
+
+  assert.equal(shouldRespondToMention(tweet, { isDirect: true, isIndirect: false }, BOT_USER_ID), true);
+  assert.equal(shouldRespondToMention(tweet, { isDirect: false, isIndirect: true }, BOT_USER_ID), true);
+});
+
+test('shouldRespondToMention skips missing tweets, our own tweets and tweets without a mention', () => {
+  const direct = { isDirect: true, isIndirect: false };
+
+  assert.equal(shouldRespondToMention(null, direct, BOT_USER_ID), false);
+  assert.equal(shouldRespondToMention({ author_id: BOT_USER_ID, text: 'rasmr' }, direct, BOT_USER_ID), false);
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'rasmr' }, { isDirect: false, isIndirect: false }, BOT_USER_ID), false);
+});
+
+test('shouldRespondToMention applies the blocklist', () => {
+  const direct = { isDirect: true, isIndirect: false };
+  const options = { accessLists: ACCESS_LISTS };
+
+  assert.equal(shouldRespondToMention({ author_id: '222', text: 'rasmr' }, direct, BOT_USER_ID, options), false);
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'rasmr' }, direct, BOT_USER_ID, { ...options, authorUsername: 'Spammer' }), false);
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'FREE  mint here' }, direct, BOT_USER_ID, options), false);
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'rasmr' }, direct, BOT_USER_ID, options), true);
+});
+
+test('shouldRespondToMention only answers allowed authors in allowlist-only mode', () => {
+  const direct = { isDirect: true, isIndirect: false };
+  const options = { accessLists: { ...ACCESS_LISTS, allowlistOnly: true } };
+
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'rasmr' }, direct, BOT_USER_ID, options), false);
+  assert.equal(shouldRespondToMention({ author_id: '333', text: 'rasmr' }, direct, BOT_USER_ID, options), true);
+  assert.equal(shouldRespondToMention({ author_id: '111', text: 'rasmr' }, direct, BOT_USER_ID, { ...options, authorUsername: 'friend' }), true);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, formatDuration } from '../priceHistory.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parseDuration reads min, h, d, w and mo', () => {
+  assert.equal(parseDuration('90min'), 90 * 60 * 1000);
+  assert.equal(parseDuration('24h'), DAY_MS);
+  assert.equal(parseDuration('7d'), 7 * DAY_MS);
+  assert.equal(parseDuration('2w'), 14 * DAY_MS);
+  assert.equal(parseDuration('1mo'), 30 * DAY_MS);
+});
+
+test('parseDuration rejects a bare m, which could mean minutes or months', () => {
+  assert.equal(parseDuration('1m'), null);
+  assert.equal(parseDuration('30m'), null);
+});
+
+test('formatDuration labels minutes as min', () => {
+  assert.equal(formatDuration(90 * 60 * 1000), '90min');
+  assert.equal(formatDuration(30 * DAY_MS), '30d');
+});
@@ -0,0 +1,303 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startMockTwitterServer, loadMockFixtures } from '../tools/mockTwitterServer.mjs';
+
+// A full processMentions run against local fakes: the mock Twitter API
+// (tools/mockTwitterServer.mjs), the fixture Fantasy Top data source
+// (tools/fixtures/fantasyTop) and file state in a temporary directory.
+// The bot reads tokens.json and the hero roster from the working directory,
+// so the run happens in the temporary directory too.
+
+const repoDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-e2e-'));
+const stateFile = path.join(workDir, 'state.json');
+
+const fixtures = await loadMockFixtures();
+const { bot } = fixtures;
+const mock = await startMockTwitterServer({ fixtures, quiet: true });
+
+await fs.copyFile(path.join(repoDir, 'all_heroes.json'), path.join(workDir, 'all_heroes.json'));
+await fs.copyFile(path.join(repoDir, 'hero_aliases.json'), path.join(workDir, 'hero_aliases.json'));
+await fs.writeFile(path.join(workDir, 'tokens.json'), JSON.stringify({
+  oauth_token: 'mock-access-token',
+  oauth_token_secret: 'mock-access-secret',
+  user_id: bot.id,
+  screen_name: bot.username
+}));
+
+Object.assign(process.env, {
+  TWITTER_API_BASE_URL: mock.url,
+  TWITTER_UPLOAD_BASE_URL: mock.url,
+  TWITTER_WEB_BASE_URL: mock.url,
+  TWITTER_USER_ID: bot.id,
+  TWITTER_USERNAME: bot.username,
+  CONSUMER_KEY: 'mock-consumer-key',
+  CONSUMER_SECRET: 'mock-consumer-secret',
+  FTOP_DATA_SOURCE: 'fixtures',
+  FTOP_FIXTURES_DIR: path.join(repoDir, 'tools', 'fixtures', 'fantasyTop'),
+  STATE_FILE_PATH: stateFile,
+  USE_DYNAMO_STATE: 'false',
+  CACHE_BACKEND: 'memory'
+});
+process.chdir(workDir);
+
+const { processMentions } = await import('../mentionProcessor.mjs');
+
+/**
+ * Reads the state file as saved
+ * @returns {Promise<Object>} - Saved state
+ */
+async function readStateFile() {
+  return JSON.parse(await fs.readFile(stateFile, 'utf8'));
+}
+
+/**
+ * Finds the first tweet of the reply to a mention
+ * @param {string} mentionId - ID of the mention
+ * @returns {Object|undefined} - Posted tweet
+ */
+function findReply(mentionId) {
+  return mock.tweets.find(tweet => tweet.inReplyToTweetId === mentionId);
+}
+
+test.after(async () => {
+  process.chdir(repoDir);
+  await mock.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('replies to every fixture mention', async () => {
+  const stats = await processMentions();
+
+  assert.equal(stats.mentionsFound, 3);
+  assert.equal(stats.mentionsProcessed, 3);
+  assert.equal(stats.errors, 0);
+
+  const priceReply = findReply('1000000000000001001');
+  assert.ok(priceReply, 'price mention was answered');
+  assert.ok(priceReply.text.startsWith('@cardcollector '));
+  assert.match(priceReply.text, /rasmr_eth/);
+  assert.match(priceReply.text, /Legendary: 10 cards \(Price: Ξ1\.400/);
+  assert.equal(priceReply.mediaIds.length, 1, 'market card was attached');
+
+  const compareReply = findReply('1000000000000001002');
+  assert.ok(compareReply, 'compare mention was answered');
+  assert.ok(compareReply.text.startsWith('@floorwatcher '));
+  assert.match(compareReply.text, /rasmr_eth/);
+  assert.match(compareReply.text, /notthreadguy/);
+
+  const helpReply = findReply('1000000000000001003');
+  assert.ok(helpReply, 'help mention was answered');
+  assert.ok(helpReply.text.startsWith('@cardcollector '));
+
+  const state = await readStateFile();
+  assert.equal(state.twitter.lastMentionId, '1000000000000001003');
+  assert.deepEqual(Object.keys(state.replies.history).sort(), ['1000000000000001001', '1000000000000001002', '1000000000000001003']);
+  assert.equal(state.replies.history['1000000000000001001'].heroName, 'rasmr_eth');
+  assert.equal(state.replies.history['1000000000000001001'].authorUsername, 'cardcollector');
+});
+
+test('does not answer the same mentions twice', async () => {
+  const postedBefore = mock.tweets.length;
+  const stats = await processMentions();
+
+  assert.equal(stats.mentionsFound, 0);
+  assert.equal(mock.tweets.length, postedBefore);
+});
+
+test('skips our own tweets and records why', async () => {
+  const postedBefore = mock.tweets.length;
+  mock.addMentions([{
+    id: '1000000000000002001',
+    text: `@${bot.username} rasmr`,
+    author_id: bot.id,
+    conversation_id: '1000000000000002001',
+    minutesAgo: 1
+  }]);
+
+  const stats = await processMentions();
+
+  assert.equal(stats.mentionsFound, 1);
+  assert.equal(stats.skipped, 1);
+  assert.equal(mock.tweets.length, postedBefore);
+
+  const state = await readStateFile();
+  assert.equal(state.twitter.lastMentionId, '1000000000000002001');
+  assert.equal(state.mentionSkips.byReason.own_tweet, 1);
+});
+
+test('marks a mention processed when posting the reply fails', async () => {
+  const postedBefore = mock.tweets.length;
+  mock.addMentions([{
+    id: '1000000000000002002',
+    text: `@${bot.username} orangie`,
+    author_id: '1000000000000000102',
+    conversation_id: '1000000000000002002',
+    minutesAgo: 1
+  }]);
+  mock.addFailure({ path: '/2/tweets', status: 500 });
+
+  const stats = await processMentions();
+
+  assert.equal(stats.mentionsFound, 1);
+  assert.equal(stats.repliesSent, 0);
+  assert.equal(mock.tweets.length, postedBefore);
+  assert.equal((await readStateFile()).twitter.lastMentionId, '1000000000000002002');
+});
+
+test('a dry run records would-be replies without posting or moving on', async () => {
+  const postedBefore = mock.tweets.length;
+  const { twitter: twitterBefore } = await readStateFile();
+  mock.addMentions([{
+    id: '1000000000000002003',
+    text: `@${bot.username} rasmr legendary`,
+    author_id: '1000000000000000101',
+    conversation_id: '1000000000000002003',
+    minutesAgo: 1
+  }]);
+
+  process.env.DRY_RUN = 'true';
+  try {
+    const stats = await processMentions();
+    assert.equal(stats.dryRunReplies, 1);
+    assert.equal(stats.repliesSent, 0);
+  } finally {
+    delete process.env.DRY_RUN;
+  }
+
+  assert.equal(mock.tweets.length, postedBefore);
+
+  const state = await readStateFile();
+  assert.equal(state.twitter.lastMentionId, twitterBefore.lastMentionId);
+  assert.equal(state.replies.history['1000000000000002003'], undefined);
+
+  const [dryRunReply] = state.dryRun.replies;
+  assert.equal(dryRunReply.source, 'mention');
+  assert.equal(dryRunReply.replyToTweetId, '1000000000000002003');
+  assert.ok(dryRunReply.parts[0].startsWith('@cardcollector rasmr_eth (Legendary):'));
+  assert.equal(dryRunReply.metadata.rarity, 'Legendary');
+
+  // The live run still answers the mention afterwards
+  await processMentions();
+  assert.ok(findReply('1000000000000002003'));
+});
+
+test('a dry run records a triggered alert once and leaves it active', async () => {
+  const { saveAlerts, loadAlerts } = await import('../stateManager.mjs');
+  const key = '1448002419432357890_1';
+  await saveAlerts({
+    '1000000000000000101': {
+      [key]: {
+        heroId: '1448002419432357890',
+        heroName: 'rasmr_eth',
+        rarity: 1,
+        direction: 'below',
+        thresholdWei: String(5n * 10n ** 18n),
+        tweetId: '1000000000000001001',
+        username: 'cardcollector',
+        createdAt: new Date().toISOString()
+      }
+    }
+  });
+  const postedBefore = mock.tweets.length;
+
+  process.env.DRY_RUN = 'true';
+  try {
+    assert.equal((await processMentions()).alertsTriggered, 1);
+    assert.equal((await processMentions()).alertsTriggered, 0, 'already recorded');
+  } finally {
+    delete process.env.DRY_RUN;
+  }
+
+  assert.equal(mock.tweets.length, postedBefore);
+  const alertReplies = (await readStateFile()).dryRun.replies.filter(reply => reply.source === 'alert');
+  assert.equal(alertReplies.length, 1);
+  assert.match(alertReplies[0].parts[0], /^@cardcollector 🔔 rasmr_eth Legendary floor is now Ξ1\.400/);
+  assert.ok((await loadAlerts())['1000000000000000101'][key], 'alert is still active');
+
+  // The live run sends the notification and removes the alert
+  assert.equal((await processMentions()).alertsTriggered, 1);
+  assert.equal(mock.tweets.at(-1).inReplyToTweetId, '1000000000000001001');
+  assert.deepEqual(await loadAlerts(), {});
+});
+
+test('a dry run previews alert commands and leaves the live statistics alone', async () => {
+  const { loadAlerts, getStatistics } = await import('../stateManager.mjs');
+  const before = await readStateFile();
+  const { cache: cacheBefore } = await getStatistics();
+  mock.addMentions([{
+    id: '1000000000000002004',
+    text: `@${bot.username} rasmr`,
+    author_id: bot.id,
+    conversation_id: '1000000000000002004',
+    minutesAgo: 1
+  }, {
+    id: '1000000000000002005',
+    text: `@${bot.username} alert me when rasmr legendary < 0.5`,
+    author_id: '1000000000000000101',
+    conversation_id: '1000000000000002005',
+    minutesAgo: 1
+  }]);
+
+  process.env.DRY_RUN = 'true';
+  try {
+    const stats = await processMentions();
+    assert.equal(stats.skipped, 1);
+    assert.equal(stats.dryRunReplies, 1);
+    assert.ok(stats.cacheHits + stats.cacheMisses > 0, 'the run looked up Fantasy Top data');
+  } finally {
+    delete process.env.DRY_RUN;
+  }
+
+  const state = await readStateFile();
+  assert.deepEqual(state.executionMetrics, before.executionMetrics);
+  assert.deepEqual(state.mentionSkips, before.mentionSkips);
+  assert.deepEqual((await getStatistics()).cache, cacheBefore);
+  assert.deepEqual(await loadAlerts(), {});
+
+  const alertReply = state.dryRun.replies.find(reply => reply.replyToTweetId === '1000000000000002005');
+  assert.match(alertReply.parts[0], /^@cardcollector 🔔 Alert set: rasmr_eth Legendary/);
+});
+
+test('a dry run previews triggered alerts without Twitter tokens', async () => {
+  const { saveAlerts, saveDryRunFiredAlerts } = await import('../stateManager.mjs');
+  const tokensFile = path.join(workDir, 'tokens.json');
+  const tokensBackup = path.join(workDir, 'tokens.json.bak');
+  await saveDryRunFiredAlerts({});
+  await saveAlerts({
+    '1000000000000000101': {
+      '1448002419432357890_1': {
+        heroId: '1448002419432357890',
+        heroName: 'rasmr_eth',
+        rarity: 1,
+        direction: 'below',
+        thresholdWei: String(5n * 10n ** 18n),
+        tweetId: '1000000000000001001',
+        username: 'cardcollector',
+        createdAt: new Date().toISOString()
+      }
+    }
+  });
+  const { errors: errorsBefore } = await readStateFile();
+
+  await fs.rename(tokensFile, tokensBackup);
+  process.env.DRY_RUN = 'true';
+  try {
+    // Reading mentions needs the tokens, so only the alert is previewed
+    const stats = await processMentions();
+    assert.equal(stats.alertsTriggered, 1);
+    assert.equal(stats.errors, 0);
+  } finally {
+    delete process.env.DRY_RUN;
+    await fs.rename(tokensBackup, tokensFile);
+    await saveAlerts({});
+  }
+
+  const state = await readStateFile();
+  assert.deepEqual(state.errors, errorsBefore);
+  assert.equal(state.dryRun.replies[0].source, 'alert');
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoThread, composeThread } from '../utils/replyComposer.mjs';
+
+test('splitIntoThread keeps blocks that fit in one tweet, separated by a blank line', () => {
+  assert.deepEqual(splitIntoThread(['rasmr_eth', 'Floor Ξ1.4']), ['rasmr_eth\n\nFloor Ξ1.4']);
+  assert.deepEqual(splitIntoThread(['rasmr_eth', '', null]), ['rasmr_eth']);
+});
+
+test('splitIntoThread fills a tweet with lines of the next block, never a lone heading', () => {
+  const heading = 'aaaaaaaaaa';
+  assert.deepEqual(
+    splitIntoThread([heading, 'Legendary\nbbbbbbbbbb\ncccccccccc'], 35),
+    ['aaaaaaaaaa\n\nLegendary\nbbbbbbbbbb', 'cccccccccc']
+  );
+  assert.deepEqual(
+    splitIntoThread([heading, 'Legendary\nbbbbbbbbbbbbbbbbbbbbbbbbb'], 30),
+    ['aaaaaaaaaa', 'Legendary', 'bbbbbbbbbbbbbbbbbbbbbbbbb']
+  );
+});
+
+test('splitIntoThread moves blocks whole with keepBlocks', () => {
+  assert.deepEqual(
+    splitIntoThread(['aaaaaaaaaa', 'Legendary\nbbbbbbbbbb\ncccccccccc'], 35, { keepBlocks: true }),
+    ['aaaaaaaaaa', 'Legendary\nbbbbbbbbbb\ncccccccccc']
+  );
+});
+
+test('splitIntoThread hard-cuts a single line longer than a tweet', () => {
+  const parts = splitIntoThread(['x'.repeat(25)], 10);
+  assert.deepEqual(parts, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('composeThread numbers the parts of a thread and keeps the footer only where it fits', () => {
+  const parts = composeThread(['a'.repeat(200), 'b'.repeat(200)], { footer: 'fantasy.top' });
+  assert.equal(parts.length, 2);
+  assert.ok(parts[0].endsWith('\n\n1/2'));
+  assert.ok(parts[1].endsWith('\n\nfantasy.top\n\n2/2'));
+
+  const full = composeThread(['a'.repeat(200), 'b'.repeat(265)], { footer: 'fantasy.top' });
+  assert.equal(full.length, 2);
+  assert.ok(!full.join('').includes('fantasy.top'));
+
+  assert.deepEqual(composeThread(['rasmr_eth'], { footer: 'fantasy.top' }), ['rasmr_eth\n\nfantasy.top']);
+});
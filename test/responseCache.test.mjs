@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when responseCache.mjs loads: two entries in memory, "not found" answers not kept
+Object.assign(process.env, {
+  CACHE_BACKEND: 'memory',
+  CACHE_MAX_ENTRIES: '2',
+  CACHE_TTL_NOT_FOUND_SECONDS: '0'
+});
+
+const { cached, clearCache } = await import('../responseCache.mjs');
+
+/**
+ * Creates a fetcher that counts its calls
+ * @param {*} value - Value to answer with
+ * @returns {Function} - Fetcher, with a calls property
+ */
+function countingFetcher(value) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    return value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test.beforeEach(() => clearCache());
+
+test('cached answers repeat lookups from memory', async () => {
+  const fetcher = countingFetcher({ id: '1' });
+
+  assert.deepEqual(await cached('hero', '1', fetcher), { id: '1' });
+  assert.deepEqual(await cached('hero', '1', fetcher), { id: '1' });
+  assert.equal(fetcher.calls, 1);
+});
+
+test('cached drops the least recently used entry over the cap', async () => {
+  const first = countingFetcher({ id: '1' });
+  const second = countingFetcher({ id: '2' });
+  const third = countingFetcher({ id: '3' });
+
+  await cached('hero', '1', first);
+  await cached('hero', '2', second);
+  await cached('hero', '1', first);
+  await cached('hero', '3', third);
+
+  await cached('hero', '1', first);
+  await cached('hero', '2', second);
+  assert.equal(first.calls, 1, 'used recently, kept');
+  assert.equal(second.calls, 2, 'least recently used, dropped');
+});
+
+test('cached keeps "not found" answers only for the short not found TTL', async () => {
+  const missing = countingFetcher(null);
+  const noResults = countingFetcher([]);
+
+  await cached('hero', 'newhero', missing);
+  await cached('hero', 'newhero', missing);
+  await cached('hero', 'search:newhero', noResults);
+  await cached('hero', 'search:newhero', noResults);
+
+  assert.equal(missing.calls, 2);
+  assert.equal(noResults.calls, 2);
+});
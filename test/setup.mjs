@@ -0,0 +1,10 @@
+/**
+ * Loaded into every test process (see the "test" script in package.json)
+ *
+ * The bot logs a lot through console.log. Test files run in child processes
+ * whose stdout also carries the runner's own serialized messages, and heavy
+ * output there intermittently fails a file with "Unable to deserialize cloned
+ * data". Sending the logs to stderr keeps them visible without mixing them in.
+ */
+console.log = console.error;
+console.info = console.error;
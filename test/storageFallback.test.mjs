@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// DynamoDB is enabled but has no credentials, so every DynamoDB call fails
+// without touching the network and the file fallback has to take over
+const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-state-'));
+const stateFile = path.join(stateDir, 'state.json');
+process.env.STATE_FILE_PATH = stateFile;
+process.env.USE_DYNAMO_STATE = 'true';
+process.env.FALLBACK_TO_FILE = 'true';
+process.env.AWS_ACCESS_KEY_ID = '';
+process.env.AWS_SECRET_ACCESS_KEY = '';
+process.env.NODE_ENV = 'test';
+delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const stateManager = await import('../stateManager.mjs');
+
+// The same module with the file fallback turned off; the query string gives
+// a fresh copy that reads the environment again
+process.env.FALLBACK_TO_FILE = 'false';
+const dynamoOnly = await import('../stateManager.mjs?fallback=off');
+process.env.FALLBACK_TO_FILE = 'true';
+
+/**
+ * Reads the state file as saved
+ * @returns {Promise<Object>} - Saved state
+ */
+async function readStateFile() {
+  return JSON.parse(await fs.readFile(stateFile, 'utf8'));
+}
+
+test.after(async () => {
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test.beforeEach(async () => {
+  await fs.rm(stateFile, { force: true });
+});
+
+test('loads nothing when no storage has state yet', async () => {
+  assert.equal(await stateManager.loadLastMentionId(), null);
+  assert.equal(await stateManager.hasRepliedToTweet('1000000000000001001'), false);
+});
+
+test('falls back to the state file when DynamoDB is unavailable', async () => {
+  assert.equal(await stateManager.saveLastMentionId('1000000000000001001'), true);
+  assert.equal(await stateManager.loadLastMentionId(), '1000000000000001001');
+
+  const saved = await readStateFile();
+  assert.equal(saved.twitter.lastMentionId, '1000000000000001001');
+  assert.equal(saved.twitter.processedCount, 1);
+  assert.equal(saved.metadata.version, '2.0.0');
+});
+
+test('records replies in the state file when DynamoDB is unavailable', async () => {
+  assert.equal(await stateManager.markTweetAsReplied('1000000000000001002', { heroName: 'Rasmr_eth' }), true);
+  assert.equal(await stateManager.hasRepliedToTweet('1000000000000001002'), true);
+  assert.equal(await stateManager.hasRepliedToTweet('1000000000000001003'), false);
+
+  const saved = await readStateFile();
+  assert.equal(saved.replies.count, 1);
+  assert.equal(saved.replies.byHero.rasmr_eth, 1);
+  assert.ok(saved.replies.history['1000000000000001002'].repliedAt);
+});
+
+test('keeps existing file state when adding to it', async () => {
+  await stateManager.saveLastMentionId('1000000000000001001');
+  await stateManager.markTweetAsReplied('1000000000000001001');
+  await stateManager.saveLastMentionId('1000000000000001004');
+
+  const saved = await readStateFile();
+  assert.equal(saved.twitter.lastMentionId, '1000000000000001004');
+  assert.equal(saved.twitter.processedCount, 2);
+  assert.ok(saved.replies.history['1000000000000001001']);
+});
+
+test('starts from default state when the state file is unreadable', async () => {
+  // e.g. left empty by a write that was interrupted
+  await fs.writeFile(stateFile, '', 'utf8');
+
+  assert.equal(await stateManager.loadLastMentionId(), null);
+  assert.equal(await stateManager.saveLastMentionId('1000000000000001005'), true);
+  assert.equal((await readStateFile()).twitter.lastMentionId, '1000000000000001005');
+});
+
+test('reports failure instead of writing the file when the fallback is off', async () => {
+  assert.equal(await dynamoOnly.saveLastMentionId('1000000000000001006'), false);
+  assert.equal(await dynamoOnly.markTweetAsReplied('1000000000000001006'), false);
+  assert.equal(await dynamoOnly.hasRepliedToTweet('1000000000000001006'), false);
+  await assert.rejects(fs.access(stateFile));
+});
+
+test('ignores an empty mention ID', async () => {
+  assert.equal(await stateManager.saveLastMentionId(null), false);
+  await assert.rejects(fs.access(stateFile));
+});
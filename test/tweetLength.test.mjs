@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getTweetLength, isWithinTweetLimit, truncateToTweetLength, MAX_TWEET_LENGTH, TRANSFORMED_URL_LENGTH } from '../utils/tweetLength.mjs';
+
+test('getTweetLength counts links as shortened t.co URLs', () => {
+  assert.equal(getTweetLength('https://fantasy.top/hero/rasmr_eth'), TRANSFORMED_URL_LENGTH);
+  assert.equal(getTweetLength('see fantasy.top/rasmr'), 4 + TRANSFORMED_URL_LENGTH);
+});
+
+test('getTweetLength counts .eth hero names as text, not links', () => {
+  assert.equal(getTweetLength('rasmr.eth'), 9);
+  assert.equal(getTweetLength('ZAGABOND.ETH floor'), 18);
+});
+
+test('getTweetLength weighs Latin text 1 and CJK text 2 per character', () => {
+  assert.equal(getTweetLength('floor price'), 11);
+  assert.equal(getTweetLength('価格'), 4);
+  assert.equal(getTweetLength('Ξ0.25'), 5);
+});
+
+test('getTweetLength counts every emoji as 2, including ZWJ sequences and flags', () => {
+  assert.equal(getTweetLength('🔔'), 2);
+  assert.equal(getTweetLength('👩‍💻'), 2);
+  assert.equal(getTweetLength('🇺🇸'), 2);
+  assert.equal(getTweetLength('❤️'), 2);
+});
+
+test('getTweetLength counts composed and decomposed accents the same', () => {
+  assert.equal(getTweetLength('café'), getTweetLength('café'));
+});
+
+test('truncateToTweetLength cuts to the weighted limit without splitting an emoji', () => {
+  assert.equal(truncateToTweetLength('gm 👩‍💻 frens', 4), 'gm ');
+  assert.equal(truncateToTweetLength('short', 10), 'short');
+  assert.equal(isWithinTweetLimit('x'.repeat(MAX_TWEET_LENGTH)), true);
+  assert.equal(isWithinTweetLimit('x'.repeat(MAX_TWEET_LENGTH + 1)), false);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Per-author windows with small quotas, on file state in a temporary directory
+const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ftop-ratelimit-'));
+Object.assign(process.env, {
+  STATE_FILE_PATH: path.join(stateDir, 'state.json'),
+  USE_DYNAMO_STATE: 'false',
+  USER_REPLIES_PER_HOUR: '2',
+  USER_REPLIES_PER_DAY: '3',
+  RATE_LIMIT_REPLY: 'warn'
+});
+
+const { checkUserRateLimit, recordUserReply, recordUserBlocked, createSlowDownReply } = await import('../userRateLimiter.mjs');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const start = Date.now();
+
+test.after(async () => {
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test('an author over the hourly quota is blocked until the oldest reply leaves the window', async () => {
+  const authorId = '1000000000000000201';
+  await recordUserReply(authorId, start);
+  await recordUserReply(authorId, start + 10 * MINUTE_MS);
+
+  const limit = await checkUserRateLimit(authorId, start + 20 * MINUTE_MS);
+  assert.deepEqual(limit, { allowed: false, reason: 'hour', quota: 2, retryAfterMs: 40 * MINUTE_MS, warn: true });
+
+  assert.deepEqual(await checkUserRateLimit(authorId, start + HOUR_MS + 1), { allowed: true });
+});
+
+test('the daily quota applies across hours', async () => {
+  const authorId = '1000000000000000202';
+  await recordUserReply(authorId, start);
+  await recordUserReply(authorId, start + 2 * HOUR_MS);
+  await recordUserReply(authorId, start + 4 * HOUR_MS);
+
+  const limit = await checkUserRateLimit(authorId, start + 6 * HOUR_MS);
+  assert.equal(limit.allowed, false);
+  assert.equal(limit.reason, 'day');
+  assert.equal(limit.retryAfterMs, 18 * HOUR_MS);
+});
+
+test('a blocked author is warned once per window', async () => {
+  const authorId = '1000000000000000203';
+  await recordUserReply(authorId, start);
+  await recordUserReply(authorId, start + MINUTE_MS);
+
+  const limit = await checkUserRateLimit(authorId, start + 2 * MINUTE_MS);
+  assert.equal(limit.warn, true);
+  await recordUserBlocked(authorId, limit, true, start + 2 * MINUTE_MS);
+
+  assert.equal((await checkUserRateLimit(authorId, start + 3 * MINUTE_MS)).warn, false);
+});
+
+test('authors without an ID are never limited', async () => {
+  assert.deepEqual(await checkUserRateLimit(null, start), { allowed: true });
+});
+
+test('the slow down reply names the limit and the wait', () => {
+  const reply = createSlowDownReply({ reason: 'hour', quota: 2, retryAfterMs: 90 * 1000 }, 'cardcollector');
+
+  assert.deepEqual(reply.parts, ['@cardcollector Slow down! You\'ve hit the limit of 2 lookups per hour, try again in 2m.']);
+  assert.equal(reply.metadata.mentionType, 'rateLimited');
+});
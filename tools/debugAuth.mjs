@@ -13,6 +13,7 @@ import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import { loadTokens } from '../auth.mjs';
+import { twitterApiUrl } from '../utils/twitterEndpoints.mjs';
 
 // Initialize OAuth 1.0a
 const oauth = OAuth({
@@ -53,7 +54,7 @@ async function checkTokens() {
     // Test a simple API call (get user info)
     console.log('\n🧪 API CONNECTION TEST:');
     const userId = process.env.TWITTER_USER_ID;
-    const url = `https://api.twitter.com/2/users/${userId}`;
+    const url = twitterApiUrl(`/2/users/${userId}`);
     
     const token = {
       key: tokens.oauth_token,
@@ -109,7 +110,7 @@ async function checkTokens() {
 
 async function testMentionsEndpoint(tokens, userId) {
   console.log('\n🧪 TESTING MENTIONS ENDPOINT:');
-  const url = `https://api.twitter.com/2/users/${userId}/mentions?tweet.fields=created_at&max_results=5`;
+  const url = twitterApiUrl(`/2/users/${userId}/mentions?tweet.fields=created_at&max_results=5`);
   
   const token = {
     key: tokens.oauth_token,
@@ -0,0 +1,335 @@
+/**
+ * mockTwitterServer.mjs - Local stand-in for the Twitter API endpoints the bot uses
+ *
+ * Serves mentions from a fixture file, answers user lookups, the OAuth
+ * request/access token flow and media uploads, and records every tweet the
+ * bot posts instead of publishing it. Point the bot at it with:
+ *
+ *   TWITTER_API_BASE_URL=http://localhost:4010
+ *   TWITTER_UPLOAD_BASE_URL=http://localhost:4010
+ *   TWITTER_WEB_BASE_URL=http://localhost:4010
+ *
+ * Usage:
+ *   node tools/mockTwitterServer.mjs [fixtures.json] [--port 4010]
+ *
+ * Control endpoints for scripting a run:
+ *   GET  /mock/tweets     - Tweets posted so far
+ *   POST /mock/mentions   - Add mentions { mentions: [...], users: [...] }
+ *   POST /mock/failures   - Fail upcoming requests { method, path, status, body, times }
+ *   POST /mock/reset      - Forget posted tweets and failures, reload the fixture mentions
+ *
+ * Fixture mentions may give `minutesAgo` instead of `created_at`, so a
+ * fixture stays within the bot's maximum mention age whenever it is loaded.
+ */
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = parseInt(process.env.MOCK_TWITTER_PORT || '4010', 10);
+const DEFAULT_FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mockTwitter.json');
+
+// Twitter caps mention pages at 100 results
+const MAX_PAGE_SIZE = 100;
+
+// Credentials handed out by the mock OAuth flow
+const MOCK_PIN = '1234567';
+const MOCK_REQUEST_TOKEN = { oauth_token: 'mock-request-token', oauth_token_secret: 'mock-request-secret' };
+const MOCK_ACCESS_TOKEN = { oauth_token: 'mock-access-token', oauth_token_secret: 'mock-access-secret' };
+
+/**
+ * Loads a fixture file
+ * @param {string} fixturesPath - Path to the JSON fixture file
+ * @returns {Promise<Object>} - { bot, users, mentions }
+ */
+export async function loadMockFixtures(fixturesPath = DEFAULT_FIXTURES_PATH) {
+  return JSON.parse(await fs.readFile(fixturesPath, 'utf-8'));
+}
+
+/**
+ * Turns a fixture mention into the shape the mentions endpoint returns
+ * @param {Object} mention - Fixture mention, with created_at or minutesAgo
+ * @returns {Object} - Tweet object
+ */
+function toTweet(mention) {
+  const { minutesAgo, ...tweet } = mention;
+  if (!tweet.created_at) {
+    tweet.created_at = new Date(Date.now() - (minutesAgo || 0) * 60 * 1000).toISOString();
+  }
+  return tweet;
+}
+
+/**
+ * Compares two numeric tweet IDs (too large for Number)
+ * @param {string} a - First tweet ID
+ * @param {string} b - Second tweet ID
+ * @returns {number} - Negative if a is older than b
+ */
+function compareIds(a, b) {
+  const difference = BigInt(a) - BigInt(b);
+  return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+}
+
+/**
+ * Reads a request body as text
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} - Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a form-encoded response, like the OAuth token endpoints
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} values - Values to encode
+ */
+function sendForm(res, values) {
+  res.writeHead(200, { 'Content-Type': 'application/x-www-form-urlencoded' });
+  res.end(new URLSearchParams(values).toString());
+}
+
+/**
+ * Starts the mock server
+ * @param {Object} options - Options
+ * @param {Object} options.fixtures - Fixtures { bot, users, mentions }, see loadMockFixtures
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {boolean} options.quiet - Don't log requests
+ * @returns {Promise<Object>} - { url, tweets, addMentions, addFailure, reset, close }
+ */
+export async function startMockTwitterServer(options = {}) {
+  const { fixtures = await loadMockFixtures(), port = 0, quiet = false } = options;
+  const bot = fixtures.bot || { id: '1000000000000000000', username: 'FantasyTopHuds', name: 'Fantasy Top HUD' };
+
+  const state = {
+    users: new Map(),
+    mentions: [],
+    tweets: [],
+    failures: [],
+    nextId: 0n,
+    nextMediaId: 1
+  };
+
+  // Posted tweets get IDs above every mention so they sort as newer
+  const updateNextId = () => {
+    const highest = state.mentions.reduce((max, mention) => {
+      const id = BigInt(mention.id);
+      return id > max ? id : max;
+    }, BigInt(bot.id));
+    if (highest >= state.nextId) {
+      state.nextId = highest + 1n;
+    }
+  };
+
+  const addMentions = (mentions = [], users = []) => {
+    users.forEach(user => state.users.set(user.id, user));
+    state.mentions.push(...mentions.map(toTweet));
+    updateNextId();
+  };
+
+  const reset = () => {
+    state.users = new Map([[bot.id, bot]]);
+    state.mentions = [];
+    state.tweets.length = 0;
+    state.failures = [];
+    addMentions(fixtures.mentions, fixtures.users);
+  };
+
+  const addFailure = (failure) => {
+    state.failures.push({ method: 'POST', status: 500, times: 1, ...failure });
+  };
+
+  // Returns a scripted failure for this request, if one is due
+  const takeFailure = (method, pathname) => {
+    const failure = state.failures.find(entry => entry.method === method && pathname.startsWith(entry.path));
+    if (!failure) {
+      return null;
+    }
+    failure.times--;
+    if (failure.times <= 0) {
+      state.failures = state.failures.filter(entry => entry !== failure);
+    }
+    return failure;
+  };
+
+  /**
+   * GET /2/users/:id/mentions - newest first, with since_id, until_id,
+   * start_time, max_results and pagination_token like the real endpoint
+   */
+  const listMentions = (params) => {
+    const sinceId = params.get('since_id');
+    const untilId = params.get('until_id');
+    const startTime = params.get('start_time');
+    const pageSize = Math.min(parseInt(params.get('max_results') || '10', 10), MAX_PAGE_SIZE);
+    const offset = parseInt(params.get('pagination_token') || '0', 10);
+
+    const matching = state.mentions
+      .filter(mention => !sinceId || compareIds(mention.id, sinceId) > 0)
+      .filter(mention => !untilId || compareIds(mention.id, untilId) < 0)
+      .filter(mention => !startTime || new Date(mention.created_at) >= new Date(startTime))
+      .sort((a, b) => compareIds(b.id, a.id));
+
+    const page = matching.slice(offset, offset + pageSize);
+    if (page.length === 0) {
+      return { meta: { result_count: 0 } };
+    }
+
+    const authorIds = new Set(page.map(mention => mention.author_id));
+    const meta = {
+      result_count: page.length,
+      newest_id: page[0].id,
+      oldest_id: page[page.length - 1].id
+    };
+    if (offset + pageSize < matching.length) {
+      meta.next_token = String(offset + pageSize);
+    }
+
+    return {
+      data: page,
+      includes: { users: [...authorIds].map(id => state.users.get(id)).filter(Boolean) },
+      meta
+    };
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    const body = req.method === 'POST' ? await readBody(req) : '';
+    if (!quiet) {
+      console.log(`🧪 Mock Twitter: ${req.method} ${pathname}`);
+    }
+
+    if (pathname.startsWith('/mock/')) {
+      if (req.method === 'GET' && pathname === '/mock/tweets') {
+        return sendJson(res, 200, { tweets: state.tweets });
+      }
+      if (req.method === 'POST' && pathname === '/mock/mentions') {
+        const { mentions, users } = JSON.parse(body || '{}');
+        addMentions(mentions, users);
+        return sendJson(res, 200, { mentions: state.mentions.length });
+      }
+      if (req.method === 'POST' && pathname === '/mock/failures') {
+        addFailure(JSON.parse(body || '{}'));
+        return sendJson(res, 200, { failures: state.failures.length });
+      }
+      if (req.method === 'POST' && pathname === '/mock/reset') {
+        reset();
+        return sendJson(res, 200, { mentions: state.mentions.length });
+      }
+      return sendJson(res, 404, { title: 'Not Found Error', detail: `Unknown control endpoint ${pathname}` });
+    }
+
+    const failure = takeFailure(req.method, pathname);
+    if (failure) {
+      return sendJson(res, failure.status, failure.body || { title: 'Mock Failure', detail: `Scripted ${failure.status} for ${pathname}`, status: failure.status });
+    }
+
+    if (req.method === 'POST' && pathname === '/oauth/request_token') {
+      return sendForm(res, { ...MOCK_REQUEST_TOKEN, oauth_callback_confirmed: 'true' });
+    }
+    if (req.method === 'GET' && pathname === '/oauth/authorize') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(`Mock Twitter authorization. Enter this PIN: ${MOCK_PIN}\n`);
+    }
+    if (req.method === 'POST' && pathname === '/oauth/access_token') {
+      const form = new URLSearchParams(body);
+      if (form.get('oauth_verifier') && form.get('oauth_verifier') !== MOCK_PIN) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        return res.end('Invalid oauth_verifier');
+      }
+      return sendForm(res, { ...MOCK_ACCESS_TOKEN, user_id: bot.id, screen_name: bot.username });
+    }
+
+    if (req.method === 'POST' && pathname === '/1.1/media/upload.json') {
+      const mediaId = String(state.nextMediaId++);
+      return sendJson(res, 200, { media_id: Number(mediaId), media_id_string: mediaId });
+    }
+
+    if (req.method === 'POST' && pathname === '/2/tweets') {
+      const payload = JSON.parse(body || '{}');
+      const tweet = {
+        id: String(state.nextId++),
+        text: payload.text,
+        inReplyToTweetId: payload.reply?.in_reply_to_tweet_id || null,
+        mediaIds: payload.media?.media_ids || [],
+        postedAt: new Date().toISOString()
+      };
+      state.tweets.push(tweet);
+      return sendJson(res, 201, { data: { id: tweet.id, text: tweet.text } });
+    }
+
+    const mentionsMatch = pathname.match(/^\/2\/users\/(\d+)\/mentions$/);
+    if (req.method === 'GET' && mentionsMatch) {
+      return sendJson(res, 200, listMentions(url.searchParams));
+    }
+
+    const userMatch = pathname.match(/^\/2\/users\/(\d+)$/);
+    if (req.method === 'GET' && userMatch) {
+      const user = state.users.get(userMatch[1]);
+      return user ?
+        sendJson(res, 200, { data: user }) :
+        sendJson(res, 404, { errors: [{ title: 'Not Found Error', detail: `Could not find user with id: [${userMatch[1]}].` }] });
+    }
+
+    return sendJson(res, 404, { title: 'Not Found Error', detail: `Mock Twitter has no ${req.method} ${pathname}` });
+  };
+
+  reset();
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('❌ Mock Twitter request failed:', error.message);
+      sendJson(res, 500, { title: 'Mock Error', detail: error.message });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    bot,
+    tweets: state.tweets,
+    addMentions,
+    addFailure,
+    reset,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Run as a standalone server when executed directly
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : DEFAULT_PORT;
+  const fixturesPath = args.find((arg, index) => !arg.startsWith('--') && index !== portIndex + 1) || DEFAULT_FIXTURES_PATH;
+
+  try {
+    const fixtures = await loadMockFixtures(fixturesPath);
+    const mock = await startMockTwitterServer({ fixtures, port });
+    console.log(`🧪 Mock Twitter API listening on ${mock.url} with ${fixtures.mentions?.length || 0} fixture mentions`);
+    console.log(`   Run the bot with TWITTER_API_BASE_URL=${mock.url} TWITTER_UPLOAD_BASE_URL=${mock.url} TWITTER_WEB_BASE_URL=${mock.url} TWITTER_USER_ID=${mock.bot.id}`);
+    console.log(`   OAuth PIN: ${MOCK_PIN}, posted tweets: ${mock.url}/mock/tweets`);
+  } catch (error) {
+    console.error('❌ Could not start mock Twitter server:', error.message);
+    process.exit(1);
+  }
+}
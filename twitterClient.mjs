@@ -4,9 +4,13 @@ import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { formatTwitterDate } from './utils/formatters.mjs';
+import { getTweetLength, MAX_TWEET_LENGTH } from './utils/tweetLength.mjs';
+import { twitterApiUrl, twitterUploadUrl } from './utils/twitterEndpoints.mjs';
 import { loadTokens } from './auth.mjs'; // Adjust path if needed
 
-const endpointURL = 'https://api.twitter.com/2/tweets';
+// Mentions pagination - Twitter allows up to 100 results per page
+const MENTIONS_PAGE_SIZE = 100;
+const MENTIONS_MAX_PAGES = parseInt(process.env.MENTIONS_MAX_PAGES || '5', 10);
 
 // Initialize OAuth 1.0a with your consumer credentials.
 const oauth = OAuth({
@@ -25,14 +29,27 @@ const oauth = OAuth({
  * @param {object} tokens - An object with {oauth_token, oauth_token_secret}.
  * @param {string} text - The tweet content.
  * @param {string|null} [replyToTweetId=null] - (Optional) Tweet ID to reply to.
+ * @param {object} [options={}] - (Optional) Extra tweet options.
+ * @param {string[]} [options.mediaIds] - Media IDs from uploadMedia to attach.
  * @returns {Promise<object>} The response from Twitter.
  * @throws {Error} Enhanced error object with additional context
  */
-export async function postTweet(tokens, text, replyToTweetId = null) {
+export async function postTweet(tokens, text, replyToTweetId = null, options = {}) {
   if (!tokens || !tokens.oauth_token || !tokens.oauth_token_secret) {
     throw new Error('Missing OAuth tokens');
   }
 
+  // Check the weighted length up front - Twitter rejects over-length tweets with a 403
+  const tweetLength = getTweetLength(text);
+  if (tweetLength > MAX_TWEET_LENGTH) {
+    const lengthError = new Error(`Tweet is too long: ${tweetLength}/${MAX_TWEET_LENGTH} weighted characters`);
+    lengthError.code = 'TWEET_TOO_LONG';
+    lengthError.tweetLength = tweetLength;
+    console.error('Error posting tweet:', lengthError.message);
+    throw lengthError;
+  }
+
+  const endpointURL = twitterApiUrl('/2/tweets');
   const token = {
     key: tokens.oauth_token,
     secret: tokens.oauth_token_secret,
@@ -52,6 +69,9 @@ export async function postTweet(tokens, text, replyToTweetId = null) {
   if (replyToTweetId) {
     tweetData.reply = { in_reply_to_tweet_id: replyToTweetId };
   }
+  if (options.mediaIds && options.mediaIds.length > 0) {
+    tweetData.media = { media_ids: options.mediaIds };
+  }
 
   try {
     const response = await got.post(endpointURL, {
@@ -126,6 +146,100 @@ export async function postTweet(tokens, text, replyToTweetId = null) {
   }
 }
 
+/**
+ * Posts a reply, chaining any additional parts as a thread.
+ * Each part replies to the previously posted tweet.
+ * If a later part fails, the thrown error carries the IDs of the parts
+ * that were already posted in `postedIds`.
+ *
+ * @param {Object} tokens - OAuth tokens
+ * @param {string[]} parts - Tweet texts in thread order
+ * @param {string|null} replyToTweetId - Tweet ID the first part replies to, or null for a standalone thread
+ * @param {string[]} mediaIds - Media IDs to attach to the first part
+ * @returns {Promise<string[]>} - IDs of the posted tweets
+ */
+export async function postReplyThread(tokens, parts, replyToTweetId, mediaIds = []) {
+  const postedIds = [];
+  let previousId = replyToTweetId;
+
+  for (const part of parts) {
+    try {
+      const options = postedIds.length === 0 ? { mediaIds } : {};
+      const response = await postTweet(tokens, part, previousId, options);
+      previousId = response?.data?.id || previousId;
+      postedIds.push(previousId);
+    } catch (error) {
+      error.postedIds = postedIds;
+      throw error;
+    }
+  }
+
+  return postedIds;
+}
+
+/**
+ * Uploads an image using OAuth 1.0a tokens so it can be attached to a tweet.
+ * Uses the v1.1 simple upload endpoint with base64 media data, which is
+ * included in the OAuth signature because the body is form-encoded.
+ *
+ * @param {object} tokens - An object with {oauth_token, oauth_token_secret}.
+ * @param {Buffer} imageBuffer - The image file contents (PNG, JPEG or GIF, up to 5MB).
+ * @returns {Promise<string>} The media ID to pass to postTweet.
+ * @throws {Error} Enhanced error object with additional context
+ */
+export async function uploadMedia(tokens, imageBuffer) {
+  if (!tokens || !tokens.oauth_token || !tokens.oauth_token_secret) {
+    throw new Error('Missing OAuth tokens');
+  }
+
+  const token = {
+    key: tokens.oauth_token,
+    secret: tokens.oauth_token_secret,
+  };
+
+  const mediaUploadURL = twitterUploadUrl('/1.1/media/upload.json');
+  const form = { media_data: imageBuffer.toString('base64') };
+
+  const authHeader = oauth.toHeader(
+    oauth.authorize(
+      {
+        url: mediaUploadURL,
+        method: 'POST',
+        data: form,
+      },
+      token
+    )
+  );
+
+  try {
+    console.log(`📤 Uploading media (${imageBuffer.length} bytes)...`);
+    const response = await got.post(mediaUploadURL, {
+      form,
+      responseType: 'json',
+      headers: {
+        Authorization: authHeader.Authorization,
+        'User-Agent': 'FantasyTopTwitterBot',
+        Accept: 'application/json',
+      },
+    });
+
+    const mediaId = response.body?.media_id_string;
+    if (!mediaId) {
+      throw new Error('Invalid response: Missing media_id_string');
+    }
+
+    console.log(`✅ Media uploaded with ID: ${mediaId}`);
+    return mediaId;
+  } catch (error) {
+    const enhancedError = new Error(`Media upload failed: ${error.message}`);
+    enhancedError.statusCode = error.response?.statusCode;
+    enhancedError.twitterError = error.response?.body;
+    enhancedError.isTwitterError = Boolean(error.response);
+    console.error('Error uploading media:', enhancedError.message);
+    throw enhancedError;
+  }
+}
+
 /**
  * If this module is run directly, post a test tweet using tokens loaded from auth.mjs.
  * Usage:
@@ -155,11 +269,59 @@ if (process.argv[1].includes('twitterClient.mjs')) {
 }
 
 /**
- * Fetches recent mentions for the authenticated user from Twitter API
+ * Compares two tweet IDs numerically (IDs are too large for Number)
+ * @param {string} a - First tweet ID
+ * @param {string} b - Second tweet ID
+ * @returns {number} - Negative if a is older than b, positive if newer, 0 if equal
+ */
+export function compareTweetIds(a, b) {
+  const idA = String(a);
+  const idB = String(b);
+  if (idA.length !== idB.length) {
+    return idA.length - idB.length;
+  }
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+/**
+ * Fetches recent mentions for the authenticated user from Twitter API.
+ * Follows `pagination_token` until there are no more pages or MENTIONS_MAX_PAGES is reached.
+ * Twitter returns the newest page first, so a truncated result is missing the
+ * oldest mentions - everything between the since ID and `meta.oldestId`.
+ *
  * @param {Object} options - Options for fetching mentions
- * @returns {Promise<Array>} - An array of mention tweets or empty array if none
+ * @param {string} [options.sinceId] - Only return mentions newer than this ID
+ * @param {string} [options.untilId] - Only return mentions older than this ID
+ * @param {number} [options.minutesAgo] - Only return mentions from the last N minutes (when no sinceId)
+ * @returns {Promise<Object>} - { mentions, includes, meta } with mentions sorted oldest first,
+ *   includes { users } from the author expansion and
+ *   meta { newestId, oldestId, resultCount, pages, truncated, nextToken, failed }
  */
 export async function getMentions(options = {}) {
+  const mentions = [];
+  const users = [];
+  const meta = {
+    newestId: null,
+    oldestId: null,
+    resultCount: 0,
+    pages: 0,
+    truncated: false,
+    nextToken: null,
+    failed: false
+  };
+  
+  // Tracks the overall newest/oldest IDs across pages, sorts and dedupes the results
+  const buildResult = () => {
+    const unique = [...new Map(mentions.map(mention => [mention.id, mention])).values()];
+    unique.sort((a, b) => compareTweetIds(a.id, b.id));
+    meta.resultCount = unique.length;
+    return {
+      mentions: unique,
+      includes: { users: [...new Map(users.map(user => [user.id, user])).values()] },
+      meta
+    };
+  };
+  
   try {
     console.log(`🔍 Fetching mentions for user ID: ${process.env.TWITTER_USER_ID}...`);
     
@@ -209,35 +371,67 @@ export async function getMentions(options = {}) {
       console.log(`Is format valid for Twitter API? ${isCorrectFormat ? 'Yes' : 'No'}`);
     }
     
+    if (options.untilId) {
+      console.log(`🔍 Using until_id filtering with ID: ${options.untilId}`);
+      queryParams.until_id = options.untilId;
+    }
+    
     // Add necessary fields
     queryParams['tweet.fields'] = 'created_at,entities,author_id,in_reply_to_user_id';
     queryParams['expansions'] = 'author_id';
+    queryParams['max_results'] = MENTIONS_PAGE_SIZE;
     
-    // Create final URL with all parameters
     const userId = process.env.TWITTER_USER_ID;
-    const baseUrl = `https://api.twitter.com/2/users/${userId}/mentions`;
-    const queryString = Object.entries(queryParams)
-      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
-      .join('&');
-    const fullUrl = `${baseUrl}?${queryString}`;
+    const baseUrl = twitterApiUrl(`/2/users/${userId}/mentions`);
+    let paginationToken = null;
     
-    console.log(`🔗 Full Twitter API request URL: ${fullUrl}`);
-    
-    // Send the request
-    console.log('📡 Sending request to Twitter API...');
-    const response = await sendTwitterRequest({
-      method: 'GET',
-      url: fullUrl,
-      tokens
-    });
+    do {
+      // Create final URL with all parameters
+      const pageParams = paginationToken ? { ...queryParams, pagination_token: paginationToken } : queryParams;
+      const queryString = Object.entries(pageParams)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+      const fullUrl = `${baseUrl}?${queryString}`;
+      
+      console.log(`🔗 Full Twitter API request URL: ${fullUrl}`);
+      
+      // Send the request
+      console.log(`📡 Sending request to Twitter API (page ${meta.pages + 1})...`);
+      const response = await sendTwitterRequest({
+        method: 'GET',
+        url: fullUrl,
+        tokens
+      });
+      meta.pages++;
+      
+      if (response?.data) {
+        console.log(`📊 Found ${response.data.length} mentions on page ${meta.pages}`);
+        mentions.push(...response.data);
+      }
+      
+      // Authors requested through `expansions=author_id`
+      if (response?.includes?.users) {
+        users.push(...response.includes.users);
+      }
+      
+      // Pages run newest to oldest
+      if (response?.meta?.newest_id && !meta.newestId) {
+        meta.newestId = response.meta.newest_id;
+      }
+      if (response?.meta?.oldest_id) {
+        meta.oldestId = response.meta.oldest_id;
+      }
+      
+      paginationToken = response?.meta?.next_token || null;
+    } while (paginationToken && meta.pages < MENTIONS_MAX_PAGES);
     
-    // Process and return the results
-    if (response && response.data) {
-      console.log(`📊 Found ${response.data.length} mentions`);
-      return response.data;
+    if (paginationToken) {
+      console.warn(`⚠️ Stopped after ${meta.pages} pages (MENTIONS_MAX_PAGES), older mentions remain before ${meta.oldestId}`);
+      meta.truncated = true;
+      meta.nextToken = paginationToken;
     }
     
-    return [];
+    return buildResult();
   } catch (error) {
     console.error('❌ Error fetching mentions:');
     console.error(`   HTTP Status: ${error.statusCode || 'Unknown'}`);
@@ -254,8 +448,17 @@ export async function getMentions(options = {}) {
     console.error('   API Error Response:', error.twitterError ? 
       JSON.stringify(error.twitterError, null, 2) : 'No detailed error info');
     
-    console.warn('⚠️ Returning empty array due to error');
-    return [];
+    meta.failed = true;
+    
+    // Keep any pages we already have - the older ones are reported as missing
+    if (mentions.length > 0) {
+      console.warn(`⚠️ Returning ${mentions.length} mentions from ${meta.pages} page(s) fetched before the error`);
+      meta.truncated = true;
+      return buildResult();
+    }
+    
+    console.warn('⚠️ Returning no mentions due to error');
+    return buildResult();
   }
 }
 
@@ -322,7 +525,7 @@ export async function getUserById(userId) {
     throw new Error('User ID is required');
   }
   
-  const url = `https://api.twitter.com/2/users/${userId}`;
+  const url = twitterApiUrl(`/2/users/${userId}`);
   
   // Use the same OAuth mechanism as for other API calls
   const tokens = await loadTokens();
@@ -0,0 +1,127 @@
+/**
+ * userRateLimiter.mjs - Per-author limits on how often the bot answers mentions
+ *
+ * Each author has a sliding window of the times we replied to them, kept
+ * through the stateManager. Once an author is over the hourly or daily
+ * quota, further mentions are skipped; depending on RATE_LIMIT_REPLY the
+ * first skipped mention of a window gets one "slow down" reply.
+ */
+import { loadUserRateLimit, saveUserRateLimit, recordRateLimitBlock } from './stateManager.mjs';
+import { composeThread } from './utils/replyComposer.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Replies per author in any rolling hour / day (0 turns a limit off)
+const USER_REPLIES_PER_HOUR = parseInt(process.env.USER_REPLIES_PER_HOUR || '10', 10);
+const USER_REPLIES_PER_DAY = parseInt(process.env.USER_REPLIES_PER_DAY || '50', 10);
+
+// "warn" answers the first over-limit mention of a window once, "silent" never does
+const RATE_LIMIT_REPLY = process.env.RATE_LIMIT_REPLY || 'warn';
+
+// Limits in the order they are checked
+const LIMITS = [
+  { reason: 'hour', windowMs: HOUR_MS, quota: USER_REPLIES_PER_HOUR },
+  { reason: 'day', windowMs: DAY_MS, quota: USER_REPLIES_PER_DAY }
+];
+
+/**
+ * Checks whether an author is still within their reply quota
+ * @param {string} authorId - Twitter user ID of the author
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed } or, when over a limit,
+ *   { allowed: false, reason, quota, retryAfterMs, warn } where warn means a "slow down" reply is due
+ */
+export async function checkUserRateLimit(authorId, now = Date.now()) {
+  if (!authorId) {
+    return { allowed: true };
+  }
+
+  const record = await loadUserRateLimit(authorId);
+  const mentions = record?.mentions || [];
+
+  for (const { reason, windowMs, quota } of LIMITS) {
+    if (!quota) {
+      continue;
+    }
+
+    const inWindow = mentions.filter(timestamp => timestamp > now - windowMs);
+    if (inWindow.length >= quota) {
+      // The window frees up when its oldest reply falls out of it
+      const retryAfterMs = Math.min(...inWindow) + windowMs - now;
+      const warnedInWindow = record?.warnedAt && record.warnedAt > now - windowMs;
+      return {
+        allowed: false,
+        reason,
+        quota,
+        retryAfterMs,
+        warn: RATE_LIMIT_REPLY === 'warn' && !warnedInWindow
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Records a reply to an author, dropping timestamps older than a day
+ * @param {string} authorId - Twitter user ID of the author
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} - True if the record was saved
+ */
+export async function recordUserReply(authorId, now = Date.now()) {
+  if (!authorId) {
+    return true;
+  }
+
+  const record = await loadUserRateLimit(authorId) || {};
+  const mentions = (record.mentions || []).filter(timestamp => timestamp > now - DAY_MS);
+
+  return saveUserRateLimit(authorId, { ...record, mentions: [...mentions, now] });
+}
+
+/**
+ * Records that a mention was blocked, and when a "slow down" reply was sent
+ * so the author isn't warned again in the same window
+ *
+ * @param {string} authorId - Twitter user ID of the author
+ * @param {Object} limit - Result of checkUserRateLimit
+ * @param {boolean} warned - Whether a "slow down" reply was posted
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function recordUserBlocked(authorId, limit, warned, now = Date.now()) {
+  console.log(`🚦 Author ${authorId} is over the ${limit.reason} limit (${limit.quota} replies)${warned ? ', sent a slow down reply' : ''}`);
+
+  if (warned) {
+    const record = await loadUserRateLimit(authorId) || { mentions: [] };
+    await saveUserRateLimit(authorId, { ...record, warnedAt: now });
+  }
+
+  await recordRateLimitBlock({ authorId, reason: limit.reason, warned });
+}
+
+/**
+ * Formats how long an author has to wait, rounded up to minutes or hours
+ * @param {number} ms - Wait in milliseconds
+ * @returns {string} - Short label (e.g. "12m", "3h")
+ */
+function formatWait(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  return minutes < 60 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`;
+}
+
+/**
+ * Builds the one-off reply for an author who went over their limit
+ * @param {Object} limit - Result of checkUserRateLimit
+ * @param {string|null} username - Username to mention at the start of the reply
+ * @returns {Object} - Reply { parts, mediaIds, metadata }
+ */
+export function createSlowDownReply(limit, username) {
+  const mention = username ? `@${username} ` : '';
+  return {
+    parts: composeThread([`${mention}Slow down! You've hit the limit of ${limit.quota} lookups per ${limit.reason}, try again in ${formatWait(limit.retryAfterMs)}.`]),
+    mediaIds: [],
+    metadata: { mentionType: 'rateLimited', reason: limit.reason }
+  };
+}
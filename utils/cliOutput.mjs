@@ -0,0 +1,22 @@
+/**
+ * cliOutput.mjs - Keeps stdout clean for `node bot.mjs <command> --json`
+ *
+ * runCli sends the logs to stderr for the duration of a --json command, so
+ * stdout carries nothing but the JSON. Modules log their configuration on
+ * first use rather than at import, so nothing is printed before that.
+ */
+
+/**
+ * Sends console.log and console.info to stderr
+ * @returns {Function} - Restores the previous console methods
+ */
+export function logToStderr() {
+  const { log, info } = console;
+  console.log = console.error;
+  console.info = console.error;
+
+  return () => {
+    console.log = log;
+    console.info = info;
+  };
+}
@@ -4,6 +4,7 @@
 import { loadTokens } from '../auth.mjs';
 import { postTweet } from '../twitterClient.mjs';
 import { getStatistics } from '../stateManager.mjs';
+import { getTweetLength, MAX_TWEET_LENGTH } from './tweetLength.mjs';
 
 /**
  * Tests Twitter posting and provides detailed diagnostics of any errors
@@ -44,6 +45,26 @@ export async function testTwitterPosting(message = 'Test tweet from debugging to
     
     console.log(`Using tokens for @${tokens.screen_name || 'unknown'}`);
     
+    // Check the message length the same way Twitter does
+    const weightedLength = getTweetLength(message);
+    result.diagnostics.tweetLength = {
+      characters: message.length,
+      weighted: weightedLength,
+      max: MAX_TWEET_LENGTH
+    };
+    
+    if (weightedLength > MAX_TWEET_LENGTH) {
+      result.errors.push({
+        step: 'validation',
+        message: `Test message is too long: ${weightedLength}/${MAX_TWEET_LENGTH} weighted characters`,
+        guidance: [
+          '1. Emoji and CJK characters count as 2, and every URL counts as 23',
+          '2. Shorten the message and try again'
+        ]
+      });
+      return result;
+    }
+    
     // Step 2: Try posting a test tweet
     console.log('Step 2: Attempting to post test tweet...');
     try {
@@ -39,6 +39,22 @@ export function formatWeiToEth(weiValue, decimals = 3) {
   return valueInEth.toFixed(decimals);
 }
 
+/**
+ * Converts an ETH amount to wei without floating point rounding
+ * @param {string|number} ethValue - Amount in ETH (e.g. "0.5")
+ * @returns {string|null} - Amount in wei, or null if the value is not a valid amount
+ */
+export function ethToWei(ethValue) {
+  const match = String(ethValue ?? '').trim().match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  
+  const whole = match[1] || '0';
+  const fraction = (match[2] || '').slice(0, 18).padEnd(18, '0');
+  return (BigInt(whole) * 10n ** 18n + BigInt(fraction)).toString();
+}
+
 /**
  * Gets the rarity name based on the rarity level (1-4).
  * @param {number} rarityLevel - Rarity level (1-4).
@@ -58,3 +74,44 @@ export function getRarityName(rarityLevel) {
       return 'Unknown';
   }
 }
+
+/**
+ * Gets the rarity level (1-4) for a rarity name.
+ * @param {string} rarityName - Rarity name, e.g. "Legendary" (case-insensitive).
+ * @returns {number|null} - Rarity level or null if the name is unknown.
+ */
+export function getRarityLevel(rarityName) {
+  if (!rarityName) {
+    return null;
+  }
+  
+  for (let level = 1; level <= 4; level++) {
+    if (getRarityName(level).toLowerCase() === String(rarityName).toLowerCase()) {
+      return level;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Calculates the spread between the floor price and the highest bid
+ * @param {string|number} floorWei - Floor price in wei
+ * @param {string|number} bidWei - Highest bid in wei
+ * @param {number} decimals - Number of decimal places for the ETH value
+ * @returns {Object|null} - { eth, percent } or null if either price is missing
+ */
+export function calculateSpread(floorWei, bidWei, decimals = 3) {
+  const floor = Number(floorWei);
+  const bid = Number(bidWei);
+  
+  if (!floorWei || !bidWei || isNaN(floor) || isNaN(bid) || floor === 0) {
+    return null;
+  }
+  
+  const spreadWei = floor - bid;
+  return {
+    eth: (spreadWei / 1e18).toFixed(decimals),
+    percent: ((spreadWei / floor) * 100).toFixed(1)
+  };
+}
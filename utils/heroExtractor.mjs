@@ -3,42 +3,191 @@
  */
 import fs from 'fs/promises';
 import path from 'path';
+import { getRarityLevel } from './formatters.mjs';
+import { loadHeroRoster } from '../stateManager.mjs';
 
 // Define a basic list of stop words
-const STOP_WORDS = ['hey', 'hello', 'what', 'you', 'know', 'the', 'tell', 'me', 'about', 'prices', 'market', 'and', 'a', 'an', 'of', 'for', 'give', 'details'];
+const STOP_WORDS = ['hey', 'hello', 'what', 'you', 'know', 'the', 'tell', 'me', 'about', 'prices', 'market', 'and', 'a', 'an', 'of', 'for', 'give', 'details', 'compare', 'vs', 'versus', 'with',
+  'hero', 'heroes', 'buy', 'sell', 'should'];
+
+// Words that signal the user wants several heroes side by side
+const COMPARISON_PATTERN = /\b(compare|vs|versus)\b/i;
+
+// Rarity keywords and shorthand users type, keyed by rarity name
+const RARITY_ALIASES = {
+  legendary: ['legendary', 'legendaries', 'legend', 'leg', 'legs', 'l1', 'r1', 't1'],
+  epic: ['epic', 'epics', 'l2', 'r2', 't2'],
+  rare: ['rare', 'rares', 'l3', 'r3', 't3'],
+  common: ['common', 'commons', 'com', 'l4', 'r4', 't4']
+};
+
+// Greetings and chatter that are never worth an API search on their own
+const CHAT_WORDS = ['fren', 'frens', 'wagmi', 'ngmi', 'lfg', 'ser', 'anon', 'lol', 'pls', 'please', 'thanks', 'thank',
+  'today', 'now', 'wen', 'how', 'much', 'this', 'that', 'check', 'bot', 'whats'];
+
+// Words that describe what the user wants to see rather than which hero
+const QUERY_WORDS = ['floor', 'price', 'bid', 'bids', 'supply', 'last', 'sale', 'card', 'cards'];
+
+// Minimum match confidence (0-1) for the bot to act on a hero without asking
+export const HERO_MATCH_THRESHOLD = parseFloat(process.env.HERO_MATCH_THRESHOLD || '0.65');
+
+// Fuzzy matches below this confidence are not considered at all
+const MIN_MATCH_CONFIDENCE = 0.5;
+
+// Shortest candidate that is matched by prefix, token or typo
+const MIN_FUZZY_LENGTH = 4;
+
+// Shortest candidate that may match in the middle of a handle or name
+const MIN_SUBSTRING_LENGTH = 5;
+
+// One typo in a short word is a large share of it ("hero" is one edit from "herro"),
+// so typo matches on candidates this short need a higher confidence
+const SHORT_TYPO_LENGTH = 4;
+const SHORT_TYPO_MIN_CONFIDENCE = 0.8;
+
+// fantasy.top links written out in the tweet text (entities cover the rest)
+const TEXT_URL_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)*fantasy\.top\/[^\s]*/gi;
+
+// Any link, removed before the text is split into candidate words
+const ANY_URL_PATTERN = /https?:\/\/\S+|(?:[\w-]+\.)*fantasy\.top\/\S*/gi;
+
+// Cashtag-style tickers, e.g. "$RASMR" (but not prices like "$5")
+const CASHTAG_PATTERN = /(?:^|[^\w$])\$([a-z_][\w]{1,30})/gi;
+
+// Cashtags only count when they name a hero exactly (handle, name or alias)
+const CASHTAG_MIN_CONFIDENCE = 0.95;
+
+// Community nicknames, kept next to all_heroes.json
+const ALIASES_FILE_PATH = path.join(process.cwd(), 'hero_aliases.json');
+
+// Longest run of adjacent words tried as one multi-word name or alias
+const MAX_PHRASE_WORDS = 3;
+
+// How long a loaded roster is reused before it is read again
+const ROSTER_RELOAD_MS = parseInt(process.env.HERO_ROSTER_RELOAD_MINUTES || '10', 10) * 60 * 1000;
 
 // Store loaded heroes for efficiency
 let cachedHeroes = null;
+let cachedHeroesLoadedAt = 0;
+
+/**
+ * Load community nicknames from hero_aliases.json
+ * @returns {Promise<Object>} Map of lowercase hero handle to an array of aliases
+ */
+export async function loadHeroAliases() {
+  try {
+    const data = await fs.readFile(ALIASES_FILE_PATH, 'utf-8');
+    const aliasData = JSON.parse(data);
+    return aliasData.aliases || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading hero aliases:', error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Read the roster from all_heroes.json
+ * @returns {Promise<Array>} Array of raw hero objects with handle and name (and id, once synced)
+ */
+async function loadRosterFile() {
+  const data = await fs.readFile(path.join(process.cwd(), 'all_heroes.json'), 'utf-8');
+  const heroesData = JSON.parse(data);
+  
+  if (heroesData && Array.isArray(heroesData.data)) {
+    return heroesData.data;
+  }
+  throw new Error('Invalid heroes data format');
+}
 
 /**
- * Load the heroes data from all_heroes.json
- * @returns {Promise<Array>} Array of hero objects with handle and name properties
+ * Load the heroes roster, with aliases from hero_aliases.json merged in.
+ * A roster saved in state by the roster sync takes precedence over
+ * all_heroes.json, so a deployed Lambda doesn't depend on the file in its image.
+ * The result is reused for HERO_ROSTER_RELOAD_MINUTES.
+ *
+ * @returns {Promise<Array>} Array of hero objects with handle, name and aliases properties
  */
 export async function loadHeroes() {
-  if (cachedHeroes) {
+  if (cachedHeroes && Date.now() - cachedHeroesLoadedAt < ROSTER_RELOAD_MS) {
     return cachedHeroes;
   }
 
   try {
-    const data = await fs.readFile(path.join(process.cwd(), 'all_heroes.json'), 'utf-8');
-    const heroesData = JSON.parse(data);
+    const storedRoster = await loadHeroRoster();
+    const source = storedRoster?.heroes?.length > 0 ? 'state' : 'all_heroes.json';
+    const rosterHeroes = source === 'state' ? storedRoster.heroes : await loadRosterFile();
     
-    if (heroesData && Array.isArray(heroesData.data)) {
-      cachedHeroes = heroesData.data.map(hero => ({
-        handle: hero.handle.toLowerCase(),
-        name: hero.name.toLowerCase()
-      }));
-      console.log(`Loaded ${cachedHeroes.length} heroes from all_heroes.json`);
-      return cachedHeroes;
-    }
-    throw new Error('Invalid heroes data format');
+    const aliases = await loadHeroAliases();
+    cachedHeroes = rosterHeroes.map(hero => indexHero({
+      ...(hero.id ? { id: String(hero.id) } : {}),
+      handle: hero.handle.toLowerCase(),
+      name: hero.name.toLowerCase(),
+      aliases: (aliases[hero.handle.toLowerCase()] || []).map(alias => alias.toLowerCase())
+    }));
+    cachedHeroesLoadedAt = Date.now();
+    console.log(`Loaded ${cachedHeroes.length} heroes from ${source}`);
+    return cachedHeroes;
   } catch (error) {
     console.error('Error loading heroes:', error.message);
-    // Return empty array as fallback
-    return [];
+    // Keep using the last roster we had, or an empty one
+    return cachedHeroes || [];
   }
 }
 
+/**
+ * Forget the loaded roster so the next lookup reloads it (e.g. after a sync)
+ */
+export function clearHeroCache() {
+  cachedHeroes = null;
+  cachedHeroesLoadedAt = 0;
+}
+
+/**
+ * Add a community nickname for a hero to hero_aliases.json
+ * @param {string} handle - Hero handle from all_heroes.json
+ * @param {string} alias - Nickname, may contain several words (e.g. "bonk guy")
+ * @returns {Promise<boolean>} - True if the alias was added, false if the hero already had it
+ */
+export async function addHeroAlias(handle, alias) {
+  const heroHandle = String(handle || '').trim().replace(/^@/, '').toLowerCase();
+  const heroAlias = String(alias || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!heroAlias || !normalizeHeroText(heroAlias)) {
+    throw new Error('Alias must contain letters or numbers');
+  }
+
+  const heroes = await loadHeroes();
+  if (!heroes.some(hero => hero.handle === heroHandle)) {
+    throw new Error(`Unknown hero handle: ${heroHandle}`);
+  }
+
+  // An alias that already identifies another hero would make matches ambiguous
+  const normalizedAlias = normalizeHeroText(heroAlias);
+  const conflict = heroes.find(hero => hero.handle !== heroHandle && (
+    hero.normalizedHandle === normalizedAlias ||
+    hero.normalizedName === normalizedAlias ||
+    hero.normalizedAliases.includes(normalizedAlias)
+  ));
+  if (conflict) {
+    throw new Error(`"${heroAlias}" already refers to ${conflict.handle}`);
+  }
+
+  const aliases = await loadHeroAliases();
+  const heroAliases = aliases[heroHandle] || [];
+  if (heroAliases.some(existing => normalizeHeroText(existing) === normalizedAlias)) {
+    return false;
+  }
+
+  aliases[heroHandle] = [...heroAliases, heroAlias];
+  await fs.writeFile(ALIASES_FILE_PATH, JSON.stringify({ aliases }, null, 2) + '\n');
+
+  // Rebuild the match index with the new alias on next use
+  clearHeroCache();
+  console.log(`Added alias "${heroAlias}" for ${heroHandle}`);
+  return true;
+}
+
 /**
  * Normalize hero name/handle for better matching
  * @param {string} text - The text to normalize
@@ -57,114 +206,487 @@ export function normalizeHeroText(text) {
 }
 
 /**
- * Check if a candidate word matches any known hero handle or name
+ * Split a hero name or phrase into lowercase word tokens,
+ * e.g. "Unipcs (aka 'Bonk Guy') 🎒" -> ['unipcs', 'aka', 'bonk', 'guy']
+ * @param {string} text - The text to tokenize
+ * @returns {string[]} - Word tokens
+ */
+export function tokenizeHeroText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .split(/[^a-z0-9_]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Add the normalized forms used for matching to a hero object
+ * @param {Object} hero - Hero object with handle and name
+ * @returns {Object} - Hero with normalizedHandle, normalizedName, normalizedAliases and nameTokens
+ */
+function indexHero(hero) {
+  if (hero.nameTokens) {
+    return hero;
+  }
+
+  const aliases = hero.aliases || [];
+  return {
+    ...hero,
+    aliases,
+    normalizedHandle: normalizeHeroText(hero.handle),
+    normalizedName: normalizeHeroText(hero.name),
+    normalizedAliases: aliases.map(normalizeHeroText).filter(Boolean),
+    nameTokens: tokenizeHeroText(hero.name)
+  };
+}
+
+/**
+ * Calculate the Damerau-Levenshtein (optimal string alignment) distance
+ * between two strings, so a swapped pair of letters counts as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits needed to turn a into b
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Number of typos tolerated for a candidate of a given length
+ * @param {number} length - Candidate length
+ * @returns {number} - Maximum edit distance
+ */
+function maxEditsFor(length) {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  if (length <= 5) return 1;
+  if (length <= 9) return 2;
+  return 3;
+}
+
+/**
+ * Check whether a sequence of tokens appears, in order and adjacent, in another
+ * @param {string[]} tokens - Tokens to look for
+ * @param {string[]} within - Tokens to search
+ * @returns {boolean} - True if the sequence is found
+ */
+function containsTokenSequence(tokens, within) {
+  for (let start = 0; start + tokens.length <= within.length; start++) {
+    if (tokens.every((token, offset) => within[start + offset] === token)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Score how well a candidate matches a single hero.
+ * Exact matches score 1, token, prefix and substring matches score by how much
+ * of the name they cover, and typos score by edit distance.
+ *
+ * @param {string} candidate - Candidate word or phrase from the tweet
+ * @param {Object} hero - Hero object with handle and name
+ * @returns {Object|null} - { confidence, matchType } or null if it doesn't match at all
+ */
+export function scoreHeroMatch(candidate, hero) {
+  const indexed = indexHero(hero);
+  const normalizedCandidate = normalizeHeroText(candidate);
+  if (!normalizedCandidate) {
+    return null;
+  }
+
+  if (indexed.normalizedHandle === normalizedCandidate) {
+    return { confidence: 1, matchType: 'handle' };
+  }
+  if (indexed.normalizedName === normalizedCandidate) {
+    return { confidence: 0.98, matchType: 'name' };
+  }
+  if (indexed.normalizedAliases.includes(normalizedCandidate)) {
+    return { confidence: 0.95, matchType: 'alias' };
+  }
+
+  const scores = [];
+  const length = normalizedCandidate.length;
+
+  // Whole words of a multi-word name, e.g. "bonk guy" or "luca"
+  const candidateTokens = tokenizeHeroText(candidate);
+  if (candidateTokens.length > 0 && containsTokenSequence(candidateTokens, indexed.nameTokens)) {
+    if (candidateTokens.length > 1) {
+      scores.push({ confidence: 0.9, matchType: 'token' });
+    } else if (length >= MIN_FUZZY_LENGTH) {
+      scores.push({ confidence: 0.8, matchType: 'token' });
+    }
+  }
+
+  if (length >= MIN_FUZZY_LENGTH) {
+    for (const target of [indexed.normalizedHandle, indexed.normalizedName, ...indexed.normalizedAliases]) {
+      if (!target) continue;
+      const coverage = length / target.length;
+
+      if (target.startsWith(normalizedCandidate)) {
+        scores.push({ confidence: 0.55 + 0.4 * coverage, matchType: 'prefix' });
+      } else if (length >= MIN_SUBSTRING_LENGTH && target.includes(normalizedCandidate)) {
+        scores.push({ confidence: 0.5 + 0.4 * coverage, matchType: 'substring' });
+      }
+
+      const distance = editDistance(normalizedCandidate, target);
+      if (distance <= maxEditsFor(length)) {
+        const confidence = 0.95 * (1 - distance / Math.max(length, target.length));
+        if (length > SHORT_TYPO_LENGTH || confidence >= SHORT_TYPO_MIN_CONFIDENCE) {
+          scores.push({ confidence, matchType: 'typo' });
+        }
+      }
+    }
+  }
+
+  if (scores.length === 0) {
+    return null;
+  }
+
+  return scores.reduce((best, score) => (score.confidence > best.confidence ? score : best));
+}
+
+/**
+ * Rank all heroes by how well they match a candidate
+ * @param {string} candidate - Candidate word or phrase from the tweet
+ * @param {Array} heroes - Array of hero objects with handle and name
+ * @param {number} minConfidence - Matches below this confidence are dropped
+ * @returns {Array<Object>} - [{ hero, confidence, matchType }] sorted by confidence, highest first
+ */
+export function rankHeroMatches(candidate, heroes, minConfidence = MIN_MATCH_CONFIDENCE) {
+  const matches = [];
+
+  for (const hero of heroes) {
+    const score = scoreHeroMatch(candidate, hero);
+    if (score && score.confidence >= minConfidence) {
+      matches.push({ hero: indexHero(hero), ...score });
+    }
+  }
+
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Find the hero that best matches a candidate word or phrase
  * @param {string} candidate - Lowercase candidate word
  * @param {Array} heroes - Array of hero objects with handle and name
- * @returns {Object|null} - The matching hero object or null if not found
+ * @returns {Object|null} - The matching hero object, with confidence and matchType, or null if not found
  */
 export function findMatchingHero(candidate, heroes) {
-  const normalizedCandidate = normalizeHeroText(candidate);
-  
-  // Prepare all heroes with normalized values for better matching
-  const normalizedHeroes = heroes.map(hero => ({
-    ...hero,
-    normalizedHandle: normalizeHeroText(hero.handle),
-    normalizedName: normalizeHeroText(hero.name)
-  }));
-  
-  // 1. First priority: Exact match on handle (normalized)
-  const exactHandleMatch = normalizedHeroes.find(h => 
-    h.normalizedHandle === normalizedCandidate
-  );
-  if (exactHandleMatch) {
-    console.log(`Found exact handle match: ${exactHandleMatch.handle} for ${candidate}`);
-    return exactHandleMatch;
+  const [best] = rankHeroMatches(candidate, heroes);
+  if (!best) {
+    return null;
   }
-  
-  // 2. Second priority: Exact match on name (normalized)
-  const exactNameMatch = normalizedHeroes.find(h => 
-    h.normalizedName === normalizedCandidate
-  );
-  if (exactNameMatch) {
-    console.log(`Found exact name match: ${exactNameMatch.handle} (${exactNameMatch.name}) for ${candidate}`);
-    return exactNameMatch;
+
+  console.log(`Found ${best.matchType} match: ${best.hero.handle} (${best.hero.name}) for ${candidate}, confidence ${best.confidence.toFixed(2)}`);
+  return { ...best.hero, confidence: best.confidence, matchType: best.matchType };
+}
+
+/**
+ * Split tweet text into candidate words, dropping stop words, query words and rarities.
+ * Words shorter than three letters are only kept if they are a hero alias (e.g. "tg").
+ *
+ * @param {string} text - Tweet text
+ * @param {Array} heroes - Indexed heroes, for short aliases
+ * @returns {string[]} - Candidate words in the order they appear
+ */
+function extractCandidateWords(text, heroes = []) {
+  const isShortAlias = word => heroes.some(hero => hero.normalizedAliases?.includes(normalizeHeroText(word)));
+
+  return text.replace(ANY_URL_PATTERN, ' ')
+    .split(/[^\w\.@]+/)  // Split on non-word, non-dot, non-@ characters
+    .map(word => word.trim())
+    .filter(word => 
+      (word.length > 2 || (word.length > 0 && isShortAlias(word))) && 
+      !STOP_WORDS.includes(word.toLowerCase()) &&
+      !QUERY_WORDS.includes(word.toLowerCase()) &&
+      !isRarityKeyword(word)
+    );
+}
+
+/**
+ * Add a match to a list, keeping only the most confident match per hero
+ * @param {Array<Object>} matches - Matches found so far
+ * @param {Object} hero - Matched hero (with confidence and matchType)
+ * @param {string} candidate - Text the hero was matched from
+ */
+function addHeroMatch(matches, hero, candidate) {
+  const existing = matches.find(match => match.handle === hero.handle);
+  if (existing) {
+    if (hero.confidence > existing.confidence) {
+      Object.assign(existing, { confidence: hero.confidence, matchType: hero.matchType, candidate });
+    }
+    return;
   }
-  
-  // No match found
-  return null;
+
+  matches.push({
+    handle: hero.handle,
+    name: hero.name,
+    confidence: hero.confidence,
+    matchType: hero.matchType,
+    candidate
+  });
 }
 
 /**
- * Extract potential hero handles from tweet text
+ * Extract hero matches with confidence scores from tweet text.
+ * Twitter annotations are tried first; otherwise single words and runs of
+ * adjacent words (for multi-word names and aliases) are matched against the roster.
+ * Matches are returned in the order the heroes were mentioned, so "rasmr vs orangie"
+ * compares them in that order. Low confidence matches are included; callers
+ * decide what is good enough.
+ *
  * @param {string} text - Tweet text
  * @param {Object} tweetEntities - The entities object from Twitter (optional)
- * @returns {Promise<string[]>} - Array of potential hero handles
+ * @returns {Promise<Array<Object>>} - [{ handle, name, confidence, matchType, candidate }] in mention order
  */
-export async function extractPotentialHeroes(text, tweetEntities = null) {
+export async function extractHeroMatches(text, tweetEntities = null) {
   // First try to get potential heroes from Twitter's annotations if available
   const annotationCandidates = tweetEntities ? extractFromAnnotations(tweetEntities) : [];
   
   // Load heroes data for matching
   const heroes = await loadHeroes();
   
-  // Process annotation candidates first
-  const potentialMatches = [];
-  
   // Check annotation candidates against hero database
+  const annotationMatches = [];
   for (const candidate of annotationCandidates) {
     const matchedHero = findMatchingHero(candidate, heroes);
     if (matchedHero) {
-      if (!potentialMatches.some(m => m.handle === matchedHero.handle)) {
-        potentialMatches.push(matchedHero);
-      }
+      addHeroMatch(annotationMatches, matchedHero, candidate);
     }
   }
   
   // If we found matches from annotations, use those
-  if (potentialMatches.length > 0) {
-    const handles = potentialMatches.map(hero => hero.handle);
+  if (annotationMatches.length > 0) {
     console.log('Found hero matches from Twitter annotations:', 
-      potentialMatches.map(h => `${h.handle} (${h.name})`).join(', ')
+      annotationMatches.map(h => `${h.handle} (${h.name})`).join(', ')
     );
-    return handles;
+    return annotationMatches;
   }
   
   // Otherwise, fall back to our text parsing approach
-  // Extract words from the text - improved tokenization
-  const words = text.split(/[^\w\.@]+/)  // Split on non-word, non-dot, non-@ characters
-    .map(word => word.trim())
-    .filter(word => 
-      word.length > 2 && 
-      !STOP_WORDS.includes(word.toLowerCase())
-    );
-  
+  const words = extractCandidateWords(text, heroes);
   console.log("Extracted words:", words);
   
-  // Find matching heroes from our loaded data using exact matches
-  const potentialMatchesFromText = [];
+  // Runs of adjacent words catch multi-word names and aliases like "bonk guy" or "luca netz"
+  const phrases = [];
+  for (let size = MAX_PHRASE_WORDS; size > 1; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      phrases.push(words.slice(start, start + size).join(' '));
+    }
+  }
   
-  for (const word of words) {
-    const matchedHero = findMatchingHero(word, heroes);
+  const textMatches = [];
+  for (const candidate of [...phrases, ...words]) {
+    const matchedHero = findMatchingHero(candidate, heroes);
     if (matchedHero) {
-      // Store the full hero object for better logging
-      if (!potentialMatchesFromText.some(m => m.handle === matchedHero.handle)) {
-        potentialMatchesFromText.push(matchedHero);
-      }
+      addHeroMatch(textMatches, matchedHero, candidate);
     }
   }
   
-  if (potentialMatchesFromText.length > 0) {
-    // Extract just the handles for API calls
-    const handles = potentialMatchesFromText.map(hero => hero.handle);
+  if (textMatches.length > 0) {
+    // Phrases were tried first, so put matches back in the order they were mentioned
+    const position = match => words.indexOf(match.candidate.split(' ')[0]);
+    textMatches.sort((a, b) => position(a) - position(b));
     console.log('Found potential hero matches:', 
-      potentialMatchesFromText.map(h => `${h.handle} (${h.name})`).join(', ')
+      textMatches.map(h => `${h.handle} (${h.name}) ${h.confidence.toFixed(2)}`).join(', ')
+    );
+    return textMatches;
+  }
+  
+  console.log('No roster matches found');
+  return [];
+}
+
+/**
+ * Pick the single word worth searching the API for when nothing in the
+ * roster matched, e.g. a hero that was listed after the last roster sync
+ * @param {string} text - Tweet text
+ * @returns {string|null} - Search query, or null if the tweet is only chatter
+ */
+export function extractUnknownHeroQuery(text) {
+  const [query] = extractCandidateWords(String(text || '').replace(CASHTAG_PATTERN, ' '))
+    .filter(word => !CHAT_WORDS.includes(word.toLowerCase()) && /[a-z]/i.test(word));
+
+  return query || null;
+}
+
+/**
+ * Extract potential hero handles from tweet text
+ * @param {string} text - Tweet text
+ * @param {Object} tweetEntities - The entities object from Twitter (optional)
+ * @returns {Promise<string[]>} - Array of potential hero handles, in the order they were mentioned
+ */
+export async function extractPotentialHeroes(text, tweetEntities = null) {
+  const matches = await extractHeroMatches(text, tweetEntities);
+  return matches.map(match => match.handle);
+}
+
+/**
+ * Collect expanded URLs from tweet entities, plus any written out in the text
+ * @param {string} text - Tweet text
+ * @param {Object} tweetEntities - The entities object from Twitter (optional)
+ * @returns {string[]} - URLs
+ */
+function collectUrls(text, tweetEntities) {
+  const entityUrls = (tweetEntities?.urls || [])
+    .map(url => url.unwound_url || url.expanded_url || url.url)
+    .filter(Boolean);
+  const textUrls = String(text || '').match(TEXT_URL_PATTERN) || [];
+
+  return [...entityUrls, ...textUrls];
+}
+
+/**
+ * Parse a fantasy.top hero or card link
+ * e.g. https://fantasy.top/hero/rasmr_eth or https://www.fantasy.top/card/12345
+ * @param {string} url - URL to parse
+ * @returns {Object|null} - { heroId } or { handle } for hero pages, { cardId } for cards, or null
+ */
+export function parseFantasyTopUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (error) {
+    return null;
+  }
+
+  if (!/(^|\.)fantasy\.top$/i.test(parsed.hostname)) {
+    return null;
+  }
+
+  const [section, value] = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (!value) {
+    return null;
+  }
+
+  if (/^heroe?s?$/i.test(section)) {
+    return /^\d+$/.test(value) ? { heroId: value } : { handle: value.replace(/^@/, '').toLowerCase() };
+  }
+  if (/^cards?$/i.test(section)) {
+    return { cardId: value };
+  }
+
+  return null;
+}
+
+/**
+ * Extract heroes referenced by fantasy.top links or cashtags (e.g. "$RASMR").
+ * Hero IDs come straight from the link or from the synced roster, so these
+ * heroes can be fetched without a name search. Handles that aren't in a
+ * synced roster are returned without an ID.
+ *
+ * @param {string} text - Tweet text
+ * @param {Object} tweetEntities - The entities object from Twitter (optional)
+ * @returns {Promise<Array<Object>>} - [{ heroId, handle, cardId, source }] in the order found
+ */
+export async function extractHeroReferences(text, tweetEntities = null) {
+  const heroes = await loadHeroes();
+  const references = [];
+
+  const addReference = (reference) => {
+    const duplicate = references.some(existing =>
+      (reference.heroId && existing.heroId === reference.heroId) ||
+      (reference.cardId && existing.cardId === reference.cardId) ||
+      (!reference.heroId && reference.handle && existing.handle === reference.handle)
+    );
+    if (!duplicate) {
+      references.push(reference);
+    }
+  };
+
+  for (const url of collectUrls(text, tweetEntities)) {
+    const link = parseFantasyTopUrl(url);
+    if (!link) continue;
+
+    if (link.handle) {
+      const hero = heroes.find(h => h.handle === link.handle);
+      addReference({ heroId: hero?.id || null, handle: link.handle, source: 'url' });
+    } else {
+      addReference({ heroId: link.heroId || null, cardId: link.cardId || null, source: 'url' });
+    }
+  }
+
+  const entityTags = (tweetEntities?.cashtags || []).map(cashtag => cashtag.tag);
+  const textTags = [...String(text || '').matchAll(CASHTAG_PATTERN)].map(match => match[1]);
+  for (const tag of [...entityTags, ...textTags]) {
+    // Cashtags must name the hero exactly (handle, name or alias), not fuzzily
+    const [best] = rankHeroMatches(tag, heroes, CASHTAG_MIN_CONFIDENCE);
+    if (best) {
+      addReference({ heroId: best.hero.id || null, handle: best.hero.handle, source: 'cashtag' });
+    }
+  }
+
+  if (references.length > 0) {
+    console.log('Found hero references from links and cashtags:',
+      references.map(ref => ref.handle || ref.heroId || `card ${ref.cardId}`).join(', ')
     );
-    return handles;
   }
+
+  return references;
+}
+
+/**
+ * Check if the text asks for a comparison between heroes
+ * e.g. "compare rasmr and orangie" or "rasmr vs orangie"
+ * @param {string} text - Tweet text
+ * @returns {boolean} - True if the text contains a comparison phrase
+ */
+export function isComparisonRequest(text) {
+  return COMPARISON_PATTERN.test(text || '');
+}
+
+/**
+ * Check if a single word is a rarity keyword or shorthand
+ * @param {string} word - Word from the tweet
+ * @returns {boolean} - True if the word names a rarity
+ */
+export function isRarityKeyword(word) {
+  const normalized = String(word).toLowerCase();
+  return Object.values(RARITY_ALIASES).some(aliases => aliases.includes(normalized));
+}
+
+/**
+ * Detect which rarity the user asked about, if any
+ * e.g. "legendary rasmr", "rasmr epic floor", "rasmr L1"
+ * @param {string} text - Tweet text
+ * @returns {number|null} - Rarity level (1-4) or null if no rarity was mentioned
+ */
+export function extractRarity(text) {
+  const words = (text || '').toLowerCase().split(/[^\w]+/);
   
-  // If no matches from known heroes, return all words as candidates
-  console.log('No exact matches found. Using all words as potential heroes:', words);
-  return words;
+  for (const word of words) {
+    const rarityName = Object.keys(RARITY_ALIASES)
+      .find(name => RARITY_ALIASES[name].includes(word));
+    if (rarityName) {
+      console.log(`Detected rarity keyword "${word}" (${rarityName})`);
+      return getRarityLevel(rarityName);
+    }
+  }
+  
+  return null;
 }
 
 /**
@@ -0,0 +1,121 @@
+/**
+ * Renders a hero "market card" PNG from getHeroMarketInfo data
+ */
+import { createCanvas } from './pngCanvas.mjs';
+import { hasGlyph } from './bitmapFont.mjs';
+import { formatWeiToEth } from './formatters.mjs';
+
+// Card layout
+const CARD_WIDTH = 720;
+const CARD_HEIGHT = 400;
+const PADDING = 32;
+const HEADER_HEIGHT = 112;
+const ROW_HEIGHT = 48;
+const TABLE_COLUMNS = [
+  { label: 'RARITY', x: PADDING },
+  { label: 'FLOOR', x: 210 },
+  { label: 'LAST', x: 340 },
+  { label: 'BID', x: 470 },
+  { label: 'SUPPLY', x: 600 }
+];
+
+const COLORS = {
+  background: '#14161f',
+  header: '#1f2330',
+  highlight: '#2a2f40',
+  title: '#ffffff',
+  muted: '#9aa3b8',
+  label: '#6b7280',
+  value: '#e5e7eb'
+};
+
+// Accent color for each rarity level (1-4)
+const RARITY_COLORS = {
+  1: '#f5b942',
+  2: '#b57cf6',
+  3: '#4fa3f7',
+  4: '#9ca3af'
+};
+
+/**
+ * Formats a follower count compactly (e.g. 12.3K, 1.2M)
+ * @param {number} count - Follower count
+ * @returns {string} - Compact count
+ */
+function formatFollowers(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}K`;
+  return String(count || 0);
+}
+
+/**
+ * Formats a wei price for the card, using "-" when there is no price
+ * @param {string|number} wei - Price in wei
+ * @returns {string} - Formatted price
+ */
+function formatCardPrice(wei) {
+  const formatted = formatWeiToEth(wei);
+  return formatted !== 'N/A' ? `Ξ${formatted}` : '-';
+}
+
+/**
+ * Renders a PNG market card for a hero
+ * @param {Object} heroInfo - Hero information from getHeroMarketInfo
+ * @param {Object} options - Rendering options
+ * @param {number|null} options.highlightRarity - Rarity level (1-4) to highlight
+ * @returns {Buffer} - PNG image data
+ */
+export function renderMarketCard(heroInfo, options = {}) {
+  const { highlightRarity = null } = options;
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+
+  canvas.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT, COLORS.background);
+  canvas.fillRect(0, 0, CARD_WIDTH, HEADER_HEIGHT, COLORS.header);
+
+  // Hero name - the bitmap font can't draw emoji, so those are dropped
+  const name = [...heroInfo.name].filter(hasGlyph).join('').trim() || heroInfo.name;
+  let titleScale = 5;
+  while (titleScale > 2 && canvas.measureText(name, titleScale) > CARD_WIDTH - PADDING * 2) {
+    titleScale--;
+  }
+  canvas.drawText(name, PADDING, 26, COLORS.title, titleScale);
+
+  const subtitle = `★ ${heroInfo.stars || 0}   ${formatFollowers(heroInfo.followers)} followers`;
+  canvas.drawText(subtitle, PADDING, 78, COLORS.muted, 2);
+
+  // Table header
+  const tableTop = HEADER_HEIGHT + 20;
+  TABLE_COLUMNS.forEach(column => {
+    canvas.drawText(column.label, column.x, tableTop, COLORS.label, 2);
+  });
+
+  // One row per rarity, Legendary first
+  const rarities = Object.values(heroInfo.marketInfo).sort((a, b) => a.rarity - b.rarity);
+  rarities.forEach((info, index) => {
+    const rowTop = tableTop + 28 + index * ROW_HEIGHT;
+    const textTop = rowTop + (ROW_HEIGHT - 14) / 2;
+
+    if (info.rarity === highlightRarity) {
+      canvas.fillRect(0, rowTop, CARD_WIDTH, ROW_HEIGHT, COLORS.highlight);
+    }
+    canvas.fillRect(PADDING - 16, rowTop + 12, 6, ROW_HEIGHT - 24, RARITY_COLORS[info.rarity] || COLORS.muted);
+
+    const values = [
+      info.rarityName,
+      formatCardPrice(info.floorPrice),
+      formatCardPrice(info.lastSellPrice),
+      formatCardPrice(info.highestBid),
+      String(info.supply || 0)
+    ];
+    values.forEach((value, column) => {
+      const color = column === 0 ? RARITY_COLORS[info.rarity] || COLORS.value : COLORS.value;
+      canvas.drawText(value, TABLE_COLUMNS[column].x, textTop, color, 2);
+    });
+  });
+
+  // Footer
+  const footer = 'fantasy.top';
+  canvas.drawText(footer, CARD_WIDTH - PADDING - canvas.measureText(footer, 2), CARD_HEIGHT - 30, COLORS.label, 2);
+
+  return canvas.toPng();
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal raster canvas with PNG encoding
+ *
+ * Pure Node (zlib only) so images can be rendered inside the Lambda
+ * container without a browser or native canvas bindings.
+ */
+import zlib from 'zlib';
+import { getGlyph, GLYPH_WIDTH, GLYPH_HEIGHT } from './bitmapFont.mjs';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calculates the CRC32 of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} - Unsigned CRC32
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Encoded chunk
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Parses a hex color into RGB components
+ * @param {string} hex - Color like "#1a2b3c"
+ * @returns {number[]} - [r, g, b]
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Creates an RGB canvas that can draw rectangles and bitmap text
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} - Canvas with fillRect, drawText, measureText and toPng
+ */
+export function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  /**
+   * Fills a rectangle, clipped to the canvas
+   */
+  function fillRect(x, y, w, h, color) {
+    const [r, g, b] = parseColor(color);
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(width, Math.floor(x + w));
+    const y1 = Math.min(height, Math.floor(y + h));
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * width + px) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  }
+
+  /**
+   * Measures the width of text drawn at the given scale
+   */
+  function measureText(text, scale = 1) {
+    const glyphCount = [...text].filter(char => getGlyph(char)).length;
+    return glyphCount > 0 ? (glyphCount * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+  }
+
+  /**
+   * Draws text with the bitmap font; characters without a glyph are skipped
+   * @returns {number} - Width of the drawn text
+   */
+  function drawText(text, x, y, color, scale = 1) {
+    let cursor = x;
+
+    for (const char of text) {
+      const glyph = getGlyph(char);
+      if (!glyph) {
+        continue;
+      }
+
+      glyph.forEach((column, col) => {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (column & (1 << row)) {
+            fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+
+    return cursor - x;
+  }
+
+  /**
+   * Encodes the canvas as a PNG (8-bit RGB, no filtering)
+   * @returns {Buffer} - PNG file contents
+   */
+  function toPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    // Each scanline is prefixed with filter type 0 (none)
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let row = 0; row < height; row++) {
+      pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      createChunk('IHDR', header),
+      createChunk('IDAT', zlib.deflateSync(raw)),
+      createChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  return {
+    width,
+    height,
+    fillRect,
+    measureText,
+    drawText,
+    toPng
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Utilities for composing replies that may need more than one tweet
+ * All lengths are Twitter's weighted lengths (see tweetLength.mjs)
+ */
+import { MAX_TWEET_LENGTH, getTweetLength, truncateToTweetLength } from './tweetLength.mjs';
+
+export { MAX_TWEET_LENGTH };
+
+// Room kept free in each part for the "\n\n12/12" thread counter
+const THREAD_COUNTER_RESERVE = 7;
+
+/**
+ * Splits a block that is too long for one tweet at line boundaries.
+ * Lines that are still too long on their own are hard-cut.
+ * @param {string} block - Multi-line block of text
+ * @param {number} maxLength - Maximum length of each piece
+ * @returns {string[]} - Pieces that each fit within maxLength
+ */
+function splitBlock(block, maxLength) {
+  const pieces = [];
+  let current = '';
+
+  for (const line of block.split('\n')) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (getTweetLength(candidate) <= maxLength) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    // A single line longer than a whole tweet has to be cut
+    let remaining = line.normalize('NFC');
+    while (getTweetLength(remaining) > maxLength) {
+      const piece = truncateToTweetLength(remaining, maxLength);
+      if (!piece) {
+        break;
+      }
+      pieces.push(piece);
+      remaining = remaining.substring(piece.length);
+    }
+    current = remaining;
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Packs blocks of text into as few tweets as possible.
+ * Blocks are separated by a blank line. When a block doesn't fit in the
+ * current tweet it is split at line boundaries, as long as at least two of
+ * its lines stay together; otherwise it moves to the next tweet whole.
+ *
+ * @param {string[]} blocks - Blocks of text in the order they should appear
+ * @param {number} maxLength - Maximum length of each tweet
+ * @param {Object} options - Packing options
+ * @param {boolean} options.keepBlocks - Move blocks to the next tweet whole instead of splitting them
+ * @returns {string[]} - Tweet texts in thread order
+ */
+export function splitIntoThread(blocks, maxLength = MAX_TWEET_LENGTH, options = {}) {
+  const { keepBlocks = false } = options;
+  const parts = [];
+  let current = '';
+
+  for (const block of blocks.filter(Boolean)) {
+    const candidate = current ? `${current}\n\n${block}` : block;
+    if (getTweetLength(candidate) <= maxLength) {
+      current = candidate;
+      continue;
+    }
+
+    let lines = block.split('\n');
+
+    // Fill the rest of the current tweet with as many lines as fit
+    if (current && !keepBlocks) {
+      let taken = 0;
+      let filled = current;
+      for (const line of lines) {
+        const separator = taken === 0 ? '\n\n' : '\n';
+        if (getTweetLength(`${filled}${separator}${line}`) > maxLength) {
+          break;
+        }
+        filled = `${filled}${separator}${line}`;
+        taken++;
+      }
+
+      // Don't leave a lone heading line behind
+      if (taken >= 2) {
+        current = filled;
+        lines = lines.slice(taken);
+      }
+      parts.push(current);
+      current = '';
+    } else if (current) {
+      parts.push(current);
+      current = '';
+    }
+
+    const remaining = lines.join('\n');
+    if (getTweetLength(remaining) <= maxLength) {
+      current = remaining;
+    } else {
+      const pieces = splitBlock(remaining, maxLength);
+      current = pieces.pop();
+      parts.push(...pieces);
+    }
+  }
+
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+/**
+ * Composes a reply thread from blocks of text.
+ * Content is split at line boundaries rather than truncated, and when
+ * more than one tweet is needed each part is numbered ("1/2", "2/2").
+ *
+ * @param {string[]} blocks - Blocks of text in the order they should appear
+ * @param {Object} options - Composer options
+ * @param {number} options.maxLength - Maximum length of each tweet
+ * @param {string|null} options.footer - Optional closing line, dropped if it would need its own tweet
+ * @param {boolean} options.keepBlocks - Keep each block within a single tweet where possible
+ * @returns {string[]} - Tweet texts in thread order
+ */
+export function composeThread(blocks, options = {}) {
+  const { maxLength = MAX_TWEET_LENGTH, footer = null, keepBlocks = false } = options;
+  
+  // Try to fit everything in a single tweet first
+  const single = splitIntoThread(blocks, maxLength);
+  if (single.length <= 1) {
+    const withFooter = footer && single.length === 1 ? `${single[0]}\n\n${footer}` : null;
+    if (withFooter && getTweetLength(withFooter) <= maxLength) {
+      return [withFooter];
+    }
+    return single;
+  }
+  
+  // Otherwise leave room for the counter on every part
+  const partLength = maxLength - THREAD_COUNTER_RESERVE;
+  const parts = splitIntoThread(blocks, partLength, { keepBlocks });
+  
+  // Only keep the footer if it fits in the last part
+  if (footer) {
+    const lastPart = `${parts[parts.length - 1]}\n\n${footer}`;
+    if (getTweetLength(lastPart) <= partLength) {
+      parts[parts.length - 1] = lastPart;
+    } else {
+      console.log('⚠️ Omitting footer - it would need a tweet of its own');
+    }
+  }
+  
+  return parts.map((part, index) => `${part}\n\n${index + 1}/${parts.length}`);
+}
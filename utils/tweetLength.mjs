@@ -0,0 +1,131 @@
+/**
+ * Twitter-accurate tweet length counting
+ *
+ * Implements the weighted counting rules Twitter uses to enforce the
+ * 280 character limit (twitter-text configuration v3):
+ * - Text is NFC-normalized before counting
+ * - Code points in the Latin, Greek, Cyrillic and similar ranges weigh 1,
+ *   as do a few punctuation ranges; everything else (CJK, symbols) weighs 2
+ * - Any emoji, including ZWJ sequences, flags and variation selectors, weighs 2
+ * - Every URL counts as 23 characters because t.co shortens it
+ */
+
+// Maximum weighted length of a tweet
+export const MAX_TWEET_LENGTH = 280;
+
+// Length every URL is counted as after t.co shortening
+export const TRANSFORMED_URL_LENGTH = 23;
+
+// Weights are expressed in hundredths, as in twitter-text
+const WEIGHT_SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+const LIGHT_RANGES = [
+  { start: 0x0000, end: 0x10FF, weight: 100 },
+  { start: 0x2000, end: 0x200D, weight: 100 },
+  { start: 0x2010, end: 0x201F, weight: 100 },
+  { start: 0x2032, end: 0x2037, weight: 100 }
+];
+
+// URLs with a scheme or www. prefix, plus bare domains on common TLDs (e.g. fantasy.top/rasmr).
+// ENS names like rasmr.eth are not linked by Twitter, so .eth is not one of them
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b(?:[a-z0-9-]+\.)+(?:com|top|io|xyz|co|net|org|gg|fun|app)\b(?:\/[^\s]*)?/gi;
+
+// A grapheme that contains a pictographic code point or a regional indicator is an emoji
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Gets the weight of a single code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} - Weight in hundredths of a character
+ */
+function getCodePointWeight(codePoint) {
+  const range = LIGHT_RANGES.find(r => codePoint >= r.start && codePoint <= r.end);
+  return range ? range.weight : DEFAULT_WEIGHT;
+}
+
+/**
+ * Gets the weight of a grapheme (user-perceived character)
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {number} - Weight in hundredths of a character
+ */
+function getGraphemeWeight(grapheme) {
+  if (EMOJI_PATTERN.test(grapheme)) {
+    return DEFAULT_WEIGHT;
+  }
+
+  let weight = 0;
+  for (const char of grapheme) {
+    weight += getCodePointWeight(char.codePointAt(0));
+  }
+  return weight;
+}
+
+/**
+ * Gets the weighted length of a piece of text that contains no URLs
+ * @param {string} text - Text to measure
+ * @returns {number} - Weight in hundredths of a character
+ */
+function getTextWeight(text) {
+  let weight = 0;
+  for (const { segment } of segmenter.segment(text)) {
+    weight += getGraphemeWeight(segment);
+  }
+  return weight;
+}
+
+/**
+ * Calculates the length of a tweet the way Twitter counts it
+ * @param {string} text - Tweet text
+ * @returns {number} - Weighted tweet length
+ */
+export function getTweetLength(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const normalized = text.normalize('NFC');
+  let weight = 0;
+  let lastIndex = 0;
+
+  for (const match of normalized.matchAll(URL_PATTERN)) {
+    weight += getTextWeight(normalized.substring(lastIndex, match.index));
+    weight += TRANSFORMED_URL_LENGTH * WEIGHT_SCALE;
+    lastIndex = match.index + match[0].length;
+  }
+  weight += getTextWeight(normalized.substring(lastIndex));
+
+  return Math.ceil(weight / WEIGHT_SCALE);
+}
+
+/**
+ * Checks if a tweet fits within Twitter's length limit
+ * @param {string} text - Tweet text
+ * @param {number} maxLength - Maximum weighted length
+ * @returns {boolean} - True if the tweet can be posted as-is
+ */
+export function isWithinTweetLimit(text, maxLength = MAX_TWEET_LENGTH) {
+  return getTweetLength(text) <= maxLength;
+}
+
+/**
+ * Cuts text so its weighted length fits, without breaking graphemes
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Maximum weighted length
+ * @returns {string} - The longest prefix of the text that fits
+ */
+export function truncateToTweetLength(text, maxLength = MAX_TWEET_LENGTH) {
+  if (isWithinTweetLimit(text, maxLength)) {
+    return text;
+  }
+
+  let result = '';
+  for (const { segment } of segmenter.segment(text.normalize('NFC'))) {
+    if (getTweetLength(result + segment) > maxLength) {
+      break;
+    }
+    result += segment;
+  }
+  return result;
+}
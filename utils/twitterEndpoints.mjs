@@ -0,0 +1,43 @@
+/**
+ * Base URLs for the Twitter API
+ * Set TWITTER_API_BASE_URL, TWITTER_UPLOAD_BASE_URL and TWITTER_WEB_BASE_URL
+ * to point the bot at a local stand-in such as tools/mockTwitterServer.mjs.
+ * They are read on every call, so .env files loaded after import still apply.
+ */
+
+/**
+ * Reads a base URL from the environment, without a trailing slash
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - URL of the real Twitter service
+ * @returns {string} - Base URL
+ */
+function getBaseUrl(name, fallback) {
+  return (process.env[name] || fallback).replace(/\/+$/, '');
+}
+
+/**
+ * Builds a Twitter API URL (v2 endpoints and OAuth token endpoints)
+ * @param {string} path - Path starting with a slash, e.g. "/2/tweets"
+ * @returns {string} - Full URL
+ */
+export function twitterApiUrl(path) {
+  return `${getBaseUrl('TWITTER_API_BASE_URL', 'https://api.twitter.com')}${path}`;
+}
+
+/**
+ * Builds a Twitter media upload URL
+ * @param {string} path - Path starting with a slash, e.g. "/1.1/media/upload.json"
+ * @returns {string} - Full URL
+ */
+export function twitterUploadUrl(path) {
+  return `${getBaseUrl('TWITTER_UPLOAD_BASE_URL', 'https://upload.twitter.com')}${path}`;
+}
+
+/**
+ * Builds a twitter.com URL for pages the user opens, such as OAuth authorization
+ * @param {string} path - Path starting with a slash, e.g. "/oauth/authorize"
+ * @returns {string} - Full URL
+ */
+export function twitterWebUrl(path) {
+  return `${getBaseUrl('TWITTER_WEB_BASE_URL', 'https://twitter.com')}${path}`;
+}